@@ -17,7 +17,7 @@ module.exports = function (grunt) {
                 ui: 'bdd',
                 reporter: 'tap'
             },
-            all: { src: ['test/unit/index.js'] },
+            all: { src: ['test/unit/*.js', 'test/unit/lib/*.js'] },
             integration: {src: ['test/integration/*.js', 'test/integration/lib/*.js']}
         },
         concat: {
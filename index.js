@@ -7,7 +7,20 @@ var logger = require('winston'),
     metadata = require('./lib/metadata.js'),
     search = require('./lib/search.js'),
     update = require('./lib/update.js'),
-    object = require('./lib/object.js');
+    object = require('./lib/object.js'),
+    lookups = require('./lib/lookups.js'),
+    schema = require('./lib/schema.js'),
+    dmql = require('./lib/dmql.js'),
+    replicator = require('./lib/replicator.js'),
+    reconcile = require('./lib/reconcile.js'),
+    coerce = require('./lib/coerce.js'),
+    errors = require('./lib/errors.js'),
+    retry = require('./lib/retry.js'),
+    abort = require('./lib/abort.js'),
+    scheduler = require('./lib/scheduler.js'),
+    cache = require('./lib/cache.js'),
+    diff = require('./lib/diff.js'),
+    utils = require('./lib/utils.js');
 
 var KEY_MEMBER_NAME = "MemberName";
 var KEY_USER = "User";
@@ -29,6 +42,82 @@ var KEY_RETS_SERVER = "retsServer";
 
 module.exports = new EventEmitter();
 
+/**
+ * Creates a DMQL2 query builder, which can be passed to client.query as the query string.
+ *
+ *      rets.dmql().field('ListPrice').between(100000, 200000).field('Status').oneOf(['A', 'P'])
+ *
+ * rets.dmql.parse(query) and rets.dmql.lint(query, fields, lookups) check hand written queries.
+ *
+ * @return a DMQL builder, see lib/dmql.js
+ */
+module.exports.dmql = dmql;
+
+/**
+ * Incremental replication of the records of a class, see lib/replicator.js.
+ *
+ *      var replicator = new rets.Replicator(client, {resource: 'Property', class: 'RESI',
+ *          timestampField: 'ModificationTimestamp', keyField: 'ListingKey'});
+ *      replicator.on('record', function(record) { ... });
+ *      replicator.run(callback);
+ *
+ * rets.createFileStore(path) creates the default JSON file checkpoint store.
+ */
+module.exports.Replicator = replicator.Replicator;
+module.exports.createFileStore = replicator.createFileStore;
+
+/**
+ * The classes of the errors of RETS transactions, see lib/errors.js. They all extend RetsError,
+ * which carries the transaction, the request params, the HTTP status, the reply code and its
+ * description, and an isRetryable flag.
+ *
+ *      if (error instanceof rets.RetsQuotaError) { ... }
+ *
+ * rets.isRetryable(error) also tells network errors such as ECONNRESET apart, and
+ * rets.describeReplyCode(replyCode) describes a RETS reply code.
+ */
+module.exports.RetsError = errors.RetsError;
+module.exports.RetsServerError = errors.RetsServerError;
+module.exports.RetsAuthError = errors.RetsAuthError;
+module.exports.RetsHttpError = errors.RetsHttpError;
+module.exports.RetsParseError = errors.RetsParseError;
+module.exports.RetsQuotaError = errors.RetsQuotaError;
+module.exports.RetsAbortError = errors.RetsAbortError;
+module.exports.isRetryable = errors.isRetryable;
+module.exports.describeReplyCode = errors.describeReplyCode;
+
+/**
+ * Creates a scheduler limiting the requests sent to a server, see lib/scheduler.js. Clients
+ * given the same scheduler share its limits.
+ *
+ *      var limits = rets.createScheduler({maxConcurrent: 2, maxRequests: 60, interval: 60000});
+ *      var client = rets.getClient({loginUrl: ..., username: ..., password: ..., scheduler: limits});
+ */
+module.exports.createScheduler = scheduler.createScheduler;
+
+/**
+ * Creates a metadata store keeping the metadata cache of clients in the JSON files of a directory,
+ * see lib/cache.js. A store can be shared by clients of different servers.
+ *
+ *      var client = rets.getClient({loginUrl: ..., username: ..., password: ...,
+ *          metadataCache: rets.createMetadataStore('/var/cache/rets')});
+ */
+module.exports.createMetadataStore = cache.createFileStore;
+
+/**
+ * Compares two versions of the metadata of a server, see lib/diff.js: schemas returned by
+ * client.getSchema, or metadata trees such as the cached ones. The changes are returned as objects,
+ * and rets.formatMetadataDiff(diff) reports them a line per change.
+ *
+ *      client.on('metadata.changed', function(change) {
+ *          client.getSchema().then(function(schema) {
+ *              console.log(rets.formatMetadataDiff(rets.diffMetadata(change.previousSchema, schema)));
+ *          });
+ *      });
+ */
+module.exports.diffMetadata = diff.diffMetadata;
+module.exports.formatMetadataDiff = diff.formatDiff;
+
 /**
  * Connects to a RETS Service and creates a RETS client instance.
  *
@@ -39,6 +128,20 @@ module.exports = new EventEmitter();
  * @param settings.userAgent the user-agent to use
  * @param settings.userAgentPassword the user-agent password to use
  * @param settings.version the RETS version
+ * @param settings.retry (optional) the retry policy of failed requests (see lib/retry.js createPolicy), or
+ *        false to never retry. By default requests failing with a retryable error (see RetsError isRetryable)
+ *        are attempted 3 times, waiting about 1 then 2 seconds in between.
+ * @param settings.timeout (optional) the timeout of each request, in milliseconds. Methods also accept
+ *        their own timeout and an AbortSignal, see getMetadata for instance.
+ * @param settings.scheduler (optional) the limits of the requests sent to the server: a scheduler created
+ *        by rets.createScheduler, or its options {maxConcurrent, maxRequests, interval, minSpacing}.
+ *        Requests over the limits are queued. By default, requests are not limited.
+ * @param settings.metadataFormat (optional) the format of the metadata requested by the metadata helpers,
+ *        COMPACT (default) or STANDARD-XML. Metadata methods also accept their own format option.
+ * @param settings.metadataCache (optional) where to keep the parsed metadata across processes: a directory,
+ *        or a store such as one created by rets.createMetadataStore. Cached metadata is used while the
+ *        login reports the MetadataVersion and MetadataTimestamp it was retrieved with. By default,
+ *        metadata is retrieved from the server on every call.
  *
  * OR using discrete arguments (preserve backward compatibility):
  * @param loginUrl RETS login URL (i.e http://<MLS_DOMAIN>/rets/login.ashx)
@@ -47,8 +150,13 @@ module.exports = new EventEmitter();
  *
  * @event connection.success Connection succeeded.
  * @event connection.failure(error) Failed to connect.
+ * @event retry(retry) A failed request is sent again: {transaction, attempt, delay, error}
+ * @event metadata.changed(change) A login reports another metadata version or timestamp than the previous
+ *        login of the client, or than the last one recorded in its metadata cache:
+ *        {previous: {version, timestamp}, current: {version, timestamp}, previousSchema}, the previous
+ *        schema being null unless the metadata cache holds it. See rets.diffMetadata.
  *
- * @return RETS Client
+ * @return RETS Client, which can be awaited until it is logged in (rejects with the login error)
  */
 module.exports.getClient = function(settings) {
 
@@ -59,10 +167,27 @@ module.exports.getClient = function(settings) {
         settings.password = arguments[2];
     }
 
-    var client = new Client();
+    var client = new Client(settings);
+
+    // until the login completes the client is a thenable, so that it can be awaited.
+    // It stops being one once logged in, otherwise resolving a promise with it would
+    // call its then method over and over.
+    var loginError = null, loginWaiters = [];
+    client.then = function(onFulfilled, onRejected) {
+        return new Promise(function(resolve, reject) {
+            if (loginError) reject(loginError);
+            else loginWaiters.push({resolve: resolve, reject: reject});
+        }).then(onFulfilled, onRejected);
+    };
 
-    auth.login(settings, function(error, systemData, retsSession) {
+    retry.run(client.retryPolicy, function(done) {
+        auth.login(settings, done);
+    }, function(error, systemData, retsSession) {
         if (error) {
+            loginError = error;
+            loginWaiters.forEach(function(waiter) {
+                waiter.reject(error);
+            });
 
             client.emit('connection.failure', error);
 
@@ -71,8 +196,13 @@ module.exports.getClient = function(settings) {
 
         client.configure(systemData, retsSession, settings.loginUrl);
 
+        delete client.then;
+        loginWaiters.forEach(function(waiter) {
+            waiter.resolve(client);
+        });
+
         client.emit('connection.success');
-    });
+    }, retryListener(client, "login"));
 
     return client;
 };
@@ -80,9 +210,31 @@ module.exports.getClient = function(settings) {
 /**
  * RETS Client Object
  *
+ * Every method accepts an optional callback. When it is omitted the method returns
+ * a promise instead. Events are emitted in both cases, and calls whose promise is
+ * never used do not end with unhandled rejections.
+ *
  * @constructor Creates a new RETS Client object.
+ * @param settings the login settings, kept so that the client can log in again when its session expires
  */
-var Client = function Client() {};
+var Client = function Client(settings) {
+    this.settings = settings || {};
+    this.retryPolicy = retry.createPolicy(this.settings.retry);
+
+    var schedulerSetting = this.settings.scheduler;
+    this.scheduler = schedulerSetting && typeof schedulerSetting.schedule === 'function' ?
+        schedulerSetting : scheduler.createScheduler(schedulerSetting);
+
+    var cacheSetting = this.settings.metadataCache;
+    if (cacheSetting) {
+        var self = this;
+        var store = typeof cacheSetting === 'string' ? cache.createFileStore(cacheSetting) : cacheSetting;
+        // the version is read on each call, as a renewed session may report a new one
+        this.metadataCache = cache.createMetadataCache(store, this.settings.loginUrl, function() {
+            return {version: self.metadataVersion, timestamp: self.metadataTimestamp};
+        });
+    }
+};
 
 /** Rets Client inherits from EventEmitter **/
 util.inherits(Client, EventEmitter);
@@ -97,6 +249,9 @@ Client.prototype.configure = function(systemData, retsSession, loginUrl) {
 
     var self = this;
 
+    var previousMetadata = self.metadataVersion === undefined ? null :
+        {version: self.metadataVersion, timestamp: self.metadataTimestamp};
+
     self.systemData = systemData;
 
     self.retsVersion = self.systemData[KEY_RETS_VERSION];
@@ -115,27 +270,387 @@ Client.prototype.configure = function(systemData, retsSession, loginUrl) {
     self.loginUrl = /1.7.2$/.test(self.retsVersion) ? self.systemData[KEY_LOGIN] : loginUrl;
     if (self.loginUrl.indexOf("http") < 0) self.loginUrl = loginUrl;
 
+    self.retsSession = retsSession;
+
     // returns a valid request object pre-configured to hit the given moduleURL
     // with the proper HTTP headers and cookies retrieved from the freshly
-    // established retsSession
-    var _subSession = function(moduleURL) {
-        return retsSession.defaults({
-            uri: url.resolve(self.loginUrl, moduleURL)
+    // established retsSession. The session is looked up on each request so that
+    // requests made after a session renewal use the renewed cookies and headers.
+    // Every request goes through the scheduler of the client, see lib/scheduler.js.
+    // Failed requests are retried, see lib/retry.js, except updates as an update
+    // could be applied twice. The timeout and the abort signal of a call, if any,
+    // apply to each of its requests.
+    var _subSession = function(moduleURL, transaction, callOptions) {
+        var defaults = {uri: url.resolve(self.loginUrl, moduleURL)};
+        if (callOptions && callOptions.timeout) defaults.timeout = callOptions.timeout;
+
+        var request = function(options, callback) {
+            return self.retsSession.defaults(defaults)(options, callback);
+        };
+        var signal = callOptions && callOptions.signal;
+        if (signal) request = abort.abortable(request, signal, transaction);
+        request = scheduler.wrapRequest(request, self.scheduler, signal);
+        if (transaction === "update") return request;
+
+        return retry.wrapRequest(request, self.retryPolicy, transaction, retryListener(self, transaction), signal);
+    };
+
+    /**
+     * Creates the modules performing the transactions.
+     *
+     * @param callOptions (optional) {signal, timeout, format} of a call, format being the metadata format
+     */
+    self.createModules = function(callOptions) {
+        var modules = {};
+        //metadata module
+        var metadataFormat = (callOptions && callOptions.format) || self.settings.metadataFormat;
+        modules.metadataModule = metadata(_subSession(self.systemData[KEY_GET_METADATA], "getMetadata", callOptions),
+            self.metadataCache, metadataFormat);
+        //search module
+        modules.searchModule = search(self, _subSession(self.systemData[KEY_SEARCH], "search", callOptions),
+            callOptions && callOptions.signal);
+        //object module
+        modules.objectModule = object(self, _subSession(self.systemData[KEY_GET_OBJECT], "getObject", callOptions),
+            callOptions && callOptions.signal);
+        //update module
+        if (KEY_UPDATE in self.systemData) {
+            modules.updateModule = update(_subSession(self.systemData[KEY_UPDATE], "update", callOptions));
+        }
+        //logout request
+        modules.logoutRequest = _subSession(self.systemData[KEY_LOGOUT], "logout", callOptions);
+        //lookups module, a new one for the session, and for a call one sharing its cache
+        modules.lookupsModule = callOptions ? self.lookupsModule.withMetadata(modules.metadataModule) :
+            lookups(modules.metadataModule);
+        return modules;
+    };
+
+    var modules = self.createModules();
+    self.metadataModule = modules.metadataModule;
+    self.lookupsModule = modules.lookupsModule;
+    self.searchModule = modules.searchModule;
+    self.objectModule = modules.objectModule;
+    self.updateModule = modules.updateModule;
+    self.logoutRequest = modules.logoutRequest;
+
+    detectMetadataChange(self, previousMetadata);
+};
+
+/**
+ * Logs in again with the original settings and reconfigures the client with the
+ * new session. Concurrent calls made while a renewal is in progress share it.
+ *
+ * @param callback(error) (optional)
+ *
+ * @event session.renewed(systemData) A new session was established
+ */
+Client.prototype.renewSession = function(callback) {
+    var self = this;
+
+    if (self.pendingRenewal) {
+        self.pendingRenewal.push(callback);
+        return;
+    }
+    self.pendingRenewal = [callback];
+
+    logger.debug("RETS session expired, logging in again");
+
+    // the previous session id must not be used to compute the login UA authorization
+    delete self.settings.sessionId;
+
+    retry.run(self.retryPolicy, function(done) {
+        auth.login(self.settings, done);
+    }, function(error, systemData, retsSession) {
+        var callbacks = self.pendingRenewal;
+        self.pendingRenewal = null;
+
+        if (!error) {
+            self.configure(systemData, retsSession, self.settings.loginUrl);
+            self.emit('session.renewed', systemData);
+        }
+
+        callbacks.forEach(function(callback) {
+            if (callback)
+                callback(error);
+        });
+    }, retryListener(self, "login"));
+};
+
+/**
+ * Private method that emits metadata.changed when a login reports another metadata version or
+ * timestamp than the previous one: the previous login of the client, or the last login recorded
+ * in its metadata cache, possibly by another process. The former metadata tree is added to the
+ * event when the cache still holds it.
+ *
+ * @param client The RETS client instance
+ * @param previous the {version, timestamp} reported by the previous login of the client, or null
+ */
+var detectMetadataChange = function(client, previous) {
+    var current = {version: client.metadataVersion, timestamp: client.metadataTimestamp};
+
+    var _emit = function(previous, previousTree) {
+        if (!previous || (previous.version === current.version && previous.timestamp === current.timestamp)) return;
+
+        logger.debug("Metadata changed from version %s to %s", previous.version, current.version);
+        client.emit("metadata.changed", {
+            previous: previous,
+            current: current,
+            previousSchema: previousTree ? schema.createSchema(previousTree) : null
+        });
+    };
+
+    if (!client.metadataCache) {
+        _emit(previous, null);
+        return;
+    }
+
+    client.metadataCache.checkVersion(function(recorded) {
+        recorded = recorded || previous;
+        if (!recorded) return;
+
+        client.metadataCache.peek(metadata.cacheKey("tree", client.settings.metadataFormat), function(entry) {
+            var sameVersion = entry && entry.version === recorded.version && entry.timestamp === recorded.timestamp;
+            _emit(recorded, sameVersion ? entry.value : null);
         });
+    });
+};
+
+/**
+ * Private method that creates the listener of the retries of a transaction,
+ * emitting them as retry events of the client.
+ *
+ * @param client The RETS client instance
+ * @param transaction the name of the transaction (ex: search)
+ * @return function(retry) see lib/retry.js run
+ */
+var retryListener = function(client, transaction) {
+    return function(retryData) {
+        retryData.transaction = transaction;
+        client.emit("retry", retryData);
     };
+};
+
+/**
+ * Private method that runs a RETS transaction and, if it failed because the
+ * session expired, logs in again and replays it once. A failed re-login is
+ * reported as is and never retried.
+ *
+ * @param client The RETS client instance
+ * @param transaction function(done) performing the transaction
+ * @param callback Called with the arguments of the last transaction attempt, or with the login error
+ */
+var withSessionRenewal = function(client, transaction, callback) {
+    transaction(function(error) {
+        if (!utils.isSessionExpired(error)) {
+            callback.apply(null, arguments);
+            return;
+        }
+
+        client.renewSession(function(renewError) {
+            if (renewError) {
+                callback(renewError);
+                return;
+            }
+
+            transaction(callback);
+        });
+    });
+};
+
+/**
+ * Private method that returns the modules performing the transactions of a call: the
+ * client's own, or new ones when the call has a timeout, an abort signal or a metadata format.
+ *
+ * @param client The RETS client instance
+ * @param callOptions (optional) {signal, timeout, format} of the call
+ * @return an object with the metadataModule, searchModule, objectModule, updateModule, lookupsModule and logoutRequest
+ */
+var modulesFor = function(client, callOptions) {
+    if (!callOptions || (!callOptions.signal && !callOptions.timeout && !callOptions.format)) return client;
+
+    return client.createModules(callOptions);
+};
+
+/**
+ * Private method that reads the call options of a query from its _signal and _timeout options.
+ *
+ * @param options (optional) the query options
+ * @return {signal, timeout}
+ */
+var queryCallOptions = function(options) {
+    return {signal: options && options._signal, timeout: options && options._timeout};
+};
+
+/**
+ * Private method that calls the given function with the caller's callback if there is
+ * one, or otherwise with a callback settling the returned promise.
+ *
+ * The promise is marked as handled, so that the calls of callers listening to the events
+ * only never end with an unhandled rejection. Callers using it still get the rejection.
+ *
+ * @param callback The caller's callback (optional)
+ * @param fn function(callback) performing the call
+ * @return a promise settled with the call's data when no callback is given
+ */
+var callbackOrPromise = function(callback, fn) {
+    if (callback) {
+        fn(callback);
+        return;
+    }
+
+    var promise = new Promise(function(resolve, reject) {
+        fn(function(error, data) {
+            if (error) reject(error);
+            else resolve(data);
+        });
+    });
+    promise.catch(function() {});
+    return promise;
+};
+
+/**
+ * Private method that turns a DMQL builder into its query string.
+ *
+ * @param queryString Rets query string or DMQL builder
+ * @return the query string
+ */
+var queryText = function(queryString) {
+    return queryString instanceof dmql.DmqlBuilder ? queryString.toString() : queryString;
+};
 
-    //metadata module
-    self.metadataModule = metadata(_subSession(self.systemData[KEY_GET_METADATA]));
-    //search module
-    self.searchModule = search(self, _subSession(self.systemData[KEY_SEARCH]));
-    //object module
-    self.objectModule = object(_subSession(self.systemData[KEY_GET_OBJECT]));
-    //update module
-    if (KEY_UPDATE in self.systemData) {
-        self.updateModule = update(_subSession(self.systemData[KEY_UPDATE]));
+/**
+ * Private method that copies the query options, so that options can be added for the
+ * search module without changing the caller's ones.
+ *
+ * @param options The query options (optional)
+ * @return the copy
+ */
+var copyOptions = function(options) {
+    var copy = {};
+    for (var key in options) {
+        copy[key] = options[key];
     }
-    //logout request
-    self.logoutRequest = _subSession(self.systemData[KEY_LOGOUT]);
+    return copy;
+};
+
+/**
+ * Private method that adds the record transforms requested by the query options.
+ *
+ * @param client The RETS client instance
+ * @param modules The modules of the call, see modulesFor
+ * @param resourceType Rets resource type (ex: Property)
+ * @param classType  Rets class type (ex: RESI)
+ * @param queryString Rets query string or DMQL builder
+ * @param options The query options given by the caller (optional)
+ * @return the options to pass to the search module
+ */
+var queryModuleOptions = function(client, modules, resourceType, classType, queryString, options) {
+    if (!options || (!options._decodeLookups && !options._coerce && !options._validate)) return options;
+
+    var moduleOptions = copyOptions(options);
+
+    // lookups are decoded from the raw codes
+    if (options._decodeLookups && !moduleOptions._format) moduleOptions._format = 'COMPACT';
+
+    var valueName = options._decodeLookups === true ? 'LongValue' : options._decodeLookups;
+    // the metadata of the transforms is fetched with the timeout and the abort signal of the call
+    var lookupsModule = modules.lookupsModule;
+    var version = client.metadataVersion;
+
+    var validateQuery = function(callback) {
+        if (!options._validate) {
+            callback();
+            return;
+        }
+
+        // syntax errors are reported without fetching any metadata
+        var root;
+        try {
+            root = dmql.parse(queryText(queryString));
+        } catch (syntaxError) {
+            callback(syntaxError);
+            return;
+        }
+
+        lookupsModule.getFields(resourceType, classType, version, function(error, fields) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            lookupsModule.getLookups(resourceType, version, function(error, lookups) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
+                var warnings = dmql.lint(root, fields, lookups);
+                if (warnings.length === 0) {
+                    callback();
+                    return;
+                }
+
+                var errors = warnings.map(function(warning) {
+                    return warning.message;
+                });
+                var validationError = new Error("Invalid query: " + errors.join(", "));
+                validationError.errors = errors;
+                validationError.warnings = warnings;
+                callback(validationError);
+            });
+        });
+    };
+
+    var getCoercer = function(callback) {
+        if (!options._coerce) {
+            callback();
+            return;
+        }
+
+        lookupsModule.getFields(resourceType, classType, version, function(error, fields) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            lookupsModule.getTimeZoneOffset(version, function(error, timeZoneOffset) {
+                callback(error, error ? null : coerce.createCoercer(fields, timeZoneOffset));
+            });
+        });
+    };
+
+    var getTransform = function(callback) {
+        getCoercer(function(error, coercer) {
+            if (error || !options._decodeLookups) {
+                callback(error, coercer);
+                return;
+            }
+
+            lookupsModule.getDecoder(resourceType, classType, version, valueName, function(error, decoder) {
+                if (error || !coercer) {
+                    callback(error, decoder);
+                    return;
+                }
+
+                // LookupMulti values are split before their codes are decoded
+                callback(null, function(record) {
+                    return decoder(coercer(record));
+                });
+            });
+        });
+    };
+
+    moduleOptions._prepare = function(callback) {
+        validateQuery(function(error) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            getTransform(callback);
+        });
+    };
+
+    return moduleOptions;
 };
 
 /**
@@ -174,17 +689,25 @@ var processRetsResponse = function(client, error, data, eventSuccess, eventFailu
  * Logout RETS user.
  *
  * @param logoutRequest Pre-configured logout request
+ * @param options (optional) {signal, timeout}: an AbortSignal aborting the call, and the timeout of its requests
  * @param callback(error)
  *
  * @event logout.success Disconnect was successful
  * @event logout.failure(error) Disconnect failure
  *
  */
-Client.prototype.logout = function(callback) {
+Client.prototype.logout = function(options, callback) {
     var self = this;
 
-    auth.logout(self.logoutRequest, function(error){
-        processRetsResponse(self, error, null, "logout.success", "logout.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        auth.logout(modulesFor(self, options).logoutRequest, function(error){
+            processRetsResponse(self, error, null, "logout.success", "logout.failure", callback);
+        });
     });
 };
 
@@ -194,65 +717,108 @@ Client.prototype.logout = function(callback) {
  * @param type Metadata type (i.e METADATA-RESOURCE, METADATA-CLASS)
  * @param id Metadata id
  * @param format Data format (i.e. COMPACT, COMPACT-DECODED)
+ * @param options (optional) {signal, timeout}: an AbortSignal aborting the call, and the timeout of its requests
  * @param callback(error, data) (optional)
  *
  * @event metadata.success(data) Metadata call is successful
  * @event metadata.failure(error) Metadata call failed.
  */
-Client.prototype.getMetadata = function(type, id, format, callback) {
+Client.prototype.getMetadata = function(type, id, format, options, callback) {
 
     var self = this;
 
-    self.metadataModule.getMetadata(type, id, format, function(error, data) {
-        processRetsResponse(self, error, data, "metadata.success", "metadata.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getMetadata(type, id, format, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.success", "metadata.failure", callback);
+        });
     });
 };
 
 /**
  * Helper that retrieves RETS system metadata
  *
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
  * @param callback(error, data) (optional)
  *
  * @event metadata.system.success(data) Metadata call is successful
  * @event metadata.system.failure(error) Metadata call failed
  */
-Client.prototype.getSystem = function(callback) {
+Client.prototype.getSystem = function(options, callback) {
     var self = this;
 
-    self.metadataModule.getSystem(function(error, data) {
-        processRetsResponse(self, error, data, "metadata.system.success", "metadata.system.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getSystem(done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.system.success", "metadata.system.failure", callback);
+        });
     });
 };
 
 /**
  * Helper that retrieves RETS resource metadata.
  *
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
  * @param callback(error, data) (optional)
  *
  * @event metadata.resources.success(data) Metadata call is successful
  * @event metadata.resources.failure(error) Metadata call failed
  */
-Client.prototype.getResources = function(callback) {
+Client.prototype.getResources = function(options, callback) {
     var self = this;
 
-    self.metadataModule.getResources(function(error, data){
-        processRetsResponse(self, error, data, "metadata.resources.success", "metadata.resources.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getResources(done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.resources.success", "metadata.resources.failure", callback);
+        });
     });
 };
 
 /**
  * Helper that retrieves a listing of ALL RETS foreign key metadata.
  *
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
  * @param callback(error, data) (optional)
  *
  * @event metadata.all.foreignkeys.success(data) Metadata call is successful
  * @event metadata.all.foreignkeys.failure(error) Metadata call failed
  */
-Client.prototype.getAllForeignKeys = function(callback) {
+Client.prototype.getAllForeignKeys = function(options, callback) {
     var self = this;
 
-    self.metadataModule.getAllForeignKeys(function(error, data) {
-        processRetsResponse(self, error, data, "metadata.all.foreignkeys.success", "metadata.all.foreignkeys.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getAllForeignKeys(done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.all.foreignkeys.success", "metadata.all.foreignkeys.failure", callback);
+        });
     });
 };
 
@@ -260,32 +826,54 @@ Client.prototype.getAllForeignKeys = function(callback) {
  * Helper that retrieves RETS foreign key metadata.
  *
  * @param resourceType Class resource type (i.e. Property, OpenHouse)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
  * @param callback(error, data) (optional)
  *
  * @event metadata.foreignkeys.success(data) Metadata call is successful
  * @event metadata.foreignkeys.failure(error) Metadata call failed
  */
-Client.prototype.getForeignKeys = function(resourceType, callback) {
+Client.prototype.getForeignKeys = function(resourceType, options, callback) {
     var self = this;
 
-    self.metadataModule.getForeignKeys(resourceType, function(error, data) {
-        processRetsResponse(self, error, data, "metadata.foreignkeys.success", "metadata.foreignkeys.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getForeignKeys(resourceType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.foreignkeys.success", "metadata.foreignkeys.failure", callback);
+        });
     });
 };
 
 /**
  * Helper that retrieves a listing of ALL RETS class metadata.
  *
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
  * @param callback(error, data) (optional)
  *
  * @event metadata.all.class.success(data) Metadata call is successful
  * @event metadata.all.class.failure(error) Metadata call failed
  */
-Client.prototype.getAllClass = function(callback) {
+Client.prototype.getAllClass = function(options, callback) {
     var self = this;
 
-    self.metadataModule.getAllClass(function(error, data) {
-        processRetsResponse(self, error, data, "metadata.all.class.success", "metadata.all.class.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getAllClass(done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.all.class.success", "metadata.all.class.failure", callback);
+        });
     });
 };
 
@@ -293,32 +881,54 @@ Client.prototype.getAllClass = function(callback) {
  * Helper that retrieves RETS class metadata.
  *
  * @param resourceType Class resource type (i.e. Property, OpenHouse)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
  * @param callback(error, data) (optional)
  *
  * @event metadata.class.success(data) Metadata call is successful
  * @event metadata.class.failure(error) Metadata call failed
  */
-Client.prototype.getClass = function(resourceType, callback) {
+Client.prototype.getClass = function(resourceType, options, callback) {
     var self = this;
 
-    self.metadataModule.getClass(resourceType, function(error, data) {
-        processRetsResponse(self, error, data, "metadata.class.success", "metadata.class.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getClass(resourceType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.class.success", "metadata.class.failure", callback);
+        });
     });
 };
 
 /**
  * Helper that retrieves a listing of ALL RETS table metadata.
  *
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
  * @param callback(error, data) (optional)
  *
  * @event metadata.all.table.success(data) Metadata call is successful
  * @event metadata.all.table.failure(error) Metadata call failed
  */
-Client.prototype.getAllTable = function(callback) {
+Client.prototype.getAllTable = function(options, callback) {
     var self = this;
 
-    self.metadataModule.getAllTable(function(error, data) {
-        processRetsResponse(self, error, data, "metadata.all.table.success", "metadata.all.table.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getAllTable(done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.all.table.success", "metadata.all.table.failure", callback);
+        });
     });
 };
 
@@ -327,32 +937,54 @@ Client.prototype.getAllTable = function(callback) {
  *
  * @param resourceType Table resource type (i.e. Property, OpenHouse)
  * @param classType Table class type (RESI, LAND, etc.)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
  * @param callback(error, data) (optional)
  *
  * @event metadata.table.success(data) Metadata call is successful
  * @event metadata.table.failure(error) Metadata call failed
  */
-Client.prototype.getTable = function(resourceType, classType, callback) {
+Client.prototype.getTable = function(resourceType, classType, options, callback) {
     var self = this;
 
-    self.metadataModule.getTable(resourceType, classType, function(error, data) {
-        processRetsResponse(self, error, data, "metadata.table.success", "metadata.table.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getTable(resourceType, classType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.table.success", "metadata.table.failure", callback);
+        });
     });
 };
 
 /**
  * Helper that retrieves a listing of ALL RETS resource lookups metadata.
  *
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
  * @param callback(error, data) (optional)
  *
  * @event metadata.all.lookups.success(data) Metadata call is successful
  * @event metadata.all.lookups.failure(error) Metadata call failed
  */
-Client.prototype.getAllLookups = function(callback) {
+Client.prototype.getAllLookups = function(options, callback) {
     var self = this;
 
-    self.metadataModule.getAllLookups(function(error, data) {
-        processRetsResponse(self, error, data, "metadata.all.lookups.success", "metadata.all.lookups.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getAllLookups(done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.all.lookups.success", "metadata.all.lookups.failure", callback);
+        });
     });
 };
 
@@ -360,33 +992,55 @@ Client.prototype.getAllLookups = function(callback) {
  * Helper that retrieves a RETS resource lookups metadata.
  *
  * @param resourceType Table resource type (i.e. Property, OpenHouse)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
  * @param callback(error, data) (optional)
  *
  * @event metadata.lookups.success(data) Metadata call is successful
  * @event metadata.lookups.failure(error) Metadata call failed
  *
  */
-Client.prototype.getLookups = function(resourceType, callback) {
+Client.prototype.getLookups = function(resourceType, options, callback) {
     var self = this;
 
-    self.metadataModule.getLookups(resourceType, function(error, data) {
-        processRetsResponse(self, error, data, "metadata.lookups.success", "metadata.lookups.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getLookups(resourceType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.lookups.success", "metadata.lookups.failure", callback);
+        });
     });
 };
 
 /**
  * Helper that retrieves a listing of ALL RETS resource lookup types metadata.
  *
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
  * @param callback(error, data) (optional)
  *
  * @event metadata.all.lookupTypes.success(data) Metadata call is successful
  * @event metadata.all.lookupTypes.failure(error) Metadata call failed
  */
-Client.prototype.getAllLookupTypes = function(callback) {
+Client.prototype.getAllLookupTypes = function(options, callback) {
     var self = this;
 
-    self.metadataModule.getAllLookupTypes(function(error, data) {
-        processRetsResponse(self, error, data, "metadata.all.lookupTypes.success", "metadata.all.lookupTypes.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getAllLookupTypes(done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.all.lookupTypes.success", "metadata.all.lookupTypes.failure", callback);
+        });
     });
 };
 
@@ -395,16 +1049,27 @@ Client.prototype.getAllLookupTypes = function(callback) {
  *
  * @param resourceType Table resource type (i.e. Property, OpenHouse)
  * @param lookupType (ArchitecturalStyle, etc.)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
  * @param callback(error, data) (optional)
  *
  * @event metadata.lookupTypes.success(data) Metadata call is successful
  * @event metadata.lookupTypes.failure(error) Metadata call failed
  */
-Client.prototype.getLookupTypes = function(resourceType, lookupType, callback) {
+Client.prototype.getLookupTypes = function(resourceType, lookupType, options, callback) {
     var self = this;
 
-    self.metadataModule.getLookupTypes(resourceType, lookupType, function(error, data) {
-        processRetsResponse(self, error, data, "metadata.lookupTypes.success", "metadata.lookupTypes.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getLookupTypes(resourceType, lookupType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.lookupTypes.success", "metadata.lookupTypes.failure", callback);
+        });
     });
 };
 
@@ -412,77 +1077,826 @@ Client.prototype.getLookupTypes = function(resourceType, lookupType, callback) {
  * Helper that retrieves a RETS resource object metadata.
  *
  * @param resourceType Table resource type (i.e. Property, OpenHouse)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
  * @param callback(error, data) (optional)
  *
  * @event metadata.object.success(data) Metadata call is successful
  * @event metadata.object.failure(error) Metadata call failed
  */
-Client.prototype.getObjectMeta = function(resourceType, callback) {
+Client.prototype.getObjectMeta = function(resourceType, options, callback) {
     var self = this;
 
-    self.metadataModule.getObject(resourceType, function(error, data) {
-        processRetsResponse(self, error, data, "metadata.object.success", "metadata.object.failure", callback);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getObject(resourceType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.object.success", "metadata.object.failure", callback);
+        });
     });
 };
 
 /**
- * Invokes RETS search operation.
- *
- * @param _queryOptions Search query options.
- *        See RETS specification for query options.
+ * Helper that retrieves RETS update metadata.
  *
- *        Default values query params:
+ * @param resourceType Update resource type (i.e. Property)
+ * @param classType (optional) Update class type (i.e. RESI)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
  *
- *           queryType:'DMQL2',
- *           format:'COMPACT-DECODED',
- *           count:1,
- *           standardNames:0,
- *           restrictedIndicator:'***',
- *           limit:"NONE"
+ * @event metadata.updates.success(data) Metadata call is successful
+ * @event metadata.updates.failure(error) Metadata call failed
+ */
+Client.prototype.getUpdates = function(resourceType, classType, options, callback) {
+    var self = this;
+
+    if (typeof classType === 'function') {
+        callback = classType;
+        classType = null;
+    } else if (classType && typeof classType === 'object') {
+        callback = options;
+        options = classType;
+        classType = null;
+    }
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getUpdates(resourceType, classType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.updates.success", "metadata.updates.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that retrieves RETS update type metadata.
  *
+ * @param resourceType Update resource type (i.e. Property)
+ * @param classType Update class type (i.e. RESI)
+ * @param updateType (optional) Update name (i.e. Add, Change)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
  * @param callback(error, data) (optional)
  *
- * @event search.success(data) Search RETS is successful
- * @event search.failure(error) Search RETS failed
+ * @event metadata.updateTypes.success(data) Metadata call is successful
+ * @event metadata.updateTypes.failure(error) Metadata call failed
  */
-Client.prototype.searchRets = function(_queryOptions, callback) {
+Client.prototype.getUpdateTypes = function(resourceType, classType, updateType, options, callback) {
     var self = this;
 
-    self.searchModule.searchRets(_queryOptions, function(error, data) {
-        processRetsResponse(self, error, data, "search.success", "search.failure", callback);
+    if (typeof updateType === 'function') {
+        callback = updateType;
+        updateType = null;
+    } else if (updateType && typeof updateType === 'object') {
+        callback = options;
+        options = updateType;
+        updateType = null;
+    }
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getUpdateTypes(resourceType, classType, updateType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.updateTypes.success", "metadata.updateTypes.failure", callback);
+        });
     });
 };
 
 /**
+ * Helper that retrieves RETS update help metadata.
  *
- * Helper that performs a targeted RETS search query and parses results.
- *
- * @param resourceType Rets resource type (ex: Property)
- * @param classType  Rets class type (ex: RESI)
- * @param queryString Rets query string. See RETS specification - (ex: MatrixModifiedDT=2014-01-01T00:00:00.000+)
- * @param options (optional) Other options, such as:
- *          _limit: limits the number of records returned.
- *          _select: specifies the fields to return.
+ * @param resourceType Resource type (i.e. Property)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
  *
- * @event query.success(data) Query is successful
- * @event query.failure(error) Query failed
+ * @event metadata.updateHelp.success(data) Metadata call is successful
+ * @event metadata.updateHelp.failure(error) Metadata call failed
  */
-Client.prototype.query = function(resourceType, classType, queryString, options) {
+Client.prototype.getUpdateHelp = function(resourceType, options, callback) {
     var self = this;
 
-    self.searchModule.query(resourceType, classType, queryString, function(error, data){
-            processRetsResponse(self, error, data, "query.success", "query.failure");
-        },
-        options);
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getUpdateHelp(resourceType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.updateHelp.success", "metadata.updateHelp.failure", callback);
+        });
+    });
 };
 
 /**
- * Retrieves RETS object data.
+ * Helper that retrieves RETS edit mask metadata.
  *
- * @param resourceType Rets resource type (ex: Property)
+ * @param resourceType Resource type (i.e. Property)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
+ *
+ * @event metadata.editMasks.success(data) Metadata call is successful
+ * @event metadata.editMasks.failure(error) Metadata call failed
+ */
+Client.prototype.getEditMasks = function(resourceType, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getEditMasks(resourceType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.editMasks.success", "metadata.editMasks.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that retrieves RETS search help metadata.
+ *
+ * @param resourceType Resource type (i.e. Property)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
+ *
+ * @event metadata.searchHelp.success(data) Metadata call is successful
+ * @event metadata.searchHelp.failure(error) Metadata call failed
+ */
+Client.prototype.getSearchHelp = function(resourceType, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getSearchHelp(resourceType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.searchHelp.success", "metadata.searchHelp.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that retrieves RETS validation lookup metadata.
+ *
+ * @param resourceType Resource type (i.e. Property)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
+ *
+ * @event metadata.validationLookups.success(data) Metadata call is successful
+ * @event metadata.validationLookups.failure(error) Metadata call failed
+ */
+Client.prototype.getValidationLookups = function(resourceType, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getValidationLookups(resourceType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.validationLookups.success", "metadata.validationLookups.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that retrieves RETS validation lookup type metadata.
+ *
+ * @param resourceType Resource type (i.e. Property)
+ * @param validationLookup (optional) Validation lookup name
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
+ *
+ * @event metadata.validationLookupTypes.success(data) Metadata call is successful
+ * @event metadata.validationLookupTypes.failure(error) Metadata call failed
+ */
+Client.prototype.getValidationLookupTypes = function(resourceType, validationLookup, options, callback) {
+    var self = this;
+
+    if (typeof validationLookup === 'function') {
+        callback = validationLookup;
+        validationLookup = null;
+    } else if (validationLookup && typeof validationLookup === 'object') {
+        callback = options;
+        options = validationLookup;
+        validationLookup = null;
+    }
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getValidationLookupTypes(resourceType, validationLookup, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.validationLookupTypes.success", "metadata.validationLookupTypes.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that retrieves RETS validation external metadata.
+ *
+ * @param resourceType Resource type (i.e. Property)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
+ *
+ * @event metadata.validationExternals.success(data) Metadata call is successful
+ * @event metadata.validationExternals.failure(error) Metadata call failed
+ */
+Client.prototype.getValidationExternals = function(resourceType, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getValidationExternals(resourceType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.validationExternals.success", "metadata.validationExternals.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that retrieves RETS validation external type metadata.
+ *
+ * @param resourceType Resource type (i.e. Property)
+ * @param validationExternal (optional) Validation external name
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
+ *
+ * @event metadata.validationExternalTypes.success(data) Metadata call is successful
+ * @event metadata.validationExternalTypes.failure(error) Metadata call failed
+ */
+Client.prototype.getValidationExternalTypes = function(resourceType, validationExternal, options, callback) {
+    var self = this;
+
+    if (typeof validationExternal === 'function') {
+        callback = validationExternal;
+        validationExternal = null;
+    } else if (validationExternal && typeof validationExternal === 'object') {
+        callback = options;
+        options = validationExternal;
+        validationExternal = null;
+    }
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getValidationExternalTypes(resourceType, validationExternal, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.validationExternalTypes.success", "metadata.validationExternalTypes.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that retrieves RETS validation expression metadata.
+ *
+ * @param resourceType Resource type (i.e. Property)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
+ *
+ * @event metadata.validationExpressions.success(data) Metadata call is successful
+ * @event metadata.validationExpressions.failure(error) Metadata call failed
+ */
+Client.prototype.getValidationExpressions = function(resourceType, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getValidationExpressions(resourceType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.validationExpressions.success", "metadata.validationExpressions.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that retrieves RETS column group metadata (RETS 1.8).
+ *
+ * @param resourceType Resource type (i.e. Property)
+ * @param classType (optional) Class type (i.e. RESI)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
+ *
+ * @event metadata.columnGroups.success(data) Metadata call is successful
+ * @event metadata.columnGroups.failure(error) Metadata call failed
+ */
+Client.prototype.getColumnGroups = function(resourceType, classType, options, callback) {
+    var self = this;
+
+    if (typeof classType === 'function') {
+        callback = classType;
+        classType = null;
+    } else if (classType && typeof classType === 'object') {
+        callback = options;
+        options = classType;
+        classType = null;
+    }
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getColumnGroups(resourceType, classType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.columnGroups.success", "metadata.columnGroups.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that retrieves RETS column group set metadata (RETS 1.8).
+ *
+ * @param resourceType Resource type (i.e. Property)
+ * @param classType (optional) Class type (i.e. RESI)
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
+ *
+ * @event metadata.columnGroupSets.success(data) Metadata call is successful
+ * @event metadata.columnGroupSets.failure(error) Metadata call failed
+ */
+Client.prototype.getColumnGroupSets = function(resourceType, classType, options, callback) {
+    var self = this;
+
+    if (typeof classType === 'function') {
+        callback = classType;
+        classType = null;
+    } else if (classType && typeof classType === 'object') {
+        callback = options;
+        options = classType;
+        classType = null;
+    }
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getColumnGroupSets(resourceType, classType, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.columnGroupSets.success", "metadata.columnGroupSets.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that retrieves RETS column group control metadata (RETS 1.8).
+ *
+ * @param resourceType Resource type (i.e. Property)
+ * @param classType Class type (i.e. RESI)
+ * @param columnGroup (optional) Column group name
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
+ *
+ * @event metadata.columnGroupControls.success(data) Metadata call is successful
+ * @event metadata.columnGroupControls.failure(error) Metadata call failed
+ */
+Client.prototype.getColumnGroupControls = function(resourceType, classType, columnGroup, options, callback) {
+    var self = this;
+
+    if (typeof columnGroup === 'function') {
+        callback = columnGroup;
+        columnGroup = null;
+    } else if (columnGroup && typeof columnGroup === 'object') {
+        callback = options;
+        options = columnGroup;
+        columnGroup = null;
+    }
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getColumnGroupControls(resourceType, classType, columnGroup, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.columnGroupControls.success", "metadata.columnGroupControls.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that retrieves RETS column group table metadata (RETS 1.8).
+ *
+ * @param resourceType Resource type (i.e. Property)
+ * @param classType Class type (i.e. RESI)
+ * @param columnGroup (optional) Column group name
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
+ *
+ * @event metadata.columnGroupTables.success(data) Metadata call is successful
+ * @event metadata.columnGroupTables.failure(error) Metadata call failed
+ */
+Client.prototype.getColumnGroupTables = function(resourceType, classType, columnGroup, options, callback) {
+    var self = this;
+
+    if (typeof columnGroup === 'function') {
+        callback = columnGroup;
+        columnGroup = null;
+    } else if (columnGroup && typeof columnGroup === 'object') {
+        callback = options;
+        options = columnGroup;
+        columnGroup = null;
+    }
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getColumnGroupTables(resourceType, classType, columnGroup, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.columnGroupTables.success", "metadata.columnGroupTables.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that retrieves RETS column group normalization metadata (RETS 1.8).
+ *
+ * @param resourceType Resource type (i.e. Property)
+ * @param classType Class type (i.e. RESI)
+ * @param columnGroup (optional) Column group name
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
+ *
+ * @event metadata.columnGroupNormalizations.success(data) Metadata call is successful
+ * @event metadata.columnGroupNormalizations.failure(error) Metadata call failed
+ */
+Client.prototype.getColumnGroupNormalizations = function(resourceType, classType, columnGroup, options, callback) {
+    var self = this;
+
+    if (typeof columnGroup === 'function') {
+        callback = columnGroup;
+        columnGroup = null;
+    } else if (columnGroup && typeof columnGroup === 'object') {
+        callback = options;
+        options = columnGroup;
+        columnGroup = null;
+    }
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getColumnGroupNormalizations(resourceType, classType, columnGroup, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.columnGroupNormalizations.success", "metadata.columnGroupNormalizations.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that retrieves RETS filter metadata (RETS 1.8).
+ *
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
+ *
+ * @event metadata.filters.success(data) Metadata call is successful
+ * @event metadata.filters.failure(error) Metadata call failed
+ */
+Client.prototype.getFilters = function(options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getFilters(done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.filters.success", "metadata.filters.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that retrieves RETS filter type metadata (RETS 1.8).
+ *
+ * @param filterId Filter id
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, data) (optional)
+ *
+ * @event metadata.filterTypes.success(data) Metadata call is successful
+ * @event metadata.filterTypes.failure(error) Metadata call failed
+ */
+Client.prototype.getFilterTypes = function(filterId, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).metadataModule.getFilterTypes(filterId, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.filterTypes.success", "metadata.filterTypes.failure", callback);
+        });
+    });
+};
+
+/**
+ * Retrieves the whole metadata of the server as a schema linking resources to their classes,
+ * fields, lookups and objects, i.e. schema.resource('Property').class('RESI').field('ListPrice').
+ * The metadata is retrieved in a single request when the server supports METADATA-SYSTEM with
+ * Id=*, or else with a request per metadata type and resource.
+ *
+ * @param options (optional) {signal, timeout, format}: an AbortSignal aborting the call, the timeout of its
+ *        requests, and the metadata format, COMPACT (default) or STANDARD-XML
+ * @param callback(error, schema) (optional) see lib/schema.js
+ *
+ * @event metadata.schema.success(schema) Metadata call is successful
+ * @event metadata.schema.failure(error) Metadata call failed
+ */
+Client.prototype.getSchema = function(options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            schema(modulesFor(self, options).metadataModule).getSchema(done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "metadata.schema.success", "metadata.schema.failure", callback);
+        });
+    });
+};
+
+/**
+ * Invokes RETS search operation.
+ *
+ * @param _queryOptions Search query options.
+ *        See RETS specification for query options.
+ *
+ *        Default values query params:
+ *
+ *           queryType:'DMQL2',
+ *           format:'COMPACT-DECODED',
+ *           count:1,
+ *           standardNames:0,
+ *           restrictedIndicator:'***',
+ *           limit:"NONE"
+ *
+ * @param options (optional) {signal, timeout}: an AbortSignal aborting the call, and the timeout of its requests
+ * @param callback(error, data) (optional)
+ *
+ * @event search.success(data) Search RETS is successful
+ * @event search.failure(error) Search RETS failed
+ */
+Client.prototype.searchRets = function(_queryOptions, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).searchModule.searchRets(_queryOptions, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "search.success", "search.failure", callback);
+        });
+    });
+};
+
+/**
+ * Invokes RETS search operation and parses the COMPACT or COMPACT-DECODED response as it
+ * arrives, without holding the whole document in memory.
+ *
+ * @param _queryOptions Search query options, as for searchRets.
+ * @param options (optional) {signal, timeout}: an AbortSignal aborting the call, and the timeout of its requests
+ *
+ * @return an object-mode Readable stream of records. It emits errors, and the
+ *         columns(columns), count(total) and maxrows events of the response.
+ */
+Client.prototype.searchStream = function(_queryOptions, options) {
+    return modulesFor(this, options).searchModule.searchStream(_queryOptions);
+};
+
+/**
+ *
+ * Helper that performs a targeted RETS search query and parses results.
+ *
+ * @param resourceType Rets resource type (ex: Property)
+ * @param classType  Rets class type (ex: RESI)
+ * @param queryString Rets query string. See RETS specification - (ex: MatrixModifiedDT=2014-01-01T00:00:00.000+),
+ *        or a DMQL builder (see rets.dmql())
+ * @param options (optional) Other options, such as:
+ *          _limit: limits the number of records returned.
+ *          _select: specifies the fields to return.
+ *          _format: COMPACT-DECODED (default), COMPACT or STANDARD-XML. STANDARD-XML
+ *                   records are objects mirroring the nesting of the listing elements.
+ *          _standardNames: use the standard names instead of the system names.
+ *          _decodeLookups: true, LongValue or ShortValue to request COMPACT data and decode the
+ *                   Lookup and LookupMulti fields using the class's table and lookup metadata,
+ *                   which is cached per metadata version. The codes are kept in record._raw.
+ *          _validate: parse the query and check its field names, their Searchable flag and the lookup
+ *                   values against the class's table and lookup metadata before the query is sent.
+ *                   Syntax errors have the position of the error, and other errors have the
+ *                   warnings of rets.dmql.lint.
+ *          _coerce: convert values using the DataType, Precision and Interpretation of the class's
+ *                   table metadata: numbers, booleans, Date objects (DateTime values are in the
+ *                   system's TimeZoneOffset unless they have their own), arrays for LookupMulti
+ *                   fields, and null for empty strings.
+ *          _paging: offset (default) or key, to page by _pagingKey (ex: ListingKey) on servers
+ *                   that ignore Offset. _uniqueKey identifies records when the key is not unique.
+ *          _countFirst: count the records first (Count=2), to emit progress events.
+ *          _partition: {field, from, to, sort} splits the query into windows of a date field, halved
+ *                   until the server returns all the records of each (ex: {field:
+ *                   'ModificationTimestamp', from: '2015-01-01'}, to defaults to now). With sort,
+ *                   the records of each window are ordered by the field on the client.
+ *          _signal: an AbortSignal aborting the query. No page is fetched once it is aborted, and the
+ *                   query fails with a RetsAbortError.
+ *          _timeout: the timeout of each request of the query, in milliseconds.
+ *          _collect: false to keep no records, for callers listening to the data events only.
+ *                   The callback or the promise then gets null.
+ * @param callback(error, data) (optional) called with the records of all pages. Without callback, a
+ *        promise of the records is returned.
+ *
+ * @event data(searchResults) A page of results was fetched
+ * @event progress(progress) With _countFirst, before the first page and after each page:
+ *        {fetched, total, percent, elapsed, eta}, elapsed and eta being milliseconds
+ * @event end All pages were fetched
+ * @event query.success(data) Query is successful, data being the records of all pages when they are kept, or null
+ * @event query.failure(error) Query failed
+ */
+Client.prototype.query = function(resourceType, classType, queryString, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        var modules = modulesFor(self, queryCallOptions(options));
+        var moduleOptions = queryModuleOptions(self, modules, resourceType, classType, queryString, options);
+        modules.searchModule.query(resourceType, classType, queryText(queryString), function(error, data) {
+                processRetsResponse(self, error, data, "query.success", "query.failure", callback);
+            },
+            moduleOptions);
+    });
+};
+
+/**
+ * Counts the records of a query without fetching them.
+ *
+ * @param resourceType Rets resource type (ex: Property)
+ * @param classType  Rets class type (ex: RESI)
+ * @param queryString Rets query string, or a DMQL builder (see rets.dmql())
+ * @param options (optional) _signal and _timeout, as for query
+ * @param callback(error, total) (optional) total is 0 when no records were found
+ *
+ * @event count.success(total) Count is successful
+ * @event count.failure(error) Count failed
+ */
+Client.prototype.count = function(resourceType, classType, queryString, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        // the search module logs in again itself if the session expired
+        var searchModule = modulesFor(self, queryCallOptions(options)).searchModule;
+        searchModule.count(resourceType, classType, queryText(queryString), function(error, total) {
+            processRetsResponse(self, error, total, "count.success", "count.failure", callback);
+        });
+    });
+};
+
+/**
+ * Helper that performs a targeted RETS query and returns its records as a stream.
+ *
+ * Pages are fetched as the stream is consumed, and errors are emitted on the stream
+ * rather than on the client. The stream is async iterable on Node.js 10 and later:
+ *
+ *      for await (const record of client.queryStream('Property', 'RESI', query)) { ... }
+ *
+ * @param resourceType Rets resource type (ex: Property)
+ * @param classType  Rets class type (ex: RESI)
+ * @param queryString Rets query string. See RETS specification - (ex: MatrixModifiedDT=2014-01-01T00:00:00.000+),
+ *        or a DMQL builder (see rets.dmql())
+ * @param options (optional) Same options as query
+ *
+ * @return an object-mode Readable stream of records, emitting page(searchResults) for each fetched page,
+ *         and progress(progress) with _countFirst
+ */
+Client.prototype.queryStream = function(resourceType, classType, queryString, options) {
+    var modules = modulesFor(this, queryCallOptions(options));
+    return modules.searchModule.queryStream(resourceType, classType, queryText(queryString),
+        queryModuleOptions(this, modules, resourceType, classType, queryString, options));
+};
+
+/**
+ * Finds the records that vanished from the server, and the ones that appeared, by comparing
+ * the keys of the records on the server with the ids known by the caller.
+ *
+ * Only the key field is fetched. The server keys are held in memory, sorted, and each known
+ * id is looked up in them as it is read, so the known ids can be streamed and are never held.
+ *
+ * @param resourceType Rets resource type (ex: Property)
+ * @param classType  Rets class type (ex: RESI)
+ * @param options.keyField the field identifying records (ex: ListingKey)
+ * @param options.known the known ids: an Array, a Set or an object-mode Readable stream
+ * @param options.query (optional) the records to compare with (default: (keyField=.ANY.))
+ * @param options.queryOptions (optional) other query options, such as _limit or _paging
+ * @param callback(error, result) (optional) result is {vanished, appeared, total}
+ *
+ * @event reconcile.success(result) Reconciliation is successful
+ * @event reconcile.failure(error) Reconciliation failed
+ */
+Client.prototype.reconcile = function(resourceType, classType, options, callback) {
+    var self = this;
+
+    return callbackOrPromise(callback, function(callback) {
+        reconcile.reconcile(self, resourceType, classType, options, function(error, result) {
+            processRetsResponse(self, error, result, "reconcile.success", "reconcile.failure", callback);
+        });
+    });
+};
+
+/**
+ * Retrieves RETS object data.
+ *
+ * @param resourceType Rets resource type (ex: Property)
  * @param objectType Rets object type (ex: LargePhoto)
  * @param objectId Object identifier
+ * @param options (optional) {signal, timeout}: an AbortSignal aborting the call, and the timeout of its requests
  * @param callback(error, contentType, data) (optional)
+ *        without callback, a Promise resolved with {contentType, data} is returned
  *
  * @event object.success({
  *
@@ -491,20 +1905,34 @@ Client.prototype.query = function(resourceType, classType, queryString, options)
 *                       }) Object call is successful
  * @event object.failure(error) Object call failed
  */
-Client.prototype.getObject = function(resourceType, objectType, objectId, callback) {
+Client.prototype.getObject = function(resourceType, objectType, objectId, options, callback) {
     var self = this;
 
-    self.objectModule.getObject(resourceType, objectType, objectId, function(error, contentType, data) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    if (!callback) {
+        return callbackOrPromise(null, function(callback) {
+            self.getObject(resourceType, objectType, objectId, options, function(error, contentType, data) {
+                callback(error, {contentType:contentType, data:data});
+            });
+        });
+    }
+
+    withSessionRenewal(self, function(done) {
+        modulesFor(self, options).objectModule.getObject(resourceType, objectType, objectId, done);
+    }, function(error, contentType, data) {
 
         if (error) {
-            if (callback)
-                callback(error);
+            callback(error);
 
             self.emit("object.failure", error);
+            return;
         }
 
-        if (callback)
-            callback(error, contentType, data);
+        callback(error, contentType, data);
 
         self.emit("object.success", {contentType:contentType, data:data});
     });
@@ -517,6 +1945,7 @@ Client.prototype.getObject = function(resourceType, objectType, objectId, callba
  * @param photoType Photo object type, based on getObjects meta call (ex: LargePhoto, Photo)
  * @param matrixId Photo matrix identifier.
  * @param index the index of the photo to retrieve (all if not specified, i.e. *)
+ * @param options (optional) {signal, timeout}: an AbortSignal aborting the call, and the timeout of its requests
  * @param callback(error, dataList) (optional)
  *
  *      Each item in data list is an object with the following data elements:
@@ -534,11 +1963,28 @@ Client.prototype.getObject = function(resourceType, objectType, objectId, callba
  * @event photos.failure(error) Photos call failed
  *
  */
-Client.prototype.getPhotos = function(resourceType, photoType, matrixId, index, callback) {
+Client.prototype.getPhotos = function(resourceType, photoType, matrixId, index, options, callback) {
     var self = this;
 
-    self.objectModule.getPhotos(resourceType, photoType, matrixId, index, function(error, data) {
-        processRetsResponse(self, error, data, "photos.success", "photos.failure", callback);
+    if (typeof index === 'function') {
+        callback = index;
+        index = null;
+    } else if (index && typeof index === 'object') {
+        callback = options;
+        options = index;
+        index = null;
+    }
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    return callbackOrPromise(callback, function(callback) {
+        withSessionRenewal(self, function(done) {
+            modulesFor(self, options).objectModule.getPhotos(resourceType, photoType, matrixId, index, done);
+        }, function(error, data) {
+            processRetsResponse(self, error, data, "photos.success", "photos.failure", callback);
+        });
     });
 };
 
@@ -551,23 +1997,34 @@ Client.prototype.getPhotos = function(resourceType, photoType, matrixId, index,
  * @param updateType the type of update to carry out (see section 11.3.4 of the RETS spec)
  * @param fields the fields to update
  * @param auth additional authorization parameters to perform delegated updated
+ * @param options (optional) {signal, timeout}: an AbortSignal aborting the call, and the timeout of its requests
  * @param callback(error, data) (optional)
  *
  * @event update.success(data) Update is successful
  * @event update.failure(error) Update failed
  */
-Client.prototype.update = function(resourceType, classType, updateType, fields, auth, callback) {
+Client.prototype.update = function(resourceType, classType, updateType, fields, auth, options, callback) {
     var self = this;
 
-    if (!self.updateModule) {
-        processRetsResponse(self, "Update not supported", null, "update.success", "update.failure", callback);
-    } else {
-        // add currently RETS session id to compute the proper delegate auth
-        auth.sessionId = self.systemData.sessionId;
-        self.updateModule.update(resourceType, classType, updateType, fields, auth, function(error, data) {
-            processRetsResponse(self, error, data, "update.success", "update.failure", callback);
-        });
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
     }
+
+    return callbackOrPromise(callback, function(callback) {
+        if (!self.updateModule) {
+            processRetsResponse(self, new Error("Update not supported"), null, "update.success", "update.failure", callback);
+        } else {
+            withSessionRenewal(self, function(done) {
+                // add currently RETS session id to compute the proper delegate auth, which
+                // changes when the update is replayed after logging in again
+                auth.sessionId = self.systemData.sessionId;
+                modulesFor(self, options).updateModule.update(resourceType, classType, updateType, fields, auth, done);
+            }, function(error, data) {
+                processRetsResponse(self, error, data, "update.success", "update.failure", callback);
+            });
+        }
+    });
 };
 
 
@@ -0,0 +1,97 @@
+var EventEmitter = require('events').EventEmitter,
+    errors = require('./errors.js');
+
+/**
+ * Wraps a request function so that its requests are aborted when the signal is, failing with
+ * a RetsAbortError. Once the signal is aborted, no request is sent.
+ *
+ * @param request function(options, callback(error, response, body)), such as a request session.
+ *        Requests made without callback are streamed, the error is then emitted by the request.
+ * @param signal an AbortSignal, or any object with an aborted flag and the addEventListener and
+ *        removeEventListener methods for abort events
+ * @param transaction the name of the RETS transaction (ex: search)
+ * @returns a function(options, callback) sending the requests
+ */
+var abortable = function(request, signal, transaction) {
+    return function(options, callback) {
+        var req = null;
+        var settled = false;
+
+        var _settle = function() {
+            settled = true;
+            signal.removeEventListener("abort", _abort);
+        };
+
+        var _abort = function() {
+            if (settled) return;
+            _settle();
+
+            var error = new errors.RetsAbortError("RETS method " + transaction + " was aborted",
+                {transaction: transaction});
+            if (req) req.abort();
+            if (callback) callback(error);
+            else req.emit("error", error);
+        };
+
+        if (callback) {
+            if (signal.aborted) {
+                process.nextTick(_abort);
+                return null;
+            }
+
+            signal.addEventListener("abort", _abort);
+            req = request(options, function() {
+                if (settled) return;
+                _settle();
+                callback.apply(null, arguments);
+            });
+            return req;
+        }
+
+        req = request(options);
+        req.on("complete", _settle);
+        req.on("error", _settle);
+        // an aborted request is not sent, but the caller must get it to listen to its error
+        if (signal.aborted) process.nextTick(_abort);
+        else signal.addEventListener("abort", _abort);
+        return req;
+    };
+};
+
+/**
+ * Creates a signal for code aborting the requests it makes, following the signal of its caller.
+ *
+ * @param parent (optional) a signal, see abortable. The created signal is aborted with it.
+ * @returns {signal, abort(), release()}: release stops following the parent once the requests are done
+ */
+var createController = function(parent) {
+    var emitter = new EventEmitter();
+    var signal = {
+        aborted: false,
+        addEventListener: function(type, listener) {
+            emitter.on(type, listener);
+        },
+        removeEventListener: function(type, listener) {
+            emitter.removeListener(type, listener);
+        }
+    };
+
+    var release = function() {
+        if (parent) parent.removeEventListener("abort", abort);
+    };
+
+    var abort = function() {
+        if (signal.aborted) return;
+        signal.aborted = true;
+        release();
+        emitter.emit("abort");
+    };
+
+    if (parent && parent.aborted) signal.aborted = true;
+    else if (parent) parent.addEventListener("abort", abort);
+
+    return {signal: signal, abort: abort, release: release};
+};
+
+module.exports.abortable = abortable;
+module.exports.createController = createController;
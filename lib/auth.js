@@ -1,7 +1,9 @@
 var logger = require('winston'),
     xmlParser = require('xml2js').parseString,
     request = require('request'),
-    crypto = require('crypto');
+    crypto = require('crypto'),
+    utils = require('./utils.js'),
+    errors = require('./errors.js');
 
 /**
  * Executes RETS login routine.
@@ -11,6 +13,7 @@ var logger = require('winston'),
  * @param settings.userAgent the user-agent to use
  * @param settings.userAgentPassword the user-agent password to use
  * @param settings.version the RETS version
+ * @param settings.timeout (optional) the timeout of the requests of the session, in milliseconds
  * @param callback(error, client)
  */
 var login = function(settings, callback) {
@@ -30,6 +33,7 @@ var login = function(settings, callback) {
         uri: settings.loginUrl,
         jar: cookieJar,
         headers: headers,
+        timeout: settings.timeout,
         auth: {
             username: settings.username,
             password: settings.password,
@@ -47,10 +51,7 @@ var login = function(settings, callback) {
         if (response && response.statusCode != 200)
         {
             isErr = true;
-            var errMsg = "RETS method login returned unexpected HTTP status code: " + response.statusCode;
-            error = new Error(errMsg);
-            error.replyCode = response.statusCode;
-            error.replyText = errMsg;
+            error = errors.fromResponse(response, {transaction: "login"});
         }
 
         if (isErr) {
@@ -62,9 +63,14 @@ var login = function(settings, callback) {
         var retsXml;
         xmlParser(body, function(err, result) {
 
+            // the server refused the login, see errors.fromReply
+            if (result && result.RETS && result.RETS.$ &&
+                !utils.replyCodeCheck(result, callback, {transaction: "login"})) return;
+
             if (!result || !result.RETS ||!result.RETS["RETS-RESPONSE"]) {
                 if (callback)
-                    callback(new Error("Unexpected results. Please check the URL: " + settings.loginUrl));
+                    callback(errors.parseError("Unexpected results. Please check the URL: " + settings.loginUrl,
+                        {transaction: "login"}));
                 return;
             }
 
@@ -127,11 +133,7 @@ var logout = function(logoutRequest, callback) {
         if (response.statusCode != 200)
         {
             isErr = true;
-
-            var errMsg = "RETS method logout returned unexpected status code: " + response.statusCode;
-            error = new Error(errMsg);
-            error.replyCode = response.statusCode;
-            error.replyText = errMsg;
+            error = errors.fromResponse(response, {transaction: "logout"});
         }
 
         if (isErr) {
@@ -0,0 +1,189 @@
+var fs = require('fs'),
+    path = require('path'),
+    crypto = require('crypto'),
+    assert = require('assert'),
+    logger = require('winston');
+
+/**
+ * Creates a directory and its missing parents, which fs.mkdir only does itself from Node.js 10.12.
+ */
+var makeDirectory = function(directory, callback) {
+    fs.mkdir(directory, function(error) {
+        if (!error || error.code === 'EEXIST') {
+            callback(null);
+            return;
+        }
+
+        var parent = path.dirname(directory);
+        if (error.code !== 'ENOENT' || parent === directory) {
+            callback(error);
+            return;
+        }
+
+        makeDirectory(parent, function(error) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            fs.mkdir(directory, function(error) {
+                callback(error && error.code !== 'EEXIST' ? error : null);
+            });
+        });
+    });
+};
+
+/**
+ * Creates a metadata store keeping each entry in a JSON file of a directory.
+ *
+ * @param directory the directory of the files, created on the first write if missing
+ * @returns the store: get(key, callback(error, value)), value being null when the key is
+ *          missing, and set(key, value, callback(error))
+ */
+var createFileStore = function(directory) {
+    assert(directory, "directory is present");
+
+    // each write has its own temporary file, so concurrent writes of a key never mix
+    var writes = 0;
+
+    var _file = function(key) {
+        return path.join(directory, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+    };
+
+    return {
+        get: function(key, callback) {
+            var file = _file(key);
+            fs.readFile(file, 'utf8', function(error, data) {
+                if (error) {
+                    callback(error.code === 'ENOENT' ? null : error, null);
+                    return;
+                }
+
+                var value;
+                try {
+                    value = JSON.parse(data);
+                } catch (parseError) {
+                    callback(new Error("Invalid metadata cache file " + file + ": " + parseError.message));
+                    return;
+                }
+                callback(null, value);
+            });
+        },
+        set: function(key, value, callback) {
+            var file = _file(key);
+            var temporaryFile = file + '.' + process.pid + '.' + (++writes) + '.tmp';
+            makeDirectory(directory, function(error) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
+                fs.writeFile(temporaryFile, JSON.stringify(value), function(error) {
+                    if (error) {
+                        callback(error);
+                        return;
+                    }
+                    fs.rename(temporaryFile, file, callback);
+                });
+            });
+        }
+    };
+};
+
+/**
+ * Creates a metadata store keeping its entries in memory, see createFileStore.
+ */
+var createMemoryStore = function() {
+    var entries = {};
+
+    return {
+        get: function(key, callback) {
+            callback(null, key in entries ? entries[key] : null);
+        },
+        set: function(key, value, callback) {
+            entries[key] = value;
+            callback(null);
+        }
+    };
+};
+
+/**
+ * Creates a cache of the metadata of a server. Entries are stored along with the MetadataVersion
+ * and the MetadataTimestamp reported by the login, and are only served while the login reports
+ * the same ones. Nothing is cached when the server reports no MetadataVersion.
+ *
+ * Store failures are logged and the metadata is then retrieved from the server.
+ *
+ * @param store the store, see createFileStore
+ * @param namespace keeps the entries of the servers sharing a store apart, i.e. the login URL
+ * @param getVersion function() returning the {version, timestamp} of the metadata reported by the last login
+ * @returns the cache: get(key, callback(value)), value being null on a miss, set(key, value),
+ *          peek(key, callback(entry)) and checkVersion(callback(previous))
+ */
+var createMetadataCache = function(store, namespace, getVersion) {
+
+    // the entry of the version reported by the last login
+    var VERSION_KEY = "version";
+
+    return {
+        get: function(key, callback) {
+            var current = getVersion();
+            if (!current.version) {
+                callback(null);
+                return;
+            }
+
+            store.get(namespace + ' ' + key, function(error, entry) {
+                if (error) logger.warn("Failed to read the metadata cache: " + error.message);
+
+                var valid = !error && entry && entry.version === current.version && entry.timestamp === current.timestamp;
+                logger.debug("Metadata cache %s for %s", valid ? "hit" : "miss", key);
+                callback(valid ? entry.value : null);
+            });
+        },
+        set: function(key, value) {
+            var current = getVersion();
+            if (!current.version) return;
+
+            var entry = {version: current.version, timestamp: current.timestamp, value: value};
+            store.set(namespace + ' ' + key, entry, function(error) {
+                if (error) logger.warn("Failed to write the metadata cache: " + error.message);
+            });
+        },
+        /**
+         * Reads an entry whatever its version.
+         *
+         * @param callback(entry) entry is {version, timestamp, value}, or null
+         */
+        peek: function(key, callback) {
+            store.get(namespace + ' ' + key, function(error, entry) {
+                if (error) logger.warn("Failed to read the metadata cache: " + error.message);
+                callback(error ? null : entry || null);
+            });
+        },
+        /**
+         * Records the version reported by the last login, when it is not the recorded one.
+         *
+         * @param callback(previous) previous is the {version, timestamp} recorded before, or null
+         */
+        checkVersion: function(callback) {
+            var current = getVersion();
+            var key = namespace + ' ' + VERSION_KEY;
+            store.get(key, function(error, previous) {
+                if (error) logger.warn("Failed to read the metadata cache: " + error.message);
+                previous = error ? null : previous || null;
+
+                if (!previous || previous.version !== current.version || previous.timestamp !== current.timestamp) {
+                    store.set(key, {version: current.version, timestamp: current.timestamp}, function(error) {
+                        if (error) logger.warn("Failed to write the metadata cache: " + error.message);
+                    });
+                }
+                callback(previous);
+            });
+        }
+    };
+};
+
+module.exports.createFileStore = createFileStore;
+module.exports.createMemoryStore = createMemoryStore;
+module.exports.createMetadataCache = createMetadataCache;
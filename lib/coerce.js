@@ -0,0 +1,103 @@
+var INTEGER_TYPES = ['Tiny', 'Small', 'Int', 'Long'];
+var LOOKUP_INTERPRETATIONS = ['Lookup', 'LookupMulti'];
+
+/**
+ * Normalizes a RETS TimeZoneOffset (ex: -05:00, -0500, Z) to an ISO 8601 offset.
+ *
+ * @param timeZoneOffset the TimeZoneOffset of the system metadata
+ * @returns the offset (ex: -05:00) or Z when unknown
+ */
+var normalizeOffset = function(timeZoneOffset) {
+    var match = /^\s*([+-])(\d{1,2}):?(\d{2})?\s*$/.exec(timeZoneOffset || '');
+    if (!match) return 'Z';
+
+    var hours = match[2].length === 1 ? '0' + match[2] : match[2];
+    return match[1] + hours + ':' + (match[3] || '00');
+};
+
+var toDate = function(value) {
+    var date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+var converters = {
+    Boolean: function(value) {
+        var lower = value.toLowerCase();
+        if (['1', 'y', 'yes', 'true', 't'].indexOf(lower) >= 0) return true;
+        if (['0', 'n', 'no', 'false', 'f'].indexOf(lower) >= 0) return false;
+        return value;
+    },
+    Integer: function(value) {
+        return /^[+-]?\d+$/.test(value) ? parseInt(value, 10) : value;
+    },
+    Decimal: function(value, field) {
+        if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(value)) return value;
+
+        var precision = parseInt(field.Precision, 10);
+        var number = parseFloat(value);
+        return isNaN(precision) ? number : +number.toFixed(precision);
+    },
+    Date: function(value) {
+        // dates have no time zone, they are kept at UTC midnight
+        var date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? toDate(value + 'T00:00:00Z') : null;
+        return date || value;
+    },
+    DateTime: function(value, field, offset) {
+        var iso = value.replace(' ', 'T');
+        // date times without an explicit offset are in the server's time zone
+        if (!/(Z|[+-]\d{2}:?\d{2})$/.test(iso)) iso += offset;
+
+        return toDate(iso) || value;
+    }
+};
+
+var converterOf = function(field) {
+    if (INTEGER_TYPES.indexOf(field.DataType) >= 0) return converters.Integer;
+    return converters[field.DataType];
+};
+
+/**
+ * Creates a record coercer.
+ *
+ * Values of Boolean, Tiny, Small, Int, Long, Decimal, Date and DateTime fields are converted to
+ * booleans, numbers and Date objects, LookupMulti values are split into arrays of codes, and empty
+ * strings become null. Values that do not match their data type are left as is, and so are the
+ * codes of Lookup fields so they can still be decoded.
+ *
+ * @param fields the Fields of the class table metadata
+ * @param timeZoneOffset (optional) the TimeZoneOffset of the system metadata, applied to DateTime values
+ *        without an offset. UTC is assumed when it is not known.
+ * @returns function(record) converting the values of a record in place
+ */
+var createCoercer = function(fields, timeZoneOffset) {
+    var offset = normalizeOffset(timeZoneOffset);
+
+    // fields are matched by system name and by standard name
+    var fieldsByName = {};
+    fields.forEach(function(field) {
+        fieldsByName[field.SystemName] = field;
+        if (field.StandardName) fieldsByName[field.StandardName] = field;
+    });
+
+    return function(record) {
+        for (var name in record) {
+            var field = fieldsByName[name];
+            var value = record[name];
+            if (!field || typeof value !== 'string') continue;
+
+            if (value === '') {
+                record[name] = null;
+            } else if (field.Interpretation === 'LookupMulti') {
+                record[name] = value.split(',');
+            } else if (LOOKUP_INTERPRETATIONS.indexOf(field.Interpretation) < 0) {
+                var converter = converterOf(field);
+                if (converter) record[name] = converter(value, field, offset);
+            }
+        }
+
+        return record;
+    };
+};
+
+module.exports.createCoercer = createCoercer;
+module.exports.normalizeOffset = normalizeOffset;
@@ -0,0 +1,181 @@
+var util = require('util'),
+    Transform = require('stream').Transform,
+    StringDecoder = require('string_decoder').StringDecoder,
+    sax = require('sax'),
+    utils = require('./utils.js'),
+    errors = require('./errors.js');
+
+/**
+ * Streaming parser for COMPACT and COMPACT-DECODED search responses.
+ *
+ * The response body is written to the parser as it arrives and each DATA row is
+ * pushed as a record object, so the whole document is never held in memory.
+ * Reply codes classified as errors are emitted as errors (see utils.classifyReplyCode), a
+ * search that found no records ends without records, and informational reply codes are
+ * kept in warnings.
+ *
+ * Once known, the following properties are set on the parser:
+ *   delimiter  the column delimiter
+ *   columns    the column names
+ *   total      the total record count from the COUNT tag
+ *   maxRows    true if the server sent a MAXROWS tag
+ *   count      the number of records parsed so far
+ *   warnings   the informational reply codes: [{replyCode, replyText}]
+ *
+ * A response whose reply code is an error can be handed to onReplyError instead of being
+ * emitted, as it comes before any record: the search can then be sent again, and its response
+ * written to the parser once parser.reset() was called.
+ *
+ * @constructor
+ * @param transform (optional) function(record) applied to each record before it is pushed,
+ *        records it returns null for are dropped
+ * @param context (optional) {transaction, params} of the search, set on the errors
+ * @param onReplyError (optional) function(error) called with the error of a reply code instead of
+ *        emitting it
+ *
+ * @event columns(columns) The COLUMNS tag was parsed
+ * @event count(total) The COUNT tag was parsed
+ * @event maxrows The MAXROWS tag was parsed
+ * @event warning(warning) An informational reply code was received
+ */
+var CompactParser = function(transform, context, onReplyError) {
+    Transform.call(this, {readableObjectMode: true});
+
+    var self = this;
+
+    var text = null;
+
+    var _fail = function(error) {
+        if (self.failed) return;
+        self.failed = true;
+        self.emit("error", error);
+    };
+
+    var _replyFail = function(error) {
+        if (!onReplyError) {
+            _fail(error);
+            return;
+        }
+
+        // the rest of the response is ignored until the parser is reset
+        self.failed = true;
+        onReplyError(error);
+    };
+
+    /**
+     * Readies the parser for another response.
+     */
+    self.reset = function() {
+        self.delimiter = '\t';
+        self.columns = null;
+        self.total = undefined;
+        self.maxRows = false;
+        self.count = 0;
+        self.warnings = [];
+        self.failed = false;
+
+        // chunks may split multi-byte characters
+        self.decoder = new StringDecoder('utf8');
+        self.saxParser = createSaxParser();
+        text = null;
+    };
+
+    var createSaxParser = function() {
+        var saxParser = sax.parser(true);
+
+        saxParser.onopentag = function(node) {
+            // the rest of a failed response may still be in the chunk being parsed
+            if (self.failed) return;
+
+            switch (node.name) {
+                case 'RETS':
+                    var reply = utils.checkReply({RETS: {$: node.attributes}}, _replyFail, context);
+                    if (reply && reply.empty) self.total = 0;
+                    if (reply) reply.warnings.forEach(function(warning) {
+                        self.warnings.push(warning);
+                        self.emit("warning", warning);
+                    });
+                    break;
+                case 'DELIMITER':
+                    self.delimiter = utils.hex2a(node.attributes.value);
+                    break;
+                case 'COUNT':
+                    self.total = +node.attributes.Records;
+                    self.emit("count", self.total);
+                    break;
+                case 'MAXROWS':
+                    self.maxRows = true;
+                    self.emit("maxrows");
+                    break;
+                case 'COLUMNS':
+                case 'DATA':
+                    text = '';
+                    break;
+            }
+        };
+
+        saxParser.ontext = saxParser.oncdata = function(value) {
+            if (text !== null) text += value;
+        };
+
+        saxParser.onclosetag = function(name) {
+            if (self.failed) return;
+
+            if (name === 'COLUMNS') {
+                self.columns = text.split(self.delimiter);
+                self.emit("columns", self.columns.slice(1, -1));
+            } else if (name === 'DATA' && self.columns) {
+                var data = text.split(self.delimiter);
+
+                var model = {};
+                for(var j = 1; j < self.columns.length-1; j++) {
+                    model[self.columns[j]] = data[j];
+                }
+
+                self.count++;
+                var record = transform ? transform(model) : model;
+                if (record) self.push(record);
+            }
+            text = null;
+        };
+
+        saxParser.onerror = function(error) {
+            _fail(errors.parseError("Failed to parse RETS XML: " + error.message, context));
+        };
+
+        return saxParser;
+    };
+
+    self.reset();
+};
+
+util.inherits(CompactParser, Transform);
+
+CompactParser.prototype._transform = function(chunk, encoding, callback) {
+    // the rest of the body is ignored once the response is known to be an error
+    if (!this.failed)
+        this.saxParser.write(this.decoder.write(chunk));
+    callback();
+};
+
+CompactParser.prototype._flush = function(callback) {
+    if (!this.failed)
+        this.saxParser.write(this.decoder.end()).close();
+    callback();
+};
+
+/**
+ * Creates a streaming COMPACT parser.
+ *
+ * @param transform (optional) function(record) applied to each record before it is pushed
+ * @param context (optional) {transaction, params} of the search, set on the errors
+ * @param onReplyError (optional) function(error) called with the error of a reply code instead of
+ *        emitting it, see CompactParser
+ * @returns a Transform stream taking the response body and emitting record objects
+ */
+var createParser = function(transform, context, onReplyError) {
+    return new CompactParser(transform, context, onReplyError);
+};
+
+module.exports.CompactParser = CompactParser;
+module.exports.createParser = createParser;
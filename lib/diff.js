@@ -0,0 +1,145 @@
+var schema = require('./schema.js');
+
+// the field metadata compared by default
+var FIELD_PROPERTIES = ['DataType', 'MaximumLength', 'Searchable'];
+
+var KIND_NAMES = {
+    resource: "Resource",
+    "class": "Class",
+    field: "Field",
+    lookup: "Lookup",
+    lookupValue: "Lookup value"
+};
+
+/**
+ * Pairs the items of two versions of a metadata list: by name first, then the remaining ones
+ * by MetadataEntryID or StandardName, which are kept when an item is renamed.
+ *
+ * @returns {pairs: [{before, after, renamed}], removed, added}
+ */
+var match = function(before, after, nameProperty) {
+    var added = after.slice();
+    var pairs = [], removed = [], unmatched = [];
+
+    var _take = function(item, property) {
+        if (!item[property]) return null;
+        for (var i = 0; i < added.length; i++) {
+            if (added[i][property] === item[property]) return added.splice(i, 1)[0];
+        }
+        return null;
+    };
+
+    before.forEach(function(item) {
+        var other = _take(item, nameProperty);
+        if (other) pairs.push({before: item, after: other, renamed: false});
+        else unmatched.push(item);
+    });
+    unmatched.forEach(function(item) {
+        var other = _take(item, 'MetadataEntryID') || _take(item, 'StandardName');
+        if (other) pairs.push({before: item, after: other, renamed: true});
+        else removed.push(item);
+    });
+
+    return {pairs: pairs, removed: removed, added: added};
+};
+
+/**
+ * Adds the changes between two versions of a metadata list.
+ *
+ * @param compare (optional) function(before, after, path) comparing the items found in both
+ */
+var diffItems = function(changes, kind, nameProperty, before, after, parentPath, compare) {
+    var prefix = parentPath ? parentPath + ':' : '';
+    var matched = match(before || [], after || [], nameProperty);
+
+    matched.removed.forEach(function(item) {
+        changes.push({change: "removed", kind: kind, path: prefix + item[nameProperty]});
+    });
+    matched.pairs.forEach(function(pair) {
+        var path = prefix + pair.before[nameProperty];
+        if (pair.renamed) changes.push({change: "renamed", kind: kind, path: path, to: pair.after[nameProperty]});
+        if (compare) compare(pair.before, pair.after, path);
+    });
+    matched.added.forEach(function(item) {
+        changes.push({change: "added", kind: kind, path: prefix + item[nameProperty]});
+    });
+};
+
+// schemas are used as they are, and metadata trees, as cached, are turned into schemas
+var toSchema = function(snapshot) {
+    return snapshot.tables ? schema.createSchema(snapshot) : snapshot;
+};
+
+/**
+ * Compares two versions of the metadata of a server.
+ *
+ * @param before the former metadata: a schema (see client.getSchema), or a metadata tree (see
+ *        metadata.parseMetadataTree) such as the ones kept in the metadata cache
+ * @param after the current metadata
+ * @param options.properties (optional) the field metadata to compare (default: DataType,
+ *        MaximumLength and Searchable)
+ * @returns {from, to, changes}: the metadata versions, and the changes, each made of:
+ *          change      added, removed, renamed or changed
+ *          kind        resource, class, field, lookup or lookupValue
+ *          path        the former names of the item and of its parents, i.e. Property:RESI:ListPrice
+ *          to          the new name of a renamed item
+ *          property, from, to  the field metadata that changed, and its former and current values
+ */
+var diffMetadata = function(before, after, options) {
+    options = options || {};
+    var properties = options.properties || FIELD_PROPERTIES;
+    var changes = [];
+
+    before = toSchema(before);
+    after = toSchema(after);
+
+    var compareFields = function(before, after, path) {
+        properties.forEach(function(property) {
+            if (before[property] === after[property]) return;
+
+            changes.push({
+                change: "changed",
+                kind: "field",
+                path: path,
+                property: property,
+                from: before[property] === undefined ? null : before[property],
+                to: after[property] === undefined ? null : after[property]
+            });
+        });
+    };
+
+    diffItems(changes, "resource", "ResourceID", before.resources, after.resources, "", function(before, after, path) {
+        diffItems(changes, "class", "ClassName", before.classes, after.classes, path, function(before, after, path) {
+            diffItems(changes, "field", "SystemName", before.fields, after.fields, path, compareFields);
+        });
+        diffItems(changes, "lookup", "LookupName", before.lookups, after.lookups, path, function(before, after, path) {
+            diffItems(changes, "lookupValue", "Value", before.lookupTypes, after.lookupTypes, path);
+        });
+    });
+
+    return {from: before.version, to: after.version, changes: changes};
+};
+
+/**
+ * Formats the changes found by diffMetadata as a report, a line per change.
+ */
+var formatDiff = function(diff) {
+    var title = "Metadata changes from version " + diff.from + " to " + diff.to;
+    if (diff.changes.length === 0) return title + ": none";
+
+    var _value = function(value) {
+        return value === null ? "(none)" : value;
+    };
+
+    return [title + ":"].concat(diff.changes.map(function(change) {
+        var line = "  " + KIND_NAMES[change.kind] + " " + change.path + " ";
+        if (change.change === "renamed") return line + "renamed to " + change.to;
+        if (change.change === "changed") {
+            return line + change.property + " changed from " + _value(change.from) + " to " + _value(change.to);
+        }
+        return line + change.change;
+    })).join("\n");
+};
+
+module.exports.diffMetadata = diffMetadata;
+module.exports.formatDiff = formatDiff;
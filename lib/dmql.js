@@ -0,0 +1,503 @@
+var util = require('util');
+
+var FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_.]*$/;
+var PLAIN_STRING = /^[A-Za-z0-9]+$/;
+var LOOKUP_VALUE = /^[^\s,|+~()="*?]+$/;
+var DATE = /^\d{4}-\d{2}-\d{2}$/;
+var DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?Z?$/;
+
+/**
+ * Formats a value of a range or an equality.
+ *
+ * Numbers are kept as is, Date objects are formatted as UTC DateTime values ending with Z, which
+ * servers would otherwise read in their own time zone, date and date time strings are kept as is
+ * and other strings are quoted unless they are plain alphanumeric values.
+ */
+var formatValue = function(value) {
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) throw new Error("Invalid date");
+        return value.toISOString();
+    }
+
+    if (typeof value === 'number') {
+        if (!isFinite(value)) throw new Error("Invalid number: " + value);
+        return String(value);
+    }
+
+    value = String(value);
+    if (PLAIN_STRING.test(value) || DATE.test(value) || DATE_TIME.test(value)) return value;
+
+    return '"' + value.replace(/"/g, '""') + '"';
+};
+
+/**
+ * Formats a value of a range, which cannot be quoted.
+ */
+var formatBound = function(value) {
+    var formatted = formatValue(value);
+    if (formatted.charAt(0) === '"') throw new Error("Range values must be numbers or dates: " + value);
+    return formatted;
+};
+
+var formatLookupValues = function(values) {
+    values = [].concat(values);
+    if (values.length === 0) throw new Error("At least one lookup value is required");
+
+    return values.map(function(value) {
+        value = String(value);
+        if (!LOOKUP_VALUE.test(value)) throw new Error("Invalid lookup value: " + value);
+        return value;
+    }).join(',');
+};
+
+var formatWildcard = function(value) {
+    value = String(value);
+    if (!PLAIN_STRING.test(value.replace(/ /g, ''))) throw new Error("Invalid wildcard value: " + value);
+    return value;
+};
+
+/**
+ * Creates a syntax error reporting its position in the query.
+ */
+var syntaxError = function(message, position) {
+    var error = new Error(util.format("Invalid DMQL at position %d: %s", position, message));
+    error.position = position;
+    return error;
+};
+
+var BOUND = '(?:[+-]?\\d+(?:\\.\\d+)?|\\d{4}-\\d{2}-\\d{2}(?:T\\d{2}:\\d{2}(?::\\d{2}(?:\\.\\d{1,3})?)?Z?)?|' +
+    '\\d{2}:\\d{2}(?::\\d{2}(?:\\.\\d{1,3})?)?|NOW|TODAY)';
+var VALUE_PATTERNS = [
+    {kind: 'between', pattern: new RegExp('^(' + BOUND + ')-(' + BOUND + ')$')},
+    {kind: 'greater', pattern: new RegExp('^(' + BOUND + ')\\+$')},
+    {kind: 'less', pattern: new RegExp('^(' + BOUND + ')-$')},
+    {kind: 'equals', pattern: new RegExp('^(' + BOUND + ')$')},
+    {kind: 'contains', pattern: /^\*([A-Za-z0-9 ]+)\*$/},
+    {kind: 'startsWith', pattern: /^([A-Za-z0-9 ]+)\*$/},
+    {kind: 'pattern', pattern: /^([A-Za-z0-9 ?*]*\?[A-Za-z0-9 ?*]*)$/},
+    {kind: 'equals', pattern: /^([A-Za-z0-9 ]+)$/}
+];
+
+/**
+ * Parses the value of a field condition.
+ *
+ * @param text the value, between = and the closing parenthesis
+ * @param position the position of the value in the query
+ */
+var parseValue = function(text, position) {
+    if (text === '.ANY.') return {type: 'any'};
+    if (text === '.EMPTY.') return {type: 'empty'};
+
+    if (text.charAt(0) === '"') {
+        if (!/^"([^"]|"")*"$/.test(text)) throw syntaxError("Unterminated string literal", position);
+        return {type: 'literal', value: text.slice(1, -1).replace(/""/g, '"')};
+    }
+
+    var offset = position;
+    var operator = null;
+    if ('|+~'.indexOf(text.charAt(0)) >= 0) {
+        operator = text.charAt(0);
+        text = text.substring(1);
+        offset++;
+    }
+
+    var items = text.split(',').map(function(item) {
+        var itemPosition = offset;
+        offset += item.length + 1;
+
+        if (item === '') throw syntaxError("Empty value", itemPosition);
+
+        if (operator) {
+            if (!/^([^\s,|+~()="*?]+|\.ANY\.)$/.test(item)) throw syntaxError("Invalid lookup value " + item, itemPosition);
+            return item;
+        }
+
+        for (var i = 0; i < VALUE_PATTERNS.length; i++) {
+            var match = VALUE_PATTERNS[i].pattern.exec(item);
+            if (match) {
+                var kind = VALUE_PATTERNS[i].kind;
+                if (kind === 'between') return {kind: kind, min: match[1], max: match[2]};
+                return {kind: kind, value: match[1]};
+            }
+        }
+
+        throw syntaxError("Invalid value " + item, itemPosition);
+    });
+
+    if (operator) return {type: 'lookup', operator: operator, values: items};
+    return {type: 'values', items: items};
+};
+
+/**
+ * Parses a DMQL2 query.
+ *
+ * The query is turned into a tree of nodes, each with the position where it starts:
+ *   {type: 'or', children}, {type: 'and', children}, {type: 'not', child}
+ *   {type: 'condition', field, value}, where value is one of
+ *      {type: 'lookup', operator: '|' '+' or '~', values}
+ *      {type: 'values', items}, items being {kind: 'between', min, max} or
+ *          {kind: 'greater'|'less'|'equals'|'startsWith'|'contains'|'pattern', value}
+ *      {type: 'literal', value}, {type: 'any'} or {type: 'empty'}
+ *
+ * @param query the DMQL2 query
+ * @returns the root node
+ * @throws an Error with the position of the first syntax error
+ */
+var parse = function(query) {
+    query = String(query);
+    var position = 0;
+
+    var skipSpaces = function() {
+        while (query.charAt(position) === ' ') position++;
+    };
+
+    // matches a symbol, or a keyword surrounded by spaces
+    var accept = function(symbol, keyword) {
+        var start = position;
+        skipSpaces();
+        if (query.charAt(position) === symbol) {
+            position++;
+            skipSpaces();
+            return true;
+        }
+        if (keyword && position > start && query.substr(position, keyword.length + 1) === keyword + ' ') {
+            position += keyword.length;
+            skipSpaces();
+            return true;
+        }
+        position = start;
+        return false;
+    };
+
+    var expect = function(symbol) {
+        skipSpaces();
+        if (query.charAt(position) !== symbol) {
+            throw syntaxError(position < query.length ?
+                util.format("Expected %s but found %s", symbol, query.charAt(position)) :
+                util.format("Expected %s but the query ended", symbol), position);
+        }
+        position++;
+    };
+
+    var parseOr, parseElement;
+
+    var parseAnd = function() {
+        var start = position;
+        var children = [parseElement()];
+        while (accept(',', 'AND')) children.push(parseElement());
+        return children.length === 1 ? children[0] : {type: 'and', children: children, position: start};
+    };
+
+    parseOr = function() {
+        var start = position;
+        var children = [parseAnd()];
+        while (accept('|', 'OR')) children.push(parseAnd());
+        return children.length === 1 ? children[0] : {type: 'or', children: children, position: start};
+    };
+
+    var parseCondition = function(start) {
+        var name = /^[A-Za-z0-9_.]+/.exec(query.substring(position));
+        if (!name) throw syntaxError("Expected a field name", position);
+        position += name[0].length;
+        expect('=');
+
+        var valueStart = position;
+        var inString = false;
+        while (position < query.length && (inString || query.charAt(position) !== ')')) {
+            if (query.charAt(position) === '"') inString = !inString;
+            position++;
+        }
+        if (position === valueStart) throw syntaxError("Expected a value", position);
+
+        var value = parseValue(query.substring(valueStart, position), valueStart);
+        expect(')');
+        return {type: 'condition', field: name[0], value: value, position: start};
+    };
+
+    parseElement = function() {
+        skipSpaces();
+        var start = position;
+
+        if (query.charAt(position) === '~' || query.substr(position, 4) === 'NOT ') {
+            position += query.charAt(position) === '~' ? 1 : 3;
+            return {type: 'not', child: parseElement(), position: start};
+        }
+
+        expect('(');
+        skipSpaces();
+        var next = query.charAt(position);
+        if (next === '(' || next === '~' || query.substr(position, 4) === 'NOT ') {
+            var group = parseOr();
+            expect(')');
+            return group;
+        }
+
+        return parseCondition(start);
+    };
+
+    var root = parseOr();
+    skipSpaces();
+    if (position < query.length) throw syntaxError("Unexpected " + query.charAt(position), position);
+
+    return root;
+};
+
+var eachCondition = function(node, callback) {
+    if (node.type === 'condition') callback(node);
+    else if (node.type === 'not') eachCondition(node.child, callback);
+    else if (node.children) node.children.forEach(function(child) {
+        eachCondition(child, callback);
+    });
+};
+
+/**
+ * Checks a query against the class's metadata.
+ *
+ * Warns on unknown fields, fields that are not searchable, lookup conditions on fields that are
+ * not lookups and lookup values that do not exist.
+ *
+ * @param query the DMQL2 query, or the node returned by parse
+ * @param fields the Fields of the class table metadata
+ * @param lookups (optional) the lookup tables of the resource: lookups[lookupName][value]
+ * @returns an array of {message, field, position} warnings, empty when the query looks valid
+ * @throws an Error with the position of the first syntax error
+ */
+var lint = function(query, fields, lookups) {
+    var root = typeof query === 'object' && query.type ? query : parse(query);
+
+    var fieldsByName = {};
+    fields.forEach(function(field) {
+        fieldsByName[field.SystemName] = field;
+        if (field.StandardName) fieldsByName[field.StandardName] = field;
+    });
+
+    var warnings = [];
+    var warn = function(condition, message) {
+        warnings.push({message: message, field: condition.field, position: condition.position});
+    };
+
+    eachCondition(root, function(condition) {
+        var field = fieldsByName[condition.field];
+        if (!field) {
+            warn(condition, util.format("Unknown field %s", condition.field));
+            return;
+        }
+
+        if (field.Searchable === '0') warn(condition, util.format("%s is not searchable", condition.field));
+
+        var isLookup = field.Interpretation === 'Lookup' || field.Interpretation === 'LookupMulti';
+        var value = condition.value;
+        if (value.type === 'lookup' && !isLookup) {
+            warn(condition, util.format("%s is not a lookup field", condition.field));
+            return;
+        }
+
+        var values = isLookup && (lookups || {})[field.LookupName];
+        if (!values) return;
+
+        var codes = value.type === 'lookup' ? value.values :
+            value.type === 'values' ? value.items.filter(function(item) {
+                return item.kind === 'equals';
+            }).map(function(item) {
+                return item.value;
+            }) : [];
+
+        codes.forEach(function(code) {
+            if (code !== '.ANY.' && !(code in values))
+                warn(condition, util.format("Unknown value %s of lookup %s for field %s", code, field.LookupName, condition.field));
+        });
+    });
+
+    return warnings;
+};
+
+/**
+ * Fluent DMQL2 query builder.
+ *
+ * A condition is started with field(name) and completed with one of the operators. Conditions
+ * are joined with AND, unless or() is called between them. not() negates the next condition
+ * and group(builder) adds the conditions of another builder in parentheses.
+ *
+ *      rets.dmql()
+ *          .field('ListPrice').between(100000, 200000)
+ *          .field('Status').oneOf(['A', 'P'])
+ *          .toString();    // (ListPrice=100000-200000),(Status=|A,P)
+ *
+ * Builders can be passed to client.query as the query string.
+ *
+ * @constructor
+ */
+var DmqlBuilder = function() {
+    this.clauses = [];
+    this.pendingField = null;
+    this.pendingJoin = ',';
+    this.pendingNot = false;
+};
+
+DmqlBuilder.prototype._add = function(clause) {
+    if (this.clauses.length > 0) clause.join = this.pendingJoin;
+    if (this.pendingNot) clause.not = true;
+
+    this.clauses.push(clause);
+    this.pendingJoin = ',';
+    this.pendingNot = false;
+    return this;
+};
+
+DmqlBuilder.prototype._condition = function(operator, text, values) {
+    if (!this.pendingField) throw new Error("field(name) must be called before " + operator + "()");
+
+    var field = this.pendingField;
+    this.pendingField = null;
+
+    return this._add({field: field, operator: operator, text: '(' + field + '=' + text + ')', values: values});
+};
+
+/**
+ * Starts a condition on a field.
+ *
+ * @param name the system name, or the standard name when standard names are requested
+ */
+DmqlBuilder.prototype.field = function(name) {
+    if (this.pendingField) throw new Error("The condition on " + this.pendingField + " is not complete");
+    if (!FIELD_NAME.test(name || '')) throw new Error("Invalid field name: " + name);
+
+    this.pendingField = name;
+    return this;
+};
+
+/**
+ * Joins the previous and the next condition with AND, which is the default.
+ */
+DmqlBuilder.prototype.and = function() {
+    this.pendingJoin = ',';
+    return this;
+};
+
+/**
+ * Joins the previous and the next condition with OR.
+ */
+DmqlBuilder.prototype.or = function() {
+    this.pendingJoin = '|';
+    return this;
+};
+
+/**
+ * Negates the next condition.
+ */
+DmqlBuilder.prototype.not = function() {
+    this.pendingNot = !this.pendingNot;
+    return this;
+};
+
+/**
+ * Adds the conditions of another builder, in parentheses.
+ */
+DmqlBuilder.prototype.group = function(builder) {
+    if (!(builder instanceof DmqlBuilder)) throw new Error("group() expects a DMQL builder");
+    return this._add({group: builder, text: '(' + builder.toString() + ')'});
+};
+
+/**
+ * Adds a condition written by hand. It is not validated.
+ */
+DmqlBuilder.prototype.raw = function(dmql) {
+    return this._add({text: String(dmql)});
+};
+
+DmqlBuilder.prototype.equals = function(value) {
+    return this._condition('equals', formatValue(value), [value]);
+};
+
+DmqlBuilder.prototype.between = function(min, max) {
+    return this._condition('between', formatBound(min) + '-' + formatBound(max), [min, max]);
+};
+
+DmqlBuilder.prototype.atLeast = function(min) {
+    return this._condition('atLeast', formatBound(min) + '+', [min]);
+};
+
+DmqlBuilder.prototype.atMost = function(max) {
+    return this._condition('atMost', formatBound(max) + '-', [max]);
+};
+
+DmqlBuilder.prototype.startsWith = function(value) {
+    return this._condition('startsWith', formatWildcard(value) + '*', [value]);
+};
+
+DmqlBuilder.prototype.contains = function(value) {
+    return this._condition('contains', '*' + formatWildcard(value) + '*', [value]);
+};
+
+/**
+ * Lookup condition matching any of the values.
+ */
+DmqlBuilder.prototype.oneOf = function(values) {
+    return this._condition('oneOf', '|' + formatLookupValues(values), [].concat(values));
+};
+
+/**
+ * LookupMulti condition matching all of the values.
+ */
+DmqlBuilder.prototype.allOf = function(values) {
+    return this._condition('allOf', '+' + formatLookupValues(values), [].concat(values));
+};
+
+/**
+ * Lookup condition matching none of the values.
+ */
+DmqlBuilder.prototype.noneOf = function(values) {
+    return this._condition('noneOf', '~' + formatLookupValues(values), [].concat(values));
+};
+
+/**
+ * Condition matching any non empty value.
+ */
+DmqlBuilder.prototype.any = function() {
+    return this._condition('any', '.ANY.', []);
+};
+
+/**
+ * Condition matching empty values.
+ */
+DmqlBuilder.prototype.empty = function() {
+    return this._condition('empty', '.EMPTY.', []);
+};
+
+/**
+ * @returns the DMQL2 query
+ */
+DmqlBuilder.prototype.toString = function() {
+    if (this.pendingField) throw new Error("The condition on " + this.pendingField + " is not complete");
+    if (this.clauses.length === 0) throw new Error("The query has no condition");
+
+    return this.clauses.map(function(clause) {
+        return (clause.join || '') + (clause.not ? '~' : '') + clause.text;
+    }).join('');
+};
+
+/**
+ * Checks the field names and lookup values of the query, see lint.
+ *
+ * @param fields the Fields of the class table metadata
+ * @param lookups the lookup tables of the resource: lookups[lookupName][value]
+ * @returns an array of error messages, empty when the query is valid
+ */
+DmqlBuilder.prototype.validate = function(fields, lookups) {
+    return lint(this.toString(), fields, lookups).map(function(warning) {
+        return warning.message;
+    });
+};
+
+/**
+ * Creates a DMQL2 query builder.
+ */
+var dmql = function() {
+    return new DmqlBuilder();
+};
+
+module.exports = dmql;
+module.exports.DmqlBuilder = DmqlBuilder;
+module.exports.formatValue = formatValue;
+module.exports.parse = parse;
+module.exports.lint = lint;
@@ -0,0 +1,265 @@
+var util = require('util'),
+    http = require('http');
+
+// descriptions of the reply codes defined by the RETS 1.7.2 specification
+var REPLY_CODES = {
+    "20003": "Zero balance",
+    "20022": "Additional login not permitted",
+    "20036": "Miscellaneous server login error",
+    "20037": "Client authentication failed",
+    "20041": "User-agent authentication required",
+    "20050": "Server temporarily unavailable",
+    "20200": "Unknown query field",
+    "20201": "No records found",
+    "20202": "Invalid select",
+    "20203": "Miscellaneous search error",
+    "20206": "Invalid query syntax",
+    "20207": "Unauthorized query",
+    "20208": "Maximum records exceeded",
+    "20209": "Timeout",
+    "20210": "Too many outstanding queries",
+    "20211": "Query too complex",
+    "20212": "Invalid key request",
+    "20213": "Invalid key",
+    "20301": "Invalid parameter",
+    "20302": "Unable to save record on server",
+    "20303": "Miscellaneous update error",
+    "20310": "Warning response not given for all warnings that required one",
+    "20311": "Warning response given for a warning that required none",
+    "20400": "Invalid resource",
+    "20401": "Invalid type",
+    "20402": "Invalid identifier",
+    "20403": "No object found",
+    "20406": "Unsupported MIME type",
+    "20407": "Unauthorized retrieval",
+    "20408": "Resource unavailable",
+    "20409": "Object unavailable",
+    "20410": "Request too large",
+    "20411": "Timeout",
+    "20412": "Too many outstanding requests",
+    "20413": "Miscellaneous error",
+    "20500": "Invalid resource",
+    "20501": "Invalid type",
+    "20502": "Invalid identifier",
+    "20503": "No metadata found",
+    "20506": "Unsupported metadata MIME type",
+    "20507": "Unauthorized retrieval",
+    "20508": "Resource unavailable",
+    "20509": "Metadata unavailable",
+    "20510": "Request too large",
+    "20511": "Timeout",
+    "20512": "Too many outstanding requests",
+    "20513": "Miscellaneous error",
+    "20514": "Requested DTD version unavailable",
+    "20701": "Not logged in"
+};
+
+// reply codes of failed logins and of sessions the server no longer knows
+var AUTH_REPLY_CODES = ["20036", "20037", "20041"];
+// reply codes of servers limiting how much a client asks at once
+var QUOTA_REPLY_CODES = ["20210", "20412", "20512"];
+// reply codes of timeouts and temporary unavailability, worth trying again later. The others,
+// such as the update ones, are permanent: the request must be changed to succeed
+var RETRYABLE_REPLY_CODES = ["20050", "20209", "20408", "20409", "20411", "20508", "20509", "20511"]
+    .concat(QUOTA_REPLY_CODES);
+
+var RETRYABLE_HTTP_STATUSES = [408, 429, 500, 502, 503, 504];
+var RETRYABLE_NETWORK_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ESOCKETTIMEDOUT", "EPIPE", "EAI_AGAIN"];
+
+/**
+ * Describes a RETS reply code.
+ *
+ * @returns the description from the RETS specification, or null for unknown codes
+ */
+var describeReplyCode = function(replyCode) {
+    return REPLY_CODES[String(replyCode)] || null;
+};
+
+/**
+ * Base class of the errors of RETS transactions.
+ *
+ * Besides the message, the following properties are set when known:
+ *   transaction  the RETS transaction (login, logout, search, getMetadata, getObject, update)
+ *   params       the parameters of the request
+ *   httpStatus   the HTTP status of the response
+ *   replyCode    the RETS reply code, or the HTTP status when the response had no reply code
+ *   replyText    the RETS reply text, or the message when the response had no reply code
+ *   description  the description of the reply code or of the HTTP status
+ *   isRetryable  true if the same request may succeed later
+ *
+ * @constructor
+ * @param message the error message
+ * @param properties (optional) the properties above
+ */
+var RetsError = function(message, properties) {
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+
+    properties = properties || {};
+    this.message = message;
+    this.transaction = properties.transaction;
+    this.params = properties.params;
+    this.httpStatus = properties.httpStatus;
+    this.replyCode = properties.replyCode;
+    this.replyText = properties.replyText;
+    this.description = properties.description || null;
+    this.isRetryable = !!properties.isRetryable;
+};
+util.inherits(RetsError, Error);
+RetsError.prototype.name = "RetsError";
+
+/**
+ * The server answered with a reply code that is an error, see utils.classifyReplyCode.
+ *
+ * @constructor
+ */
+var RetsServerError = function(message, properties) {
+    RetsError.call(this, message, properties);
+};
+util.inherits(RetsServerError, RetsError);
+RetsServerError.prototype.name = "RetsServerError";
+
+/**
+ * The credentials were refused, or the session is no longer valid.
+ *
+ * @constructor
+ */
+var RetsAuthError = function(message, properties) {
+    RetsError.call(this, message, properties);
+};
+util.inherits(RetsAuthError, RetsError);
+RetsAuthError.prototype.name = "RetsAuthError";
+
+/**
+ * The server answered with an unexpected HTTP status, or not at all.
+ *
+ * @constructor
+ */
+var RetsHttpError = function(message, properties) {
+    RetsError.call(this, message, properties);
+};
+util.inherits(RetsHttpError, RetsError);
+RetsHttpError.prototype.name = "RetsHttpError";
+
+/**
+ * The response could not be parsed.
+ *
+ * @constructor
+ */
+var RetsParseError = function(message, properties) {
+    RetsError.call(this, message, properties);
+};
+util.inherits(RetsParseError, RetsError);
+RetsParseError.prototype.name = "RetsParseError";
+
+/**
+ * The server refused the request because the client asks too much at once.
+ * The request may succeed once the outstanding ones are done.
+ *
+ * @constructor
+ */
+var RetsQuotaError = function(message, properties) {
+    RetsError.call(this, message, properties);
+};
+util.inherits(RetsQuotaError, RetsError);
+RetsQuotaError.prototype.name = "RetsQuotaError";
+
+/**
+ * The request was aborted by the abort signal of the call.
+ *
+ * @constructor
+ */
+var RetsAbortError = function(message, properties) {
+    RetsError.call(this, message, properties);
+};
+util.inherits(RetsAbortError, RetsError);
+RetsAbortError.prototype.name = "RetsAbortError";
+
+var withContext = function(properties, context) {
+    if (context) {
+        properties.transaction = context.transaction;
+        properties.params = context.params;
+    }
+    return properties;
+};
+
+/**
+ * Creates the error of a RETS reply code classified as an error.
+ *
+ * @param replyCode the ReplyCode of the response
+ * @param replyText the ReplyText of the response
+ * @param context (optional) {transaction, params} of the request
+ * @returns a RetsAuthError, a RetsQuotaError or a RetsServerError
+ */
+var fromReply = function(replyCode, replyText, context) {
+    replyCode = String(replyCode);
+    var message = "RETS Server returned an error - ReplyCode: " + replyCode + " ReplyText: " + replyText;
+    var properties = withContext({
+        replyCode: replyCode,
+        replyText: replyText,
+        description: describeReplyCode(replyCode),
+        isRetryable: RETRYABLE_REPLY_CODES.indexOf(replyCode) >= 0
+    }, context);
+
+    if (AUTH_REPLY_CODES.indexOf(replyCode) >= 0) return new RetsAuthError(message, properties);
+    if (QUOTA_REPLY_CODES.indexOf(replyCode) >= 0) return new RetsQuotaError(message, properties);
+    return new RetsServerError(message, properties);
+};
+
+/**
+ * Creates the error of a response with an unexpected HTTP status.
+ *
+ * @param response the HTTP response
+ * @param context (optional) {transaction, params} of the request
+ * @returns a RetsAuthError (401 and 403), a RetsQuotaError (429) or a RetsHttpError
+ */
+var fromResponse = function(response, context) {
+    var status = response.statusCode;
+    var message = "RETS method " + (context && context.transaction || "request") +
+        " returned unexpected status code: " + status;
+    var properties = withContext({
+        httpStatus: status,
+        replyCode: status,
+        replyText: message,
+        description: http.STATUS_CODES[status] || null,
+        isRetryable: RETRYABLE_HTTP_STATUSES.indexOf(status) >= 0
+    }, context);
+
+    if (status === 401 || status === 403) return new RetsAuthError(message, properties);
+    if (status === 429) return new RetsQuotaError(message, properties);
+    return new RetsHttpError(message, properties);
+};
+
+/**
+ * Creates the error of a response that could not be parsed.
+ *
+ * @param message the error message
+ * @param context (optional) {transaction, params} of the request
+ */
+var parseError = function(message, context) {
+    return new RetsParseError(message, withContext({}, context));
+};
+
+/**
+ * Tells whether the request that failed with an error may succeed if it is sent again later:
+ * RETS errors flagged isRetryable, and network errors such as ECONNRESET or ETIMEDOUT.
+ */
+var isRetryable = function(error) {
+    if (!error || typeof error !== 'object') return false;
+    if (error instanceof RetsError) return error.isRetryable;
+
+    return RETRYABLE_NETWORK_CODES.indexOf(error.code) >= 0;
+};
+
+module.exports.RetsError = RetsError;
+module.exports.RetsServerError = RetsServerError;
+module.exports.RetsAuthError = RetsAuthError;
+module.exports.RetsHttpError = RetsHttpError;
+module.exports.RetsParseError = RetsParseError;
+module.exports.RetsQuotaError = RetsQuotaError;
+module.exports.RetsAbortError = RetsAbortError;
+module.exports.describeReplyCode = describeReplyCode;
+module.exports.fromReply = fromReply;
+module.exports.fromResponse = fromResponse;
+module.exports.parseError = parseError;
+module.exports.isRetryable = isRetryable;
@@ -0,0 +1,210 @@
+var logger = require('winston');
+
+var LOOKUP_INTERPRETATIONS = ['Lookup', 'LookupMulti'];
+
+/**
+ * Builds a lookup table: value -> lookup type, for every lookup of a resource.
+ *
+ * @param lookupTypes the result of metadataModule.getLookupTypes(resourceType)
+ */
+var indexLookupTypes = function(lookupTypes) {
+    var lookups = {};
+
+    (lookupTypes || []).forEach(function(lookup) {
+        var values = lookups[lookup.Lookup] = {};
+        (lookup.LookupTypes || []).forEach(function(lookupType) {
+            values[lookupType.Value] = lookupType;
+        });
+    });
+
+    return lookups;
+};
+
+/**
+ * Creates a record decoder.
+ *
+ * @param fields the Fields of the class table metadata
+ * @param lookups the lookup tables of the resource, see indexLookupTypes
+ * @param valueName LongValue or ShortValue
+ * @returns function(record) replacing lookup codes with their values in place. The codes
+ *          that were replaced are kept in record._raw.
+ */
+var createDecoder = function(fields, lookups, valueName) {
+    // fields are matched by system name and by standard name
+    var lookupFields = {};
+    fields.forEach(function(field) {
+        if (LOOKUP_INTERPRETATIONS.indexOf(field.Interpretation) < 0 || !lookups[field.LookupName]) return;
+
+        lookupFields[field.SystemName] = field;
+        if (field.StandardName) lookupFields[field.StandardName] = field;
+    });
+
+    var decodeValue = function(values, code) {
+        var lookupType = values[code];
+        return lookupType && lookupType[valueName] ? lookupType[valueName] : code;
+    };
+
+    return function(record) {
+        var raw = {};
+
+        for (var name in record) {
+            var field = lookupFields[name];
+            if (!field || !record[name]) continue;
+
+            var values = lookups[field.LookupName];
+            if (Array.isArray(record[name])) {
+                // LookupMulti values already split by coercion
+                raw[name] = record[name].slice();
+                record[name] = record[name].map(decodeValue.bind(null, values));
+            } else if (field.Interpretation === 'LookupMulti') {
+                raw[name] = record[name];
+                record[name] = record[name].split(',').map(decodeValue.bind(null, values)).join(',');
+            } else {
+                raw[name] = record[name];
+                record[name] = decodeValue(values, record[name]);
+            }
+        }
+
+        record._raw = raw;
+        return record;
+    };
+};
+
+/**
+ * Creates the lookups module of a session.
+ *
+ * @param _metadataModule the metadata module fetching the table and lookup metadata
+ * @param _store (optional) the cache of another lookups module, see withMetadata
+ */
+var lookupsModule = function(_metadataModule, _store) {
+
+    var metadataModule = _metadataModule;
+
+    // table and lookup metadata, only valid for the metadata version they were fetched for
+    var store = _store || {
+        cache: {
+            version: null,
+            system: {},
+            tables: {},
+            lookups: {}
+        }
+    };
+
+    var _cached = function(version, kind, key, fetch, callback) {
+        if (store.cache.version !== version) {
+            store.cache = {version: version, system: {}, tables: {}, lookups: {}};
+        }
+
+        if (key in store.cache[kind]) {
+            callback(null, store.cache[kind][key]);
+            return;
+        }
+
+        fetch(function(error, data) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            // the version may have changed while fetching
+            if (store.cache.version === version) store.cache[kind][key] = data;
+            callback(null, data);
+        });
+    };
+
+    /**
+     * Retrieves the lookup tables of a resource.
+     *
+     * @param resourceType Rets resource type (ex: Property)
+     * @param metadataVersion the current metadata version, the cache is dropped when it changes
+     * @param callback(error, lookups) lookups[lookupName][value] is the lookup type
+     */
+    var getLookups = function(resourceType, metadataVersion, callback) {
+        _cached(metadataVersion, 'lookups', resourceType, function(done) {
+            logger.debug("Fetching lookup types of %s for metadata version %s", resourceType, metadataVersion);
+
+            metadataModule.getLookupTypes(resourceType, "", function(error, lookupTypes) {
+                done(error, error ? null : indexLookupTypes(lookupTypes));
+            });
+        }, callback);
+    };
+
+    /**
+     * Retrieves the fields of a class.
+     *
+     * @param resourceType Rets resource type (ex: Property)
+     * @param classType Rets class type (ex: RESI)
+     * @param metadataVersion the current metadata version, the cache is dropped when it changes
+     * @param callback(error, fields)
+     */
+    var getFields = function(resourceType, classType, metadataVersion, callback) {
+        _cached(metadataVersion, 'tables', resourceType + ':' + classType, function(done) {
+            metadataModule.getTable(resourceType, classType, function(error, table) {
+                done(error, error ? null : table.Fields);
+            });
+        }, callback);
+    };
+
+    /**
+     * Retrieves the TimeZoneOffset of the system metadata.
+     *
+     * @param metadataVersion the current metadata version, the cache is dropped when it changes
+     * @param callback(error, timeZoneOffset)
+     */
+    var getTimeZoneOffset = function(metadataVersion, callback) {
+        _cached(metadataVersion, 'system', 'timezoneOffset', function(done) {
+            // the system is null when the server replies 20503 (no metadata found)
+            metadataModule.getSystem(function(error, system) {
+                done(error, system ? system.timezoneOffset : null);
+            });
+        }, callback);
+    };
+
+    /**
+     * Creates a decoder replacing the Lookup and LookupMulti codes of a class's records
+     * with their lookup values.
+     *
+     * @param resourceType Rets resource type (ex: Property)
+     * @param classType Rets class type (ex: RESI)
+     * @param metadataVersion the current metadata version
+     * @param valueName LongValue (default) or ShortValue
+     * @param callback(error, decoder) see createDecoder
+     */
+    var getDecoder = function(resourceType, classType, metadataVersion, valueName, callback) {
+        getFields(resourceType, classType, metadataVersion, function(error, fields) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            getLookups(resourceType, metadataVersion, function(error, lookups) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
+                callback(null, createDecoder(fields, lookups, valueName || 'LongValue'));
+            });
+        });
+    };
+
+    /**
+     * Creates a lookups module sharing the cache of this one, fetching the metadata it misses
+     * with the given metadata module (ex: the one of a call, with its timeout and abort signal).
+     */
+    var withMetadata = function(otherMetadataModule) {
+        return lookupsModule(otherMetadataModule, store);
+    };
+
+    return {
+        getFields: getFields,
+        getLookups: getLookups,
+        getTimeZoneOffset: getTimeZoneOffset,
+        getDecoder: getDecoder,
+        withMetadata: withMetadata
+    };
+};
+
+module.exports = lookupsModule;
+module.exports.createDecoder = createDecoder;
+module.exports.indexLookupTypes = indexLookupTypes;
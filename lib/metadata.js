@@ -1,68 +1,15 @@
 var logger = require('winston'),
     utils = require('./utils.js'),
+    errors = require('./errors.js'),
     xmlParser = require('xml2js').parseString;
 
-var metadataSession;
+var STANDARD_XML = "STANDARD-XML";
 
+// metadata types whose responses may hold an element per parent item (i.e. per lookup), which
+// are parsed as an array
+var MULTIPLE_ELEMENT_TYPES = ["LookupTypes", "UpdateTypes", "ValidationLookupTypes", "ValidationExternalTypes",
+    "ColumnGroupControls", "ColumnGroupTables", "ColumnGroupNormalizations", "FilterTypes"];
 
-/*
- * Retrieves RETS Metadata.
- *
- * @param type Metadata type (i.e METADATA-RESOURCE, METADATA-CLASS)
- * @param id Metadata id
- * @param format Data format (i.e. COMPACT, COMPACT-DECODED)
- * @param callback(error, data) (optional)
-*/
-var getMetadata = function(type, id, format, callback) {
-    logger.debug("RETS method metadata with params type=%s, id=%s, format=%s", type, id, format);
-
-    if (!type || !id || !format) {
-        if (callback)
-            callback(new Error("All params are required: type, id, format"));
-
-        return;
-    }
-
-    if (!metadataSession) {
-        if (callback)
-            callback(new Error("System data not set; invoke login first."));
-
-        return;
-    }
-
-    var metadataOptions = {
-        qs:{
-            Type:type,
-            Id:id,
-            Format:format
-        }
-    };
-
-    metadataSession(metadataOptions, function(error, response, data) {
-
-        var isErr = false;
-
-        if (error) {
-            isErr = true;
-        }
-
-        if (response && response.statusCode != 200)
-        {
-            isErr = true;
-            error = new Error("RETS method getMetadata returned unexpected status code: " + response.statusCode);
-        }
-
-        if (isErr) {
-            if (callback)
-                callback(error);
-
-            return;
-        }
-
-        if (callback)
-            callback(error, data);
-    });
-};
 /**
  * Parses a compact RETS metadata XML response.
  *
@@ -127,419 +74,1083 @@ var parseCompactMetadata = function(metadataXml, dataType) {
         metaObjs.push(metaObj);
     }
 
-    return dataType === "LookupTypes" ? metaObjs : metaObjs.pop();
+    return MULTIPLE_ELEMENT_TYPES.indexOf(dataType) >= 0 ? metaObjs : metaObjs.pop();
 };
 
 /**
- * Helper that retrieves RETS system metadata
- * @param callback
+ * Parses the METADATA-SYSTEM element of a RETS metadata XML response.
+ *
+ * @param systemXml the METADATA-SYSTEM elements parsed by xml2js
+ * @returns {metadataVersion, metadataDate, systemId, systemDescription, timezoneOffset, comments}
  */
-var getSystem = function(callback) {
-    getMetadata("METADATA-SYSTEM", "0", "COMPACT", function(error, data) {
-        if (error) {
-            callback(error);
-            return;
-        }
-
-        var systemXml;
-        xmlParser(data, function(err, result) {
+var parseSystem = function(systemXml) {
+    return {
+        metadataVersion: systemXml[0].$.Version,
+        metadataDate: systemXml[0].$.Date,
+        systemId: systemXml[0].SYSTEM ? systemXml[0].SYSTEM[0].$.SystemID : '',
+        systemDescription: systemXml[0].SYSTEM ? systemXml[0].SYSTEM[0].$.SystemDescription : '',
+        timezoneOffset: systemXml[0].SYSTEM ? systemXml[0].SYSTEM[0].$.TimeZoneOffset : '',
+        comments: systemXml[0].COMMENTS ? systemXml[0].COMMENTS[0] : ''
+    };
+};
 
-            if (!utils.replyCodeCheck(result, callback)) return;
+/**
+ * Parses a compact RETS metadata XML response holding the whole metadata tree, as returned
+ * for METADATA-SYSTEM with Id=*. Its metadata elements are listed one after the other, each
+ * naming its resource, and its class or lookup, in its attributes.
+ *
+ * @param retsXml the RETS element parsed by xml2js
+ * @returns the metadata tree:
+ *          system          see parseSystem
+ *          resources       the Resources
+ *          classes         the Classes, keyed by ResourceID
+ *          tables          the Fields, keyed by ResourceID:ClassName
+ *          lookups         the Lookups, keyed by ResourceID
+ *          lookupTypes     the LookupTypes, keyed by ResourceID:LookupName
+ *          objects         the Objects, keyed by ResourceID
+ */
+var parseMetadataTree = function(retsXml) {
+    var tree = {
+        system: parseSystem(retsXml["METADATA-SYSTEM"]),
+        resources: [],
+        classes: {},
+        tables: {},
+        lookups: {},
+        lookupTypes: {},
+        objects: {}
+    };
 
-            systemXml = result.RETS["METADATA-SYSTEM"];
+    var parseElements = function(elementName, dataType, add) {
+        (retsXml[elementName] || []).forEach(function(metadataXml) {
+            var metadata = parseCompactMetadata([metadataXml], dataType);
+            add(dataType === "LookupTypes" ? metadata[0] : metadata);
+        });
+    };
 
-            if(!utils.xmlParseCheck(systemXml, callback)) return;
+    parseElements("METADATA-RESOURCE", "Resources", function(metadata) {
+        tree.resources = tree.resources.concat(metadata.Resources);
+    });
+    parseElements("METADATA-CLASS", "Classes", function(metadata) {
+        tree.classes[metadata.Resource] = metadata.Classes;
+    });
+    parseElements("METADATA-TABLE", "Fields", function(metadata) {
+        tree.tables[metadata.Resource + ":" + metadata.Class] = metadata.Fields;
+    });
+    parseElements("METADATA-LOOKUP", "Lookups", function(metadata) {
+        tree.lookups[metadata.Resource] = metadata.Lookups;
+    });
+    parseElements("METADATA-LOOKUP_TYPE", "LookupTypes", function(metadata) {
+        tree.lookupTypes[metadata.Resource + ":" + metadata.Lookup] = metadata.LookupTypes;
+    });
+    parseElements("METADATA-OBJECT", "Objects", function(metadata) {
+        tree.objects[metadata.Resource] = metadata.Objects;
+    });
 
-            var systemDt = {
-                metadataVersion: systemXml[0].$.Version,
-                metadataDate: systemXml[0].$.Date,
-                systemId: systemXml[0].SYSTEM ? systemXml[0].SYSTEM[0].$.SystemID : '',
-                systemDescription: systemXml[0].SYSTEM ? systemXml[0].SYSTEM[0].$.SystemDescription : '',
-                timezoneOffset: systemXml[0].SYSTEM ? systemXml[0].SYSTEM[0].$.TimeZoneOffset : '',
-                comments: systemXml[0].COMMENTS ? systemXml[0].COMMENTS[0] : ''
-            };
+    return tree;
+};
 
-            if(callback)
-                callback(error, systemDt);
+/**
+ * Creates the context set on the errors of a metadata request, see errors.RetsError.
+ */
+var metadataContext = function(type, id, format) {
+    return {transaction: "getMetadata", params: {Type: type, Id: id, Format: format}};
+};
 
-        });
-    });
+// the text of an element parsed by xml2js
+var textOf = function(elementXml) {
+    if (typeof elementXml === 'string') return elementXml;
+    return elementXml && typeof elementXml._ === 'string' ? elementXml._ : '';
 };
 
 /**
- * Helper that retrieves RETS resource metadata.
+ * Finds the elements of a metadata type in a STANDARD-XML metadata response, wherever they are
+ * nested: STANDARD-XML metadata nests each metadata type in the items it belongs to.
  *
- * @param callback(error, data) (optional)
+ * @param xml the RETS element, or any element, parsed by xml2js
+ * @param elementName the name of the metadata elements (i.e. METADATA-TABLE)
+ * @returns the elements found
  */
-var getResources = function(callback) {
+var findStandardElements = function(xml, elementName) {
+    var found = [];
 
-    getMetadata("METADATA-RESOURCE", "0", "COMPACT", function(error, data) {
+    var _search = function(node) {
+        if (!node || typeof node !== 'object') return;
 
-        if (error) {
-            callback(error);
-            return;
+        for (var key in node) {
+            if (key === '$' || key === '_' || !Array.isArray(node[key])) continue;
+
+            if (key === elementName) found = found.concat(node[key]);
+            else node[key].forEach(_search);
         }
-        var resourceXml;
-        xmlParser(data, function(err, result) {
+    };
+    _search(xml);
 
-            if (!utils.replyCodeCheck(result, callback)) return;
+    return found;
+};
 
-            resourceXml = result.RETS["METADATA-RESOURCE"];
+/**
+ * Parses an item of a STANDARD-XML metadata element (i.e. a Field of METADATA-TABLE): its child
+ * elements are its columns, except the metadata nested in it. Columns set as attributes, as by
+ * RETS 1.5 servers, are read as well.
+ */
+var parseStandardItem = function(itemXml) {
+    var item = {};
+    if (!itemXml || typeof itemXml !== 'object') return item;
 
-            if(!utils.xmlParseCheck(resourceXml, callback)) return;
+    for (var key in itemXml) {
+        if (key === '$' || key === '_' || key.indexOf('METADATA-') === 0) continue;
+        item[key] = textOf(itemXml[key][0]);
+    }
+    for (var name in itemXml.$) {
+        if (!(name in item)) item[name] = itemXml.$[name];
+    }
 
-            if(callback)
-                callback(error, parseCompactMetadata(resourceXml, "Resources"));
+    return item;
+};
 
+/**
+ * Calls visit(item, itemXml) for each item of STANDARD-XML metadata elements, which are all the
+ * child elements of the metadata elements.
+ */
+var eachStandardItem = function(metadataXml, visit) {
+    (metadataXml || []).forEach(function(elementXml) {
+        if (!elementXml || typeof elementXml !== 'object') return;
+
+        Object.keys(elementXml).forEach(function(key) {
+            if (key === '$' || key === '_') return;
+            elementXml[key].forEach(function(itemXml) {
+                visit(parseStandardItem(itemXml), itemXml);
+            });
         });
     });
 };
 
 /**
- * Helper that retrieves a listing of ALL RETS foreign key metadata.
+ * Parses STANDARD-XML metadata elements into the same objects as parseCompactMetadata.
  *
- * @param callback(error, data) (optional)
+ * @param metadataXml the metadata elements, see findStandardElements
+ * @param dataType Metadata type (i.e. Resources, Classes)
+ * @returns the metadata, see parseCompactMetadata
  */
-var getAllForeignKeys = function(callback) {
-    logger.debug("RETS method getAllForeignKeys");
+var parseStandardMetadata = function(metadataXml, dataType) {
+    if (!dataType) dataType = "Data";
 
-    getForeignKeys("0", function(error, data) {
-        if (callback) {
-            callback(error, data);
+    var metaObjs = metadataXml.map(function(elementXml) {
+        var metaObj = {};
+        var metaAttrs = elementXml && elementXml.$;
+
+        for (var key in metaAttrs) {
+            metaObj[key] = metaAttrs[key];
         }
+
+        metaObj[dataType] = [];
+        eachStandardItem([elementXml], function(item) {
+            metaObj[dataType].push(item);
+        });
+        return metaObj;
     });
+
+    return MULTIPLE_ELEMENT_TYPES.indexOf(dataType) >= 0 ? metaObjs : metaObjs.pop();
 };
 
 /**
- * Helper that retrieves RETS foreign key metadata.
- *
- * @param resourceType Class resource type (i.e. Property, OpenHouse)
- * @param callback(error, data) (optional)
+ * Parses the METADATA-SYSTEM element of a STANDARD-XML metadata response, see parseSystem.
  */
-var getForeignKeys = function(resourceType, callback) {
-    logger.debug("RETS method getForeignKeys");
-
-    if (!resourceType) {
-        if (callback)
-            callback(new Error("Missing resource type"));
-
-        return;
-    }
+var parseStandardSystem = function(systemXml) {
+    var system = parseStandardItem(systemXml[0].SYSTEM && systemXml[0].SYSTEM[0]);
 
-    getMetadata("METADATA-FOREIGNKEYS", resourceType, "COMPACT", function(error, data) {
-
-        if (error) {
-            callback(error);
-            return;
-        }
+    return {
+        metadataVersion: systemXml[0].$.Version,
+        metadataDate: systemXml[0].$.Date,
+        systemId: system.SystemID || '',
+        systemDescription: system.SystemDescription || '',
+        timezoneOffset: system.TimeZoneOffset || '',
+        comments: system.Comments || (systemXml[0].COMMENTS ? textOf(systemXml[0].COMMENTS[0]) : '')
+    };
+};
 
-        var foreignKeysXml;
-        xmlParser(data, function(err, result) {
+/**
+ * Parses a STANDARD-XML metadata response holding the whole metadata tree, in which resources
+ * hold their classes, lookups and objects, classes their fields and lookups their lookup types.
+ *
+ * @param retsXml the RETS element parsed by xml2js
+ * @returns the metadata tree, see parseMetadataTree
+ */
+var parseStandardMetadataTree = function(retsXml) {
+    var tree = {
+        system: parseStandardSystem(findStandardElements(retsXml, "METADATA-SYSTEM")),
+        resources: [],
+        classes: {},
+        tables: {},
+        lookups: {},
+        lookupTypes: {},
+        objects: {}
+    };
 
-            if (!utils.replyCodeCheck(result, callback)) return;
-            foreignKeysXml = result.RETS["METADATA-FOREIGN_KEYS"][0].ForeignKey;
+    // the items of the metadata nested in an item
+    var eachNested = function(itemXml, elementName, visit) {
+        eachStandardItem(itemXml && itemXml[elementName], visit);
+    };
 
-            if(!utils.xmlParseCheck(foreignKeysXml, callback)) return;
+    eachStandardItem(findStandardElements(retsXml, "METADATA-RESOURCE"), function(resource, resourceXml) {
+        var resourceId = resource.ResourceID;
+        tree.resources.push(resource);
+
+        tree.classes[resourceId] = [];
+        eachNested(resourceXml, "METADATA-CLASS", function(metadataClass, classXml) {
+            var fields = tree.tables[resourceId + ":" + metadataClass.ClassName] = [];
+            tree.classes[resourceId].push(metadataClass);
+            eachNested(classXml, "METADATA-TABLE", function(field) {
+                fields.push(field);
+            });
+        });
 
-            if(callback)
-                callback(error, parseCompactMetadata(foreignKeysXml, "ForeignKeys"));
+        tree.lookups[resourceId] = [];
+        eachNested(resourceXml, "METADATA-LOOKUP", function(lookup, lookupXml) {
+            var lookupTypes = tree.lookupTypes[resourceId + ":" + lookup.LookupName] = [];
+            tree.lookups[resourceId].push(lookup);
+            eachNested(lookupXml, "METADATA-LOOKUP_TYPE", function(lookupType) {
+                lookupTypes.push(lookupType);
+            });
+        });
 
+        tree.objects[resourceId] = [];
+        eachNested(resourceXml, "METADATA-OBJECT", function(object) {
+            tree.objects[resourceId].push(object);
         });
     });
+
+    return tree;
 };
 
 /**
- * Helper that retrieves a listing of ALL RETS class metadata.
- *
- * @param callback(error, data) (optional)
+ * Joins the parts of a metadata id given, i.e. Property:RESI.
  */
-var getAllClass = function(callback) {
-    logger.debug("RETS method getAllClass");
+var metadataId = function() {
+    return Array.prototype.filter.call(arguments, function(part) {
+        return !!part;
+    }).join(":");
+};
 
-    getClass("0", function(error, data) {
-        if (callback) {
-            callback(error, data);
-        }
-    });
+/**
+ * Creates the metadata cache key of the result of a helper, see lib/cache.js.
+ *
+ * @param name the name of the helper (i.e. table)
+ * @param format the metadata format, only part of the key when it is not COMPACT
+ * @param args (optional) the arguments of the helper
+ */
+var cacheKey = function(name, format, args) {
+    var parts = [name].concat(args || []);
+    if (format && format !== "COMPACT") parts.splice(1, 0, format);
+    return parts.join(':');
 };
 
 /**
- * Helper that retrieves RETS class metadata.
+ * Checks the reply code of a metadata response, see utils.checkReply.
  *
- * @param resourceType Class resource type (i.e. Property, OpenHouse)
- * @param callback(error, data) (optional)
+ * @param result the response parsed by xml2js
+ * @param dataType Metadata type (i.e. Resources, Classes), or null for the system metadata
+ * @param callback(error, data) called back with an error, or with an empty result when no
+ *        metadata was found
+ * @param context (optional) {transaction, params} of the request, set on the error
+ * @returns true if the response should be parsed
  */
-var getClass = function(resourceType, callback) {
-    logger.debug("RETS method getClass");
+var checkMetadataReply = function(result, dataType, callback, context) {
+    var reply = utils.checkReply(result, callback, context);
+    if (!reply) return false;
+
+    if (reply.empty) {
+        var empty = null;
+        if (MULTIPLE_ELEMENT_TYPES.indexOf(dataType) >= 0) {
+            empty = [];
+        } else if (dataType) {
+            empty = {};
+            empty[dataType] = [];
+        }
+        callback(null, empty);
+        return false;
+    }
+
+    return true;
+};
 
-    if (!resourceType) {
-        if (callback)
-            callback(new Error("Missing resource type"));
+module.exports = function(_metadataSession, _metadataCache, _format) {
+
+    // session owned by this instance, so that each client keeps its own
+    var metadataSession = _metadataSession;
+    // parsed metadata kept across processes, see lib/cache.js
+    var metadataCache = _metadataCache || null;
+    // format of the metadata requested by the helpers, COMPACT or STANDARD-XML
+    var format = _format || "COMPACT";
+
+    /*
+     * Serves the results of a helper from the metadata cache, keyed by the helper name and its
+     * arguments. Results retrieved from the server are added to the cache.
+     */
+    var cached = function(name, helper) {
+        return function() {
+            var args = Array.prototype.slice.call(arguments);
+            var callback = args.pop();
+            if (!metadataCache || typeof callback !== 'function') {
+                helper.apply(null, arguments);
+                return;
+            }
 
-        return;
-    }
+            var key = cacheKey(name, format, args);
+            metadataCache.get(key, function(value) {
+                if (value !== null) {
+                    callback(null, value);
+                    return;
+                }
+
+                helper.apply(null, args.concat([function(error, data) {
+                    if (!error && data !== null) metadataCache.set(key, data);
+                    callback(error, data);
+                }]));
+            });
+        };
+    };
+
+    /*
+     * Retrieves RETS Metadata.
+     *
+     * @param type Metadata type (i.e METADATA-RESOURCE, METADATA-CLASS)
+     * @param id Metadata id
+     * @param format Data format (i.e. COMPACT, COMPACT-DECODED)
+     * @param callback(error, data) (optional)
+    */
+    var getMetadata = function(type, id, format, callback) {
+        logger.debug("RETS method metadata with params type=%s, id=%s, format=%s", type, id, format);
+
+        if (!type || !id || !format) {
+            if (callback)
+                callback(new Error("All params are required: type, id, format"));
+
+            return;
+        }
 
-    getMetadata("METADATA-CLASS", resourceType, "COMPACT", function(error, data) {
+        if (!metadataSession) {
+            if (callback)
+                callback(new Error("System data not set; invoke login first."));
 
-        if (error) {
-            callback(error);
             return;
         }
 
-        var classesXml;
-        xmlParser(data, function(err, result) {
+        var metadataOptions = {
+            qs:{
+                Type:type,
+                Id:id,
+                Format:format
+            }
+        };
+
+        metadataSession(metadataOptions, function(error, response, data) {
+
+            var isErr = false;
 
-            if (!utils.replyCodeCheck(result, callback)) return;
+            if (error) {
+                isErr = true;
+            }
 
-            classesXml = result.RETS["METADATA-CLASS"];
+            if (response && response.statusCode != 200)
+            {
+                isErr = true;
+                error = errors.fromResponse(response, metadataContext(type, id, format));
+            }
 
-            if(!utils.xmlParseCheck(classesXml, callback)) return;
+            if (isErr) {
+                if (callback)
+                    callback(error);
 
-            if(callback)
-                callback(error, parseCompactMetadata(classesXml, "Classes"));
+                return;
+            }
 
+            if (callback)
+                callback(error, data);
         });
-    });
-};
+    };
 
-/**
- * Helper that retrieves a listing of ALL RETS table metadata.
- *
- * @param callback(error, data) (optional)
- */
-var getAllTable = function(callback) {
-    logger.debug("RETS method getAllTable");
+    /*
+     * Retrieves RETS metadata in the format of this instance and parses it.
+     *
+     * @param type Metadata type (i.e. METADATA-EDITMASK)
+     * @param id Metadata id
+     * @param dataType the name of the items of the parsed metadata (i.e. EditMasks), see checkMetadataReply
+     * @param parse function(retsXml) parsing the RETS element of the response, returning null
+     *        when it misses the metadata
+     * @param callback(error, data)
+     */
+    var fetchMetadata = function(type, id, dataType, parse, callback) {
+        var context = metadataContext(type, id, format);
+        getMetadata(type, id, format, function(error, data) {
+
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            xmlParser(data, function(err, result) {
+
+                if (!checkMetadataReply(result, dataType, callback, context)) return;
+
+                var metadata = parse(result.RETS);
 
-    getTable("0", "", function(error, data) {
-        if (callback) {
-            callback(error, data);
+                if(!utils.xmlParseCheck(metadata, callback, context)) return;
+
+                callback(null, metadata);
+            });
+        });
+    };
+
+    // parses the metadata elements of a response, see parseCompactMetadata and parseStandardMetadata
+    var parseElements = function(retsXml, elementName, dataType) {
+        if (format === STANDARD_XML) {
+            var elements = findStandardElements(retsXml, elementName);
+            return elements.length > 0 ? parseStandardMetadata(elements, dataType) : null;
         }
-    });
-};
 
-/**
- * Helper that retrieves RETS table metadata.
- *
- * @param resourceType Table resource type (i.e. Property, OpenHouse)
- * @param classType Table class type (RESI, LAND, etc.)
- * @param callback(error, data) (optional)
- */
-var getTable = function(resourceType, classType, callback) {
-    logger.debug("RETS method getTable");
+        return retsXml[elementName] ? parseCompactMetadata(retsXml[elementName], dataType) : null;
+    };
 
-    if (!resourceType) {
-        if (callback)
-            callback(new Error("Missing resource type"));
+    /*
+     * Retrieves and parses RETS metadata whose elements are named after its type.
+     *
+     * @param type Metadata type (i.e. METADATA-EDITMASK)
+     * @param id Metadata id
+     * @param dataType the name of the items of the parsed metadata (i.e. EditMasks)
+     * @param callback(error, data)
+     */
+    var getParsedMetadata = function(type, id, dataType, callback) {
+        fetchMetadata(type, id, dataType, function(retsXml) {
+            return parseElements(retsXml, type, dataType);
+        }, callback);
+    };
 
-        return;
-    }
+    /**
+     * Helper that retrieves RETS system metadata
+     * @param callback
+     */
+    var getSystem = function(callback) {
+        fetchMetadata("METADATA-SYSTEM", "0", null, function(retsXml) {
+            if (format === STANDARD_XML) {
+                var systemXml = findStandardElements(retsXml, "METADATA-SYSTEM");
+                return systemXml.length > 0 ? parseStandardSystem(systemXml) : null;
+            }
 
-    var params;
+            return retsXml["METADATA-SYSTEM"] ? parseSystem(retsXml["METADATA-SYSTEM"]) : null;
+        }, callback);
+    };
 
-    if (classType) {
-        params = resourceType+":"+classType;
-    }
-    else params = resourceType;
+    /**
+     * Helper that retrieves the whole RETS metadata tree at once, with METADATA-SYSTEM and Id=*.
+     * Not every server supports it.
+     *
+     * @param callback(error, tree) see parseMetadataTree, tree is null if the server found no metadata
+     */
+    var getMetadataTree = function(callback) {
+        logger.debug("RETS method getMetadataTree");
+
+        fetchMetadata("METADATA-SYSTEM", "*", null, function(retsXml) {
+            if (format === STANDARD_XML) {
+                return findStandardElements(retsXml, "METADATA-SYSTEM").length > 0 ?
+                    parseStandardMetadataTree(retsXml) : null;
+            }
+
+            return retsXml["METADATA-SYSTEM"] ? parseMetadataTree(retsXml) : null;
+        }, callback);
+    };
+
+    /**
+     * Helper that retrieves RETS resource metadata.
+     *
+     * @param callback(error, data) (optional)
+     */
+    var getResources = function(callback) {
+        getParsedMetadata("METADATA-RESOURCE", "0", "Resources", callback);
+    };
 
-    getMetadata("METADATA-TABLE", params, "COMPACT", function(error, data) {
+    /**
+     * Helper that retrieves a listing of ALL RETS foreign key metadata.
+     *
+     * @param callback(error, data) (optional)
+     */
+    var getAllForeignKeys = function(callback) {
+        logger.debug("RETS method getAllForeignKeys");
+
+        getForeignKeys("0", function(error, data) {
+            if (callback) {
+                callback(error, data);
+            }
+        });
+    };
+
+    /**
+     * Helper that retrieves RETS foreign key metadata.
+     *
+     * @param resourceType Class resource type (i.e. Property, OpenHouse)
+     * @param callback(error, data) (optional)
+     */
+    var getForeignKeys = function(resourceType, callback) {
+        logger.debug("RETS method getForeignKeys");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
 
-        if (error) {
-            callback(error);
             return;
         }
 
-        var tableXml;
-        xmlParser(data, function(err, result) {
+        fetchMetadata("METADATA-FOREIGNKEYS", resourceType, "ForeignKeys", function(retsXml) {
+            if (format === STANDARD_XML) {
+                return parseElements(retsXml, "METADATA-FOREIGNKEYS", "ForeignKeys") ||
+                    parseElements(retsXml, "METADATA-FOREIGN_KEYS", "ForeignKeys");
+            }
 
-            if (!utils.replyCodeCheck(result, callback)) return;
+            var foreignKeysXml = retsXml["METADATA-FOREIGN_KEYS"] && retsXml["METADATA-FOREIGN_KEYS"][0].ForeignKey;
+            return foreignKeysXml ? parseCompactMetadata(foreignKeysXml, "ForeignKeys") : null;
+        }, callback);
+    };
 
-            tableXml = result.RETS["METADATA-TABLE"];
+    /**
+     * Helper that retrieves a listing of ALL RETS class metadata.
+     *
+     * @param callback(error, data) (optional)
+     */
+    var getAllClass = function(callback) {
+        logger.debug("RETS method getAllClass");
+
+        getClass("0", function(error, data) {
+            if (callback) {
+                callback(error, data);
+            }
+        });
+    };
 
-            if(!utils.xmlParseCheck(tableXml, callback)) return;
+    /**
+     * Helper that retrieves RETS class metadata.
+     *
+     * @param resourceType Class resource type (i.e. Property, OpenHouse)
+     * @param callback(error, data) (optional)
+     */
+    var getClass = function(resourceType, callback) {
+        logger.debug("RETS method getClass");
 
-            if(callback)
-                callback(error, parseCompactMetadata(tableXml, "Fields"));
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
 
+            return;
+        }
+
+        getParsedMetadata("METADATA-CLASS", resourceType, "Classes", callback);
+    };
+
+    /**
+     * Helper that retrieves a listing of ALL RETS table metadata.
+     *
+     * @param callback(error, data) (optional)
+     */
+    var getAllTable = function(callback) {
+        logger.debug("RETS method getAllTable");
+
+        getTable("0", "", function(error, data) {
+            if (callback) {
+                callback(error, data);
+            }
         });
-    });
-};
+    };
 
-/**
- * Helper that retrieves a listing of ALL RETS resource lookups metadata.
- *
- * @param callback(error, data) (optional)
- */
-var getAllLookups = function(callback) {
-    logger.debug("RETS method getAllLookups");
+    /**
+     * Helper that retrieves RETS table metadata.
+     *
+     * @param resourceType Table resource type (i.e. Property, OpenHouse)
+     * @param classType Table class type (RESI, LAND, etc.)
+     * @param callback(error, data) (optional)
+     */
+    var getTable = function(resourceType, classType, callback) {
+        logger.debug("RETS method getTable");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
 
-    getLookups("0", function(error, data) {
-        if (callback) {
-            callback(error, data);
+            return;
         }
-    });
-};
 
-/**
- * Helper that retrieves a RETS resource lookups metadata.
- *
- * @param resourceType Table resource type (i.e. Property, OpenHouse)
- * @param callback(error, data) (optional)
- */
-var getLookups = function(resourceType, callback) {
-    logger.debug("RETS method getLookups");
+        var params;
 
-    if (!resourceType) {
-        if (callback)
-            callback(new Error("Missing resource type"));
+        if (classType) {
+            params = resourceType+":"+classType;
+        }
+        else params = resourceType;
 
-        return;
-    }
+        getParsedMetadata("METADATA-TABLE", params, "Fields", callback);
+    };
 
-    getMetadata("METADATA-LOOKUP", resourceType, "COMPACT", function(error, data) {
+    /**
+     * Helper that retrieves a listing of ALL RETS resource lookups metadata.
+     *
+     * @param callback(error, data) (optional)
+     */
+    var getAllLookups = function(callback) {
+        logger.debug("RETS method getAllLookups");
+
+        getLookups("0", function(error, data) {
+            if (callback) {
+                callback(error, data);
+            }
+        });
+    };
+
+    /**
+     * Helper that retrieves a RETS resource lookups metadata.
+     *
+     * @param resourceType Table resource type (i.e. Property, OpenHouse)
+     * @param callback(error, data) (optional)
+     */
+    var getLookups = function(resourceType, callback) {
+        logger.debug("RETS method getLookups");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
 
-        if (error) {
-            callback(error);
             return;
         }
 
-        var lookupXml;
-        xmlParser(data, function(err, result) {
+        getParsedMetadata("METADATA-LOOKUP", resourceType, "Lookups", callback);
+    };
 
-            if (!utils.replyCodeCheck(result, callback)) return;
 
-            lookupXml = result.RETS["METADATA-LOOKUP"];
+    /**
+     * Helper that retrieves a listing of ALL RETS resource lookup types metadata.
+     *
+     * @param callback(error, data) (optional)
+     */
+    var getAllLookupTypes = function(callback) {
+        logger.debug("RETS method getAllLookupTypes");
 
-            if(!utils.xmlParseCheck(lookupXml, callback)) return;
+        getLookupTypes("0", "", function(error, data) {
+            if (callback) {
+                callback(error, data);
+            }
+        });
+    };
 
-            if(callback)
-                callback(error, parseCompactMetadata(lookupXml, "Lookups"));
+    /**
+     * Helper that retrieves a RETS resource lookup type metadata.
+     *
+     * @param resourceType Table resource type (i.e. Property, OpenHouse)
+     * @param lookupType (ArchitecturalStyle, etc.)
+     * @param callback(error, data) (optional)
+     */
+    var getLookupTypes = function(resourceType, lookupType, callback) {
+        logger.debug("RETS method getLookupTypes");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
 
-        });
-    });
-};
+            return;
+        }
 
+        var params;
 
-/**
- * Helper that retrieves a listing of ALL RETS resource lookup types metadata.
- *
- * @param callback(error, data) (optional)
- */
-var getAllLookupTypes = function(callback) {
-    logger.debug("RETS method getAllLookupTypes");
+        if (lookupType) {
+            params = resourceType+":"+lookupType;
+        }
+        else params = resourceType;
 
-    getLookupTypes("0", "", function(error, data) {
-        if (callback) {
-            callback(error, data);
+        getParsedMetadata("METADATA-LOOKUP_TYPE", params, "LookupTypes", callback);
+    };
+
+    /**
+     * Helper that retrieves a RETS resource object metadata.
+     *
+     * @param resourceType Table resource type (i.e. Property, OpenHouse)
+     * @param callback(error, data) (optional)
+     */
+    var getObject = function(resourceType, callback) {
+        logger.debug("RETS method getObject");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
+
+            return;
         }
-    });
-};
 
-/**
- * Helper that retrieves a RETS resource lookup type metadata.
- *
- * @param resourceType Table resource type (i.e. Property, OpenHouse)
- * @param lookupType (ArchitecturalStyle, etc.)
- * @param callback(error, data) (optional)
- */
-var getLookupTypes = function(resourceType, lookupType, callback) {
-    logger.debug("RETS method getLookupTypes");
+        getParsedMetadata("METADATA-OBJECT", resourceType, "Objects", callback);
+    };
 
-    if (!resourceType) {
-        if (callback)
-            callback(new Error("Missing resource type"));
+    /**
+     * Helper that retrieves RETS update metadata.
+     *
+     * @param resourceType Update resource type (i.e. Property)
+     * @param classType (optional) Update class type (i.e. RESI)
+     * @param callback(error, data) (optional)
+     */
+    var getUpdates = function(resourceType, classType, callback) {
+        logger.debug("RETS method getUpdates");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
 
-        return;
-    }
+            return;
+        }
 
-    var params;
+        getParsedMetadata("METADATA-UPDATE", metadataId(resourceType, classType), "Updates", callback);
+    };
 
-    if (lookupType) {
-        params = resourceType+":"+lookupType;
-    }
-    else params = resourceType;
+    /**
+     * Helper that retrieves RETS update type metadata.
+     *
+     * @param resourceType Update resource type (i.e. Property)
+     * @param classType Update class type (i.e. RESI)
+     * @param updateType (optional) Update name (i.e. Add, Change)
+     * @param callback(error, data) (optional)
+     */
+    var getUpdateTypes = function(resourceType, classType, updateType, callback) {
+        logger.debug("RETS method getUpdateTypes");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
 
-    getMetadata("METADATA-LOOKUP_TYPE", params, "COMPACT", function(error, data) {
+            return;
+        }
+
+        getParsedMetadata("METADATA-UPDATE_TYPE", metadataId(resourceType, classType, updateType), "UpdateTypes", callback);
+    };
+
+    /**
+     * Helper that retrieves RETS update help metadata.
+     *
+     * @param resourceType Resource type (i.e. Property)
+     * @param callback(error, data) (optional)
+     */
+    var getUpdateHelp = function(resourceType, callback) {
+        logger.debug("RETS method getUpdateHelp");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
 
-        if (error) {
-            callback(error);
             return;
         }
 
-        var lookupTypeXml;
-        xmlParser(data, function(err, result) {
+        getParsedMetadata("METADATA-UPDATE_HELP", resourceType, "UpdateHelps", callback);
+    };
 
-            if (!utils.replyCodeCheck(result, callback)) return;
+    /**
+     * Helper that retrieves RETS edit mask metadata.
+     *
+     * @param resourceType Resource type (i.e. Property)
+     * @param callback(error, data) (optional)
+     */
+    var getEditMasks = function(resourceType, callback) {
+        logger.debug("RETS method getEditMasks");
 
-            lookupTypeXml = result.RETS["METADATA-LOOKUP_TYPE"];
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
 
-            if(!utils.xmlParseCheck(lookupTypeXml, callback)) return;
+            return;
+        }
 
-            if(callback)
-                callback(error, parseCompactMetadata(lookupTypeXml, "LookupTypes"));
+        getParsedMetadata("METADATA-EDITMASK", resourceType, "EditMasks", callback);
+    };
 
-        });
-    });
-};
+    /**
+     * Helper that retrieves RETS search help metadata.
+     *
+     * @param resourceType Resource type (i.e. Property)
+     * @param callback(error, data) (optional)
+     */
+    var getSearchHelp = function(resourceType, callback) {
+        logger.debug("RETS method getSearchHelp");
 
-/**
- * Helper that retrieves a RETS resource object metadata.
- *
- * @param resourceType Table resource type (i.e. Property, OpenHouse)
- * @param callback(error, data) (optional)
- */
-var getObject = function(resourceType, callback) {
-    logger.debug("RETS method getObject");
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
 
-    if (!resourceType) {
-        if (callback)
-            callback(new Error("Missing resource type"));
+            return;
+        }
 
-        return;
-    }
+        getParsedMetadata("METADATA-SEARCH_HELP", resourceType, "SearchHelps", callback);
+    };
+
+    /**
+     * Helper that retrieves RETS validation lookup metadata.
+     *
+     * @param resourceType Resource type (i.e. Property)
+     * @param callback(error, data) (optional)
+     */
+    var getValidationLookups = function(resourceType, callback) {
+        logger.debug("RETS method getValidationLookups");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
+
+            return;
+        }
+
+        getParsedMetadata("METADATA-VALIDATION_LOOKUP", resourceType, "ValidationLookups", callback);
+    };
 
-    getMetadata("METADATA-OBJECT", resourceType, "COMPACT", function(error, data) {
+    /**
+     * Helper that retrieves RETS validation lookup type metadata.
+     *
+     * @param resourceType Resource type (i.e. Property)
+     * @param validationLookup (optional) Validation lookup name
+     * @param callback(error, data) (optional)
+     */
+    var getValidationLookupTypes = function(resourceType, validationLookup, callback) {
+        logger.debug("RETS method getValidationLookupTypes");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
 
-        if (error) {
-            callback(error);
             return;
         }
 
-        var objectXml;
-        xmlParser(data, function(err, result) {
+        getParsedMetadata("METADATA-VALIDATION_LOOKUP_TYPE", metadataId(resourceType, validationLookup), "ValidationLookupTypes", callback);
+    };
 
-            if (!utils.replyCodeCheck(result, callback)) return;
+    /**
+     * Helper that retrieves RETS validation external metadata.
+     *
+     * @param resourceType Resource type (i.e. Property)
+     * @param callback(error, data) (optional)
+     */
+    var getValidationExternals = function(resourceType, callback) {
+        logger.debug("RETS method getValidationExternals");
 
-            objectXml = result.RETS["METADATA-OBJECT"];
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
 
-            if(!utils.xmlParseCheck(objectXml, callback)) return;
+            return;
+        }
 
-            if(callback)
-                callback(error, parseCompactMetadata(objectXml, "Objects"));
+        getParsedMetadata("METADATA-VALIDATION_EXTERNAL", resourceType, "ValidationExternals", callback);
+    };
 
-        });
-    });
-};
+    /**
+     * Helper that retrieves RETS validation external type metadata.
+     *
+     * @param resourceType Resource type (i.e. Property)
+     * @param validationExternal (optional) Validation external name
+     * @param callback(error, data) (optional)
+     */
+    var getValidationExternalTypes = function(resourceType, validationExternal, callback) {
+        logger.debug("RETS method getValidationExternalTypes");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
+
+            return;
+        }
+
+        getParsedMetadata("METADATA-VALIDATION_EXTERNAL_TYPE", metadataId(resourceType, validationExternal), "ValidationExternalTypes", callback);
+    };
+
+    /**
+     * Helper that retrieves RETS validation expression metadata.
+     *
+     * @param resourceType Resource type (i.e. Property)
+     * @param callback(error, data) (optional)
+     */
+    var getValidationExpressions = function(resourceType, callback) {
+        logger.debug("RETS method getValidationExpressions");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
+
+            return;
+        }
+
+        getParsedMetadata("METADATA-VALIDATION_EXPRESSION", resourceType, "ValidationExpressions", callback);
+    };
+
+    /**
+     * Helper that retrieves RETS column group metadata (RETS 1.8).
+     *
+     * @param resourceType Resource type (i.e. Property)
+     * @param classType (optional) Class type (i.e. RESI)
+     * @param callback(error, data) (optional)
+     */
+    var getColumnGroups = function(resourceType, classType, callback) {
+        logger.debug("RETS method getColumnGroups");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
+
+            return;
+        }
 
-module.exports = function(_metadataSession) {
+        getParsedMetadata("METADATA-COLUMN_GROUP", metadataId(resourceType, classType), "ColumnGroups", callback);
+    };
+
+    /**
+     * Helper that retrieves RETS column group set metadata (RETS 1.8).
+     *
+     * @param resourceType Resource type (i.e. Property)
+     * @param classType (optional) Class type (i.e. RESI)
+     * @param callback(error, data) (optional)
+     */
+    var getColumnGroupSets = function(resourceType, classType, callback) {
+        logger.debug("RETS method getColumnGroupSets");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
+
+            return;
+        }
+
+        getParsedMetadata("METADATA-COLUMN_GROUP_SET", metadataId(resourceType, classType), "ColumnGroupSets", callback);
+    };
+
+    /**
+     * Helper that retrieves RETS column group control metadata (RETS 1.8).
+     *
+     * @param resourceType Resource type (i.e. Property)
+     * @param classType Class type (i.e. RESI)
+     * @param columnGroup (optional) Column group name
+     * @param callback(error, data) (optional)
+     */
+    var getColumnGroupControls = function(resourceType, classType, columnGroup, callback) {
+        logger.debug("RETS method getColumnGroupControls");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
+
+            return;
+        }
+
+        getParsedMetadata("METADATA-COLUMN_GROUP_CONTROL", metadataId(resourceType, classType, columnGroup), "ColumnGroupControls", callback);
+    };
+
+    /**
+     * Helper that retrieves RETS column group table metadata (RETS 1.8).
+     *
+     * @param resourceType Resource type (i.e. Property)
+     * @param classType Class type (i.e. RESI)
+     * @param columnGroup (optional) Column group name
+     * @param callback(error, data) (optional)
+     */
+    var getColumnGroupTables = function(resourceType, classType, columnGroup, callback) {
+        logger.debug("RETS method getColumnGroupTables");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
+
+            return;
+        }
 
-    metadataSession = _metadataSession;
+        getParsedMetadata("METADATA-COLUMN_GROUP_TABLE", metadataId(resourceType, classType, columnGroup), "ColumnGroupTables", callback);
+    };
+
+    /**
+     * Helper that retrieves RETS column group normalization metadata (RETS 1.8).
+     *
+     * @param resourceType Resource type (i.e. Property)
+     * @param classType Class type (i.e. RESI)
+     * @param columnGroup (optional) Column group name
+     * @param callback(error, data) (optional)
+     */
+    var getColumnGroupNormalizations = function(resourceType, classType, columnGroup, callback) {
+        logger.debug("RETS method getColumnGroupNormalizations");
+
+        if (!resourceType) {
+            if (callback)
+                callback(new Error("Missing resource type"));
+
+            return;
+        }
+
+        getParsedMetadata("METADATA-COLUMN_GROUP_NORMALIZATION", metadataId(resourceType, classType, columnGroup), "ColumnGroupNormalizations", callback);
+    };
+
+    /**
+     * Helper that retrieves RETS filter metadata (RETS 1.8).
+     *
+     * @param callback(error, data) (optional)
+     */
+    var getFilters = function(callback) {
+        logger.debug("RETS method getFilters");
+
+        getParsedMetadata("METADATA-FILTER", "0", "Filters", callback);
+    };
+
+    /**
+     * Helper that retrieves RETS filter type metadata (RETS 1.8).
+     *
+     * @param filterId Filter id
+     * @param callback(error, data) (optional)
+     */
+    var getFilterTypes = function(filterId, callback) {
+        logger.debug("RETS method getFilterTypes");
+
+        if (!filterId) {
+            if (callback)
+                callback(new Error("Missing filter id"));
+
+            return;
+        }
+
+        getParsedMetadata("METADATA-FILTER_TYPE", filterId, "FilterTypes", callback);
+    };
 
+    // the raw responses of getMetadata are not cached, only the parsed metadata of the helpers
     return {
         parseCompactMetadata: parseCompactMetadata,
         getMetadata: getMetadata,
-        getSystem: getSystem,
-        getResources: getResources,
-        getAllForeignKeys: getAllForeignKeys,
-        getForeignKeys: getForeignKeys,
-        getAllClass: getAllClass,
-        getClass: getClass,
-        getAllTable: getAllTable,
-        getTable: getTable,
-        getAllLookups: getAllLookups,
-        getLookups: getLookups,
-        getAllLookupTypes: getAllLookupTypes,
-        getLookupTypes: getLookupTypes,
-        getObject: getObject
+        getSystem: cached("system", getSystem),
+        getMetadataTree: cached("tree", getMetadataTree),
+        getResources: cached("resources", getResources),
+        getAllForeignKeys: cached("allForeignKeys", getAllForeignKeys),
+        getForeignKeys: cached("foreignKeys", getForeignKeys),
+        getAllClass: cached("allClass", getAllClass),
+        getClass: cached("class", getClass),
+        getAllTable: cached("allTable", getAllTable),
+        getTable: cached("table", getTable),
+        getAllLookups: cached("allLookups", getAllLookups),
+        getLookups: cached("lookups", getLookups),
+        getAllLookupTypes: cached("allLookupTypes", getAllLookupTypes),
+        getLookupTypes: cached("lookupTypes", getLookupTypes),
+        getObject: cached("object", getObject),
+        getUpdates: cached("updates", getUpdates),
+        getUpdateTypes: cached("updateTypes", getUpdateTypes),
+        getUpdateHelp: cached("updateHelp", getUpdateHelp),
+        getEditMasks: cached("editMasks", getEditMasks),
+        getSearchHelp: cached("searchHelp", getSearchHelp),
+        getValidationLookups: cached("validationLookups", getValidationLookups),
+        getValidationLookupTypes: cached("validationLookupTypes", getValidationLookupTypes),
+        getValidationExternals: cached("validationExternals", getValidationExternals),
+        getValidationExternalTypes: cached("validationExternalTypes", getValidationExternalTypes),
+        getValidationExpressions: cached("validationExpressions", getValidationExpressions),
+        getColumnGroups: cached("columnGroups", getColumnGroups),
+        getColumnGroupSets: cached("columnGroupSets", getColumnGroupSets),
+        getColumnGroupControls: cached("columnGroupControls", getColumnGroupControls),
+        getColumnGroupTables: cached("columnGroupTables", getColumnGroupTables),
+        getColumnGroupNormalizations: cached("columnGroupNormalizations", getColumnGroupNormalizations),
+        getFilters: cached("filters", getFilters),
+        getFilterTypes: cached("filterTypes", getFilterTypes)
     };
 };
 
+module.exports.parseCompactMetadata = parseCompactMetadata;
+module.exports.cacheKey = cacheKey;
+module.exports.parseMetadataTree = parseMetadataTree;
+module.exports.parseStandardMetadata = parseStandardMetadata;
+module.exports.parseStandardMetadataTree = parseStandardMetadataTree;
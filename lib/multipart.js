@@ -4,12 +4,12 @@ var logger = require('winston'),
     Stream = require('stream').Stream,
     streamBuffers = require("stream-buffers");
 
-var streamBufferList = [];
-
 //Multipart parser derived from formidable library. See https://github.com/felixge/node-formidable
 
 var parseMultipart = function(buffer, _multipartBoundary, callback) {
-    var parser = getParser(_multipartBoundary);
+    // parts collected for this call only, so that concurrent calls don't mix their parts
+    var streamBufferList = [];
+    var parser = getParser(_multipartBoundary, streamBufferList);
 
     if (parser instanceof Error) {
         if (callback) callback(parser);
@@ -31,14 +31,11 @@ var parseMultipart = function(buffer, _multipartBoundary, callback) {
             location:streamBuffer.location
         });
     }
-    // empty the buffer
-    streamBufferList.length = 0;
-
     if (callback)
         callback(null, dataBufferList);
 };
 
-var getParser = function(_multipartBoundary) {
+var getParser = function(_multipartBoundary, streamBufferList) {
     var parser = new MultipartParser(),
         headerField = '',
         headerValue = '',
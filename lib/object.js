@@ -1,125 +1,180 @@
 var logger = require('winston'),
     utils = require('./utils.js'),
+    errors = require('./errors.js'),
+    retry = require('./retry.js'),
     streamBuffers = require("stream-buffers"),
+    xmlParser = require('xml2js').parseString,
     multipart = require("./multipart.js");
 
-var objectSession;
-
-/**
- * Retrieves RETS object data.
- *
- * @param resourceType Rets resource type (ex: Property)
- * @param objectType Rets object type (ex: LargePhoto)
- * @param objectId Object identifier
- * @param callback(error, contentType, data) (optional)
- */
-var getObject = function(resourceType, objectType, objectId, callback) {
-    logger.debug("RETS method getObject with params resourceType=%s, objectType=%s, objectId=%s", resourceType, objectType, objectId);
-
-    if (!objectType || !objectId || !resourceType) {
-        if (callback)
-            callback(new Error("All params are required: objectType, objectId, resourceType"));
-
-        return;
-    }
-
-    if (!objectSession) {
-        if (callback)
-            callback(new Error("System data not set; invoke login first."));
-
-        return;
-    }
-
-    var objectOptions = {
-        qs:{
-            Type:objectType,
-            Id:objectId,
-            Resource:resourceType,
-            Location: 1
-        },
-        headers: {
-            Accept: 'image/*'
+module.exports = function(_parent, _objectSession, _signal) {
+
+    // session owned by this instance, so that each client keeps its own
+    var objectSession = _objectSession;
+    // the client, which has the retry policy and emits the retries
+    var parent = _parent;
+    // the abort signal of the call, if any, which also stops the retries
+    var signal = _signal;
+
+    /**
+     * Retrieves RETS object data.
+     *
+     * @param resourceType Rets resource type (ex: Property)
+     * @param objectType Rets object type (ex: LargePhoto)
+     * @param objectId Object identifier
+     * @param callback(error, contentType, data) (optional) contentType and data are null when no
+     *        object was found
+     */
+    var getObject = function(resourceType, objectType, objectId, callback) {
+        logger.debug("RETS method getObject with params resourceType=%s, objectType=%s, objectId=%s", resourceType, objectType, objectId);
+
+        if (!objectType || !objectId || !resourceType) {
+            if (callback)
+                callback(new Error("All params are required: objectType, objectId, resourceType"));
+
+            return;
         }
-    };
-    //prepare stream buffer for object data
-    var writableStreamBuffer = new streamBuffers.WritableStreamBuffer({
-        initialSize: (100 * 1024),      // start as 100 kilobytes.
-        incrementAmount: (10 * 1024)    // grow by 10 kilobytes each time buffer overflows.
-    });
-    var req = objectSession(objectOptions);
-
-    //pipe object data to stream buffer
-    req.pipe(writableStreamBuffer);
-    var contentType = null;
-    req.on("response", function(_response){
-        contentType = _response.headers["content-type"];
-    });
-    req.on("end", function() {
-        callback(null, contentType, writableStreamBuffer.getContents());
-    });
-    req.on("error", function(error) {
-        callback(error);
-    });
 
-};
+        if (!objectSession) {
+            if (callback)
+                callback(new Error("System data not set; invoke login first."));
 
+            return;
+        }
 
-/**
- * Helper that retrieves a list of photo objects.
- *
- * @param resourceType Rets resource type (ex: Property)
- * @param photoType Photo object type, based on getObjects meta call (ex: LargePhoto, Photo)
- * @param matrixId Photo matrix identifier.
- * @param callback(error, dataList) (optional)
- *
- *      Each item in data list is an object with the following data elements:
- *
- *       {
- *          buffer:<data buffer>,
- *          mime:<data buffer mime type>,
- *          description:<data description>,
- *          contentDescription:<data content description>,
- *          contentId:<content identifier>,
- *          objectId:<object identifier>
- *        }
- *
- */
-var getPhotos = function(resourceType, photoType, matrixId, callback) {
-    getObject(resourceType, photoType, matrixId, function(error, contentType, data) {
-        if (error) return callback(error);
-
-        // make sure that the multipart body contains something
-        var array = data.toString().split("\r\n");
-        for (var i = 0; i < array.length; i++) {
-            if (array[i] === '') {
-                array.splice(i+1, 0, '<RETS ReplyCode="0" ReplyText="SUCCESS" ></RETS>')
+        var objectOptions = {
+            qs:{
+                Type:objectType,
+                Id:objectId,
+                Resource:resourceType,
+                Location: 1
+            },
+            headers: {
+                Accept: 'image/*'
             }
-        }
-        data = array.join("\r\n");
+        };
+
+        var context = {transaction: "getObject", params: objectOptions.qs};
+
+        // the object data is streamed to a buffer, and only successful responses are read so that
+        // a request can be sent again, after a session renewal or a retry
+        var _send = function(done) {
+            var req = objectSession(objectOptions);
+            var failed = false;
+
+            var _fail = function(error) {
+                if (failed) return;
+                failed = true;
+                done(error);
+            };
+
+            req.on("response", function(response) {
+                if (response.statusCode != 200) {
+                    // the body is read so that the request completes and leaves the scheduler first
+                    response.resume();
+                    req.on("complete", function() {
+                        _fail(errors.fromResponse(response, context));
+                    });
+                    return;
+                }
+
+                var writableStreamBuffer = new streamBuffers.WritableStreamBuffer({
+                    initialSize: (100 * 1024),      // start as 100 kilobytes.
+                    incrementAmount: (10 * 1024)    // grow by 10 kilobytes each time buffer overflows.
+                });
+                req.pipe(writableStreamBuffer);
+                req.on("complete", function() {
+                    if (failed) return;
+
+                    var contentType = response.headers["content-type"];
+                    var data = writableStreamBuffer.getContents() || new Buffer(0);
+
+                    // objects are not XML, so an XML body is the reply of the server
+                    if (!/^text\/xml/i.test(contentType || '')) {
+                        done(null, contentType, data);
+                        return;
+                    }
+
+                    xmlParser(data.toString(), function(parseError, result) {
+                        var reply = utils.checkReply(result, _fail, context);
+                        if (!reply) return;
+
+                        if (reply.empty) done(null, null, null);
+                        else done(null, contentType, data);
+                    });
+                });
+            });
+            req.on("error", _fail);
+        };
+
+        retry.run(parent.retryPolicy, _send, function(error, contentType, data) {
+            if (callback)
+                callback(error, contentType, data);
+        }, function(retryData) {
+            retryData.transaction = "getObject";
+            parent.emit("retry", retryData);
+        }, signal);
+    };
 
-        var matcher = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
-        if (!matcher) {
-            callback(new Error("Bad contentType: " + contentType), null)
-            return;
-        }
-        var multipartBoundary = matcher[2] || matcher[1];
-        multipart.parseMultipart(new Buffer(data), multipartBoundary, function(error, dataList) {
-            //console.log(JSON.stringify(dataList))
-            /*dataList.forEach(function(item) {
-                console.log(item.contentId + " / " + item.objectId);
-            });*/
-            callback(error, dataList);
-        });
-    });
-};
 
-module.exports = function(_objectSession) {
+    /**
+     * Helper that retrieves a list of photo objects.
+     *
+     * @param resourceType Rets resource type (ex: Property)
+     * @param photoType Photo object type, based on getObjects meta call (ex: LargePhoto, Photo)
+     * @param matrixId Photo matrix identifier.
+     * @param index the index of the photo to retrieve (all if not specified, i.e. *)
+     * @param callback(error, dataList) (optional)
+     *
+     *      Each item in data list is an object with the following data elements:
+     *
+     *       {
+     *          buffer:<data buffer>,
+     *          mime:<data buffer mime type>,
+     *          description:<data description>,
+     *          contentDescription:<data content description>,
+     *          contentId:<content identifier>,
+     *          objectId:<object identifier>
+     *        }
+     *
+     */
+    var getPhotos = function(resourceType, photoType, matrixId, index, callback) {
+        // a full "matrixId:index" object id is used as is
+        var objectId = String(matrixId).indexOf(':') < 0 ?
+            matrixId + ':' + ((index === undefined || index === null) ? '*' : index) : matrixId;
+
+        getObject(resourceType, photoType, objectId, function(error, contentType, data) {
+            if (error) return callback(error);
+
+            // no photos
+            if (!contentType) return callback(null, []);
+
+            // make sure that the multipart body contains something
+            var array = data.toString().split("\r\n");
+            for (var i = 0; i < array.length; i++) {
+                if (array[i] === '') {
+                    array.splice(i+1, 0, '<RETS ReplyCode="0" ReplyText="SUCCESS" ></RETS>')
+                }
+            }
+            data = array.join("\r\n");
 
-    objectSession =_objectSession;
+            var matcher = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+            if (!matcher) {
+                callback(new Error("Bad contentType: " + contentType), null)
+                return;
+            }
+            var multipartBoundary = matcher[2] || matcher[1];
+            multipart.parseMultipart(new Buffer(data), multipartBoundary, function(error, dataList) {
+                //console.log(JSON.stringify(dataList))
+                /*dataList.forEach(function(item) {
+                    console.log(item.contentId + " / " + item.objectId);
+                });*/
+                callback(error, dataList);
+            });
+        });
+    };
 
     return {
         getObject: getObject,
         getPhotos: getPhotos
     };
 };
-
@@ -0,0 +1,125 @@
+var logger = require('winston'),
+    assert = require('assert');
+
+/**
+ * Finds a key in sorted keys.
+ *
+ * @returns the index of the key, or -1
+ */
+var indexOfKey = function(keys, key) {
+    var low = 0, high = keys.length - 1;
+    while (low <= high) {
+        var middle = (low + high) >>> 1;
+        if (keys[middle] < key) low = middle + 1;
+        else if (keys[middle] > key) high = middle - 1;
+        else return middle;
+    }
+    return -1;
+};
+
+/**
+ * Calls onId with each known id, as it is read.
+ *
+ * @param known an Array, a Set or an object-mode Readable stream of ids
+ * @param onId function(id)
+ * @param callback(error) called once every id was read
+ */
+var eachId = function(known, onId, callback) {
+    var _add = function(id) {
+        onId(String(id));
+    };
+
+    if (known && typeof known.pipe === 'function') {
+        known.on('data', _add);
+        known.on('error', callback);
+        known.on('end', function() {
+            callback(null);
+        });
+        return;
+    }
+
+    if (known && typeof known.forEach === 'function') known.forEach(function(id) {
+        _add(id);
+    });
+    callback(null);
+};
+
+/**
+ * Compares the keys of the records on the server with the ids known by the caller.
+ *
+ * Only the key field is fetched. The memory used grows with the number of server keys, which
+ * are kept in a sorted array with a flag each, and with the number of vanished ids: the known
+ * ids are never collected, each one being looked up as it is read, so they can be streamed.
+ *
+ * @param client the RETS client instance
+ * @param resourceType Rets resource type (ex: Property)
+ * @param classType Rets class type (ex: RESI)
+ * @param options.keyField the field identifying records (ex: ListingKey)
+ * @param options.known the known ids: an Array, a Set or an object-mode Readable stream
+ * @param options.query (optional) the records to compare with (default: (keyField=.ANY.))
+ * @param options.queryOptions (optional) other query options, such as _limit or _paging
+ * @param callback(error, result) result is {vanished, appeared, total}: the known ids no longer
+ *        on the server, the server keys that are not known, and the number of server keys
+ */
+var reconcile = function(client, resourceType, classType, options, callback) {
+    assert(options && options.keyField, "options.keyField is present");
+    assert(options.known, "options.known is present");
+
+    var keyField = options.keyField;
+    var queryOptions = {};
+    for (var key in options.queryOptions) {
+        queryOptions[key] = options.queryOptions[key];
+    }
+    queryOptions._select = keyField;
+
+    var keys = [];
+    var failed = false;
+    var stream = client.queryStream(resourceType, classType, options.query || '(' + keyField + '=.ANY.)', queryOptions);
+
+    stream.on('data', function(record) {
+        keys.push(String(record[keyField]));
+    });
+
+    stream.on('error', function(error) {
+        failed = true;
+        callback(error);
+    });
+
+    stream.on('end', function() {
+        if (failed) return;
+
+        keys.sort();
+        // pages may overlap when records change during the pull
+        keys = keys.filter(function(key, index) {
+            return index === 0 || key !== keys[index - 1];
+        });
+        logger.debug("Reconciling %d keys of %s:%s", keys.length, resourceType, classType);
+
+        var found = new Uint8Array(keys.length);
+        var vanished = [];
+        // known ids may be listed more than once, vanished ones are reported once
+        var reported = Object.create(null);
+
+        eachId(options.known, function(id) {
+            var index = indexOfKey(keys, id);
+            if (index >= 0) {
+                found[index] = 1;
+            } else if (!reported[id]) {
+                reported[id] = true;
+                vanished.push(id);
+            }
+        }, function(error) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            var appeared = keys.filter(function(key, index) {
+                return !found[index];
+            });
+            callback(null, {vanished: vanished, appeared: appeared, total: keys.length});
+        });
+    });
+};
+
+module.exports.reconcile = reconcile;
@@ -0,0 +1,270 @@
+var logger = require('winston'),
+    EventEmitter = require('events').EventEmitter,
+    assert = require('assert'),
+    util = require('util'),
+    fs = require('fs'),
+    abort = require('./abort.js'),
+    utils = require('./utils.js');
+
+var DEFAULT_SINCE = '1970-01-01T00:00:00';
+var DEFAULT_BATCH_SIZE = 100;
+// how far past the client's clock the last window ends, server times being up to 14 hours ahead of UTC
+var WINDOW_MARGIN = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates a checkpoint store keeping the checkpoint in a JSON file.
+ *
+ * The file is written to a temporary file first and then renamed, so a crash never leaves a
+ * partially written checkpoint behind.
+ *
+ * @param path the path of the JSON file
+ * @returns a store: load(callback(error, checkpoint)) and save(checkpoint, callback(error))
+ */
+var createFileStore = function(path) {
+    assert(path, "path is present");
+
+    return {
+        load: function(callback) {
+            fs.readFile(path, 'utf8', function(error, data) {
+                if (error) {
+                    callback(error.code === 'ENOENT' ? null : error, null);
+                    return;
+                }
+
+                var checkpoint;
+                try {
+                    checkpoint = JSON.parse(data);
+                } catch (parseError) {
+                    callback(new Error("Invalid checkpoint file " + path + ": " + parseError.message));
+                    return;
+                }
+                callback(null, checkpoint);
+            });
+        },
+        save: function(checkpoint, callback) {
+            var temporaryPath = path + '.tmp';
+            fs.writeFile(temporaryPath, JSON.stringify(checkpoint), function(error) {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+                fs.rename(temporaryPath, path, callback);
+            });
+        }
+    };
+};
+
+/**
+ * Pulls the records of a class modified since the last run.
+ *
+ * Records are fetched in windows of the timestamp field, the records of each window being ordered
+ * by it on the client (see the _partition option of client.query), so the server does not need to
+ * sort them. A checkpoint made of the timestamp and the key of the last record is saved after each
+ * batch, and the next run starts from it, going back options.overlap milliseconds to pick up
+ * records whose timestamp was set late.
+ * Records may therefore be delivered more than once across runs and should be processed
+ * idempotently.
+ *
+ * @constructor
+ * @param client a logged in RETS client
+ * @param options.resource Rets resource type (ex: Property)
+ * @param options.class Rets class type (ex: RESI)
+ * @param options.timestampField the modification timestamp field (ex: ModificationTimestamp)
+ * @param options.keyField the field identifying records (ex: ListingKey)
+ * @param options.query (optional) a DMQL query further restricting the records (ex: (Status=A))
+ * @param options.store (optional) the checkpoint store, with load(callback(error, checkpoint)) and
+ *        save(checkpoint, callback(error)). Default: a JSON file store of options.checkpointFile.
+ * @param options.checkpointFile (optional) the file of the default store (default: rets-checkpoint.json)
+ * @param options.since (optional) where the first run starts (default: 1970-01-01T00:00:00)
+ * @param options.overlap (optional) how many milliseconds before the checkpoint a run starts (default: 0)
+ * @param options.batchSize (optional) the number of records per batch and checkpoint (default: 100)
+ * @param options.queryOptions (optional) other query options, such as _limit or _select
+ *
+ * @event record(record) A record was fetched
+ * @event batch(records) A batch of records was fetched, its checkpoint is saved next
+ * @event checkpoint(checkpoint) A checkpoint {timestamp, key} was saved
+ * @event end(summary) The run is complete, see run
+ * @event error(error) The run failed, only emitted when there are error listeners
+ */
+var Replicator = function(client, options) {
+    EventEmitter.call(this);
+
+    assert(client, "Client is present");
+    assert(options && options.resource && options.class, "options.resource and options.class are present");
+    assert(options.timestampField && options.keyField, "options.timestampField and options.keyField are present");
+    assert(!(options.queryOptions && options.queryOptions._coerce), "_coerce is not supported, checkpoints need the raw timestamps");
+
+    this.client = client;
+    this.options = options;
+    this.store = options.store || createFileStore(options.checkpointFile || 'rets-checkpoint.json');
+    this.checkpoint = null;
+    this.running = false;
+};
+
+util.inherits(Replicator, EventEmitter);
+
+/**
+ * Pulls the records modified since the last checkpoint.
+ *
+ * @param callback(error, summary) (optional) summary is {count, checkpoint}, count being the
+ *        number of records fetched. Without callback, a Promise is returned.
+ */
+Replicator.prototype.run = function(callback) {
+    var self = this;
+
+    if (!callback) {
+        return new Promise(function(resolve, reject) {
+            self.run(function(error, summary) {
+                if (error) reject(error);
+                else resolve(summary);
+            });
+        });
+    }
+
+    if (self.running) {
+        callback(new Error("The replicator is already running"));
+        return;
+    }
+    self.running = true;
+
+    var _done = function(error, summary) {
+        self.running = false;
+        if (error) {
+            if (self.listeners("error").length > 0)
+                self.emit("error", error);
+        } else {
+            self.emit("end", summary);
+        }
+        callback(error, summary);
+    };
+
+    self.store.load(function(error, checkpoint) {
+        if (error) {
+            _done(error);
+            return;
+        }
+
+        self.checkpoint = checkpoint || null;
+        self._pull(_done);
+    });
+};
+
+Replicator.prototype._pull = function(callback) {
+    var self = this;
+    var options = self.options;
+    var timestampField = options.timestampField;
+    var keyField = options.keyField;
+    var start = self.checkpoint;
+
+    var since = options.since || DEFAULT_SINCE;
+    if (start) {
+        var time = utils.parseServerTime(start.timestamp) - (options.overlap || 0);
+        since = options.overlap ? utils.formatServerTime(time) : start.timestamp;
+    }
+
+    var queryString = '(' + timestampField + '=' + since + '+)';
+    if (options.query) queryString = '(' + options.query + '),' + queryString;
+
+    var queryOptions = {};
+    for (var key in options.queryOptions) {
+        queryOptions[key] = options.queryOptions[key];
+    }
+    queryOptions._partition = {field: timestampField, from: since, to: new Date(Date.now() + WINDOW_MARGIN), sort: true};
+    // a failed run aborts the requests of the query, and the caller's signal still aborts them
+    var controller = abort.createController(queryOptions._signal);
+    queryOptions._signal = controller.signal;
+    // checkpoints are made of the timestamp and the key of the records
+    [timestampField, keyField].forEach(function(field) {
+        if (queryOptions._select && queryOptions._select.split(',').indexOf(field) < 0)
+            queryOptions._select += ',' + field;
+    });
+
+    logger.debug("Replicating %s:%s from %s", options.resource, options.class, since);
+
+    var batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    var batch = [];
+    var count = 0;
+    var failed = false;
+    var saving = false;
+    var ended = false;
+
+    var stream = self.client.queryStream(options.resource, options.class, queryString, queryOptions);
+
+    var _fail = function(error) {
+        if (failed) return;
+        failed = true;
+        controller.abort();
+        stream.destroy();
+        callback(error);
+    };
+
+    var _flush = function(next) {
+        var records = batch;
+        batch = [];
+
+        // a checkpoint without a valid timestamp could not be resumed from
+        var last = records[records.length - 1];
+        if (isNaN(utils.parseServerTime(last[timestampField]))) {
+            _fail(new Error("Record " + last[keyField] + " has no valid " + timestampField + ": " + last[timestampField]));
+            return;
+        }
+
+        self.emit("batch", records);
+        var checkpoint = {timestamp: last[timestampField], key: last[keyField]};
+        self.store.save(checkpoint, function(error) {
+            if (error) {
+                _fail(error);
+                return;
+            }
+
+            self.checkpoint = checkpoint;
+            self.emit("checkpoint", checkpoint);
+            next();
+        });
+    };
+
+    stream.on("data", function(record) {
+        if (failed) return;
+
+        // the record of the checkpoint was delivered by the previous run
+        if (start && record[timestampField] === start.timestamp && record[keyField] === start.key) return;
+
+        count++;
+        batch.push(record);
+        self.emit("record", record);
+
+        if (batch.length >= batchSize) {
+            // no more records until the checkpoint of the batch is saved
+            saving = true;
+            stream.pause();
+            _flush(function() {
+                saving = false;
+                if (ended) _end();
+                else stream.resume();
+            });
+        }
+    });
+
+    var _end = function() {
+        var _complete = function() {
+            controller.release();
+            callback(null, {count: count, checkpoint: self.checkpoint});
+        };
+
+        if (batch.length > 0) _flush(_complete);
+        else _complete();
+    };
+
+    stream.on("error", _fail);
+
+    stream.on("end", function() {
+        if (failed) return;
+
+        // the stream may end while the checkpoint of its last batch is being saved
+        ended = true;
+        if (!saving) _end();
+    });
+};
+
+module.exports.Replicator = Replicator;
+module.exports.createFileStore = createFileStore;
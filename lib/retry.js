@@ -0,0 +1,163 @@
+var logger = require('winston'),
+    utils = require('./utils.js'),
+    errors = require('./errors.js');
+
+var DEFAULT_POLICY = {
+    maxAttempts: 3,
+    minDelay: 1000,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: 0.5
+};
+
+// the reply code of an XML response is in the attributes of its root element
+var REPLY_CODE = /<RETS\s[^>]*?ReplyCode\s*=\s*"(\d+)"(?:[^>]*?ReplyText\s*=\s*"([^"]*)")?/;
+
+/**
+ * Creates a retry policy.
+ *
+ * @param options (optional) false to never retry, or:
+ * @param options.maxAttempts (optional) the number of attempts of a request, the first one included (default: 3)
+ * @param options.minDelay (optional) the delay before the first retry, in milliseconds (default: 1000)
+ * @param options.maxDelay (optional) the longest delay between two attempts, in milliseconds (default: 30000)
+ * @param options.factor (optional) how much the delay grows after each retry (default: 2)
+ * @param options.jitter (optional) the share of the delay that is random, from 0 to 1, so that clients
+ *        failing together do not retry together (default: 0.5)
+ * @param options.replyCodes (optional) the RETS reply codes to retry, instead of those flagged isRetryable
+ * @param options.statuses (optional) the HTTP statuses to retry, instead of those flagged isRetryable
+ * @param options.isRetryable (optional) function(error) deciding which errors are retried, instead of
+ *        replyCodes and statuses
+ * @returns the policy: its settings, isRetryable(error) and delay(attempt)
+ */
+var createPolicy = function(options) {
+    if (options === false) options = {maxAttempts: 1};
+    options = options || {};
+
+    var policy = {};
+    Object.keys(DEFAULT_POLICY).forEach(function(key) {
+        policy[key] = options[key] === undefined ? DEFAULT_POLICY[key] : options[key];
+    });
+
+    var replyCodes = options.replyCodes && options.replyCodes.map(String);
+    var statuses = options.statuses && options.statuses.map(Number);
+
+    policy.isRetryable = options.isRetryable || function(error) {
+        if (!error) return false;
+        if (statuses && error.httpStatus !== undefined) return statuses.indexOf(error.httpStatus) >= 0;
+        if (replyCodes && error.replyCode !== undefined && error.httpStatus === undefined)
+            return replyCodes.indexOf(String(error.replyCode)) >= 0;
+        return errors.isRetryable(error);
+    };
+
+    /**
+     * The delay before the given retry (1 for the first one), in milliseconds.
+     */
+    policy.delay = function(attempt) {
+        var delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1));
+        return Math.round(delay * (1 - policy.jitter * Math.random()));
+    };
+
+    return policy;
+};
+
+/**
+ * Runs a transaction, running it again after a delay as long as it fails with an error the
+ * policy retries and attempts are left.
+ *
+ * @param policy the retry policy, see createPolicy. Transactions are not retried without one.
+ * @param transaction function(done) performing the transaction, done(error, ...)
+ * @param callback called with the arguments of the last attempt
+ * @param onRetry (optional) function(retry) called before each retry with {attempt, delay, error}:
+ *        the number of the attempt that failed, the delay before the next one and its error
+ * @param signal (optional) an abort signal, see lib/abort.js. Aborting it during the delay before a
+ *        retry fails the transaction with a RetsAbortError at once.
+ */
+var run = function(policy, transaction, callback, onRetry, signal) {
+    var attempt = 1;
+
+    var _attempt = function() {
+        transaction(function(error) {
+            if (!error || !policy || attempt >= policy.maxAttempts || !policy.isRetryable(error)) {
+                callback.apply(null, arguments);
+                return;
+            }
+
+            var delay = policy.delay(attempt);
+            logger.debug("Attempt %d failed, retrying in %dms: %s", attempt, delay, error.message);
+            if (onRetry)
+                onRetry({attempt: attempt, delay: delay, error: error});
+
+            attempt++;
+            if (!signal) {
+                setTimeout(_attempt, delay);
+                return;
+            }
+
+            var _abort = function() {
+                clearTimeout(timer);
+                callback(new errors.RetsAbortError("RETS method " + (error.transaction || "request") + " was aborted",
+                    {transaction: error.transaction}));
+            };
+            var timer = setTimeout(function() {
+                signal.removeEventListener("abort", _abort);
+                _attempt();
+            }, delay);
+
+            if (signal.aborted) process.nextTick(_abort);
+            else signal.addEventListener("abort", _abort);
+        });
+    };
+    _attempt();
+};
+
+/**
+ * Finds the error of a RETS response, from its HTTP status or from its reply code.
+ *
+ * @returns the error, or null when the response is a success or its reply code is not an error
+ */
+var responseError = function(response, body, context) {
+    if (response.statusCode != 200) return errors.fromResponse(response, context);
+
+    if (!/xml/i.test(response.headers["content-type"] || '') || !body) return null;
+
+    // only the beginning of the body is read, it may be a large search response
+    var head = Buffer.isBuffer(body) ? body.toString('utf8', 0, 1024) : String(body).substring(0, 1024);
+    var match = REPLY_CODE.exec(head);
+    if (!match || utils.classifyReplyCode(match[1]) !== "error") return null;
+
+    return errors.fromReply(match[1], match[2], context);
+};
+
+/**
+ * Wraps a request function so that requests failing with an error the policy retries are sent
+ * again: network errors, HTTP statuses and RETS reply codes. Once no attempt is left, the
+ * caller gets the last response as it is.
+ *
+ * Requests made without callback are streamed, they are returned as they are and never retried.
+ *
+ * @param request function(options, callback(error, response, body)), such as a request session
+ * @param policy the retry policy, see createPolicy
+ * @param transaction the name of the RETS transaction (ex: search)
+ * @param onRetry (optional) function(retry), see run
+ * @param signal (optional) the abort signal of the requests, see run
+ * @returns a function(options, callback) sending the requests
+ */
+var wrapRequest = function(request, policy, transaction, onRetry, signal) {
+    return function(options, callback) {
+        if (!callback) return request(options);
+
+        run(policy, function(done) {
+            request(options, function(error, response, body) {
+                var failure = error || (response && responseError(response, body, {transaction: transaction}));
+                done(failure, error, response, body);
+            });
+        }, function(failure, error, response, body) {
+            if (failure instanceof errors.RetsAbortError) callback(failure);
+            else callback(error, response, body);
+        }, onRetry, signal);
+    };
+};
+
+module.exports.createPolicy = createPolicy;
+module.exports.run = run;
+module.exports.wrapRequest = wrapRequest;
@@ -0,0 +1,168 @@
+var logger = require('winston'),
+    EventEmitter = require('events').EventEmitter;
+
+/**
+ * Creates a scheduler limiting the requests sent to a server. Requests over the limits are
+ * queued and sent in order once the limits allow it.
+ *
+ * @param options.maxConcurrent (optional) the most requests in flight at once (default: no limit)
+ * @param options.maxRequests (optional) the most requests started per interval (default: no limit)
+ * @param options.interval (optional) the interval of maxRequests, in milliseconds (default: 60000)
+ * @param options.minSpacing (optional) the least time between the starts of two requests, in milliseconds (default: 0)
+ * @returns the scheduler: schedule(task), running() and queued()
+ */
+var createScheduler = function(options) {
+    options = options || {};
+    var maxConcurrent = options.maxConcurrent || Infinity;
+    var maxRequests = options.maxRequests || Infinity;
+    var interval = options.interval || 60000;
+    var minSpacing = options.minSpacing || 0;
+
+    var queue = [];
+    // the start times of the requests of the last interval
+    var starts = [];
+    var running = 0;
+    var lastStart = -Infinity;
+    var timer = null;
+
+    // the time to wait before the next request may start
+    var _wait = function(now) {
+        while (starts.length > 0 && starts[0] <= now - interval) starts.shift();
+
+        var wait = starts.length >= maxRequests ? starts[0] + interval - now : 0;
+        return Math.max(wait, lastStart + minSpacing - now);
+    };
+
+    var _release = function() {
+        var released = false;
+        return function() {
+            if (released) return;
+            released = true;
+            running--;
+            _next();
+        };
+    };
+
+    var _resume = function() {
+        timer = null;
+        _next();
+    };
+
+    var _next = function() {
+        while (queue.length > 0 && running < maxConcurrent && !timer) {
+            var now = Date.now();
+            var wait = _wait(now);
+            if (wait > 0) {
+                timer = setTimeout(_resume, wait);
+                return;
+            }
+
+            var task = queue.shift();
+            running++;
+            lastStart = now;
+            if (maxRequests !== Infinity) starts.push(now);
+            task(_release());
+        }
+    };
+
+    return {
+        /**
+         * Runs a task once the limits allow it, right away if they already do.
+         *
+         * @param task function(release) sending a request, release() must be called once it is done
+         * @returns a function removing the task from the queue, returning false if it already started
+         */
+        schedule: function(task) {
+            queue.push(task);
+            if (queue.length > 1 || running >= maxConcurrent)
+                logger.debug("Request queued, %d running and %d queued", running, queue.length);
+            _next();
+
+            return function() {
+                var index = queue.indexOf(task);
+                if (index < 0) return false;
+                queue.splice(index, 1);
+                return true;
+            };
+        },
+        running: function() {
+            return running;
+        },
+        queued: function() {
+            return queue.length;
+        }
+    };
+};
+
+/**
+ * Wraps a request function so that its requests go through a scheduler.
+ *
+ * Requests made without callback are streamed. When such a request is queued, an event emitter
+ * standing for it is returned: it emits the response, error and complete events of the request
+ * once sent, and its pipe method pipes the request, once sent if it is still queued.
+ *
+ * @param request function(options, callback(error, response, body)), such as a request session
+ * @param scheduler the scheduler, see createScheduler
+ * @param signal (optional) an AbortSignal. Aborted requests leave the queue and are sent to
+ *        the request function right away, so that it fails them.
+ * @returns a function(options, callback) sending the requests
+ */
+var wrapRequest = function(request, scheduler, signal) {
+    return function(options, callback) {
+        var req = null;
+        var proxy = null;
+        var cancel = null;
+        // the destinations piped to while the request is queued
+        var pipes = [];
+
+        // aborted requests do not wait for their turn
+        var _dequeue = function() {
+            if (cancel && cancel()) _send(function() {});
+        };
+
+        var _send = function(release) {
+            if (signal) signal.removeEventListener("abort", _dequeue);
+
+            if (callback) {
+                req = request(options, function() {
+                    release();
+                    callback.apply(null, arguments);
+                });
+                return;
+            }
+
+            req = request(options);
+            ["complete", "error", "abort"].forEach(function(event) {
+                req.on(event, release);
+            });
+            if (proxy) {
+                ["response", "error", "complete"].forEach(function(event) {
+                    req.on(event, proxy.emit.bind(proxy, event));
+                });
+                pipes.forEach(function(pipe) {
+                    req.pipe(pipe.destination, pipe.options);
+                });
+            }
+        };
+
+        cancel = scheduler.schedule(_send);
+        if (signal && !req) signal.addEventListener("abort", _dequeue);
+
+        if (req || callback) return req;
+
+        proxy = new EventEmitter();
+        proxy.pipe = function(destination, options) {
+            if (req) return req.pipe(destination, options);
+
+            pipes.push({destination: destination, options: options});
+            return destination;
+        };
+        proxy.abort = function() {
+            if (req) req.abort();
+        };
+        return proxy;
+    };
+};
+
+module.exports.createScheduler = createScheduler;
+module.exports.wrapRequest = wrapRequest;
@@ -0,0 +1,329 @@
+var logger = require('winston'),
+    errors = require('./errors.js');
+
+var LOOKUP_INTERPRETATIONS = ['Lookup', 'LookupMulti'];
+
+// copies the columns of a metadata row onto a schema object
+var assign = function(target, metadata) {
+    for (var key in metadata) {
+        target[key] = metadata[key];
+    }
+    return target;
+};
+
+// finds the first item having one of the given properties equal to name
+var find = function(items, properties, name) {
+    for (var i = 0; i < items.length; i++) {
+        for (var j = 0; j < properties.length; j++) {
+            if (items[i][properties[j]] === name) return items[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * A lookup of a resource, with the columns of its METADATA-LOOKUP row.
+ *
+ * @constructor
+ * @param metadata the lookup metadata
+ * @param lookupTypes the LookupTypes of the lookup
+ */
+var Lookup = function(metadata, lookupTypes) {
+    assign(this, metadata);
+    this.lookupTypes = lookupTypes || [];
+};
+
+/**
+ * @returns the lookup type of a lookup value, or null
+ */
+Lookup.prototype.value = function(value) {
+    return find(this.lookupTypes, ['Value'], value);
+};
+
+/**
+ * A field of a class, with the columns of its METADATA-TABLE row.
+ *
+ * @constructor
+ * @param metadata the field metadata
+ * @param lookup the Lookup of Lookup and LookupMulti fields, or null
+ */
+var Field = function(metadata, lookup) {
+    assign(this, metadata);
+    this.lookup = lookup || null;
+};
+
+/**
+ * A class of a resource, with the columns of its METADATA-CLASS row.
+ *
+ * @constructor
+ * @param metadata the class metadata
+ * @param fields the Fields of the class
+ */
+var ResourceClass = function(metadata, fields) {
+    assign(this, metadata);
+    this.fields = fields;
+};
+
+/**
+ * @param name the SystemName or the StandardName of the field
+ * @returns the Field, or null
+ */
+ResourceClass.prototype.field = function(name) {
+    return find(this.fields, ['SystemName', 'StandardName'], name);
+};
+
+/**
+ * A resource, with the columns of its METADATA-RESOURCE row.
+ *
+ * @constructor
+ * @param metadata the resource metadata
+ * @param classes the ResourceClasses of the resource
+ * @param lookups the Lookups of the resource
+ * @param objects the Objects metadata of the resource
+ */
+var Resource = function(metadata, classes, lookups, objects) {
+    assign(this, metadata);
+    this.classes = classes;
+    this.lookups = lookups;
+    this.objects = objects;
+};
+
+/**
+ * @param name the ClassName or the StandardName of the class
+ * @returns the ResourceClass, or null
+ */
+Resource.prototype.class = function(name) {
+    return find(this.classes, ['ClassName', 'StandardName'], name);
+};
+
+/**
+ * @param name the LookupName of the lookup
+ * @returns the Lookup, or null
+ */
+Resource.prototype.lookup = function(name) {
+    return find(this.lookups, ['LookupName'], name);
+};
+
+/**
+ * @param type the ObjectType of the object (i.e. Photo)
+ * @returns the object metadata, or null
+ */
+Resource.prototype.object = function(type) {
+    return find(this.objects, ['ObjectType'], type);
+};
+
+/**
+ * The metadata of a RETS server, linking its resources to their classes, fields, lookups
+ * and objects.
+ *
+ * @constructor
+ * @param system the system metadata, see metadataModule.getSystem, or null when the server
+ *        has none
+ * @param resources the Resources
+ */
+var Schema = function(system, resources) {
+    this.system = system;
+    this.version = system ? system.metadataVersion : null;
+    this.resources = resources;
+};
+
+/**
+ * @param name the ResourceID or the StandardName of the resource
+ * @returns the Resource, or null
+ */
+Schema.prototype.resource = function(name) {
+    return find(this.resources, ['ResourceID', 'StandardName'], name);
+};
+
+/**
+ * Creates the lookups of a resource. Lookups listed only by their lookup types are
+ * included as well.
+ */
+var createLookups = function(tree, resourceId) {
+    var lookups = (tree.lookups[resourceId] || []).map(function(metadata) {
+        return new Lookup(metadata, tree.lookupTypes[resourceId + ':' + metadata.LookupName]);
+    });
+
+    var prefix = resourceId + ':';
+    for (var key in tree.lookupTypes) {
+        var lookupName = key.substring(prefix.length);
+        if (key.indexOf(prefix) !== 0 || find(lookups, ['LookupName'], lookupName)) continue;
+
+        lookups.push(new Lookup({LookupName: lookupName}, tree.lookupTypes[key]));
+    }
+
+    return lookups;
+};
+
+/**
+ * Creates the schema of a metadata tree.
+ *
+ * @param tree the metadata tree, see metadata.parseMetadataTree
+ * @returns the Schema
+ */
+var createSchema = function(tree) {
+    var resources = tree.resources.map(function(metadata) {
+        var resourceId = metadata.ResourceID;
+        var lookups = createLookups(tree, resourceId);
+
+        var classes = (tree.classes[resourceId] || []).map(function(metadata) {
+            var fields = (tree.tables[resourceId + ':' + metadata.ClassName] || []).map(function(metadata) {
+                var lookup = LOOKUP_INTERPRETATIONS.indexOf(metadata.Interpretation) >= 0 ?
+                    find(lookups, ['LookupName'], metadata.LookupName) : null;
+                return new Field(metadata, lookup);
+            });
+            return new ResourceClass(metadata, fields);
+        });
+
+        return new Resource(metadata, classes, lookups, tree.objects[resourceId] || []);
+    });
+
+    return new Schema(tree.system, resources);
+};
+
+/**
+ * Tells whether a metadata error means that the server does not support a request, rather
+ * than that it cannot be reached or refused the session.
+ */
+var isUnsupported = function(error) {
+    return error instanceof errors.RetsServerError || error instanceof errors.RetsHttpError ||
+        error instanceof errors.RetsParseError;
+};
+
+// runs the steps, function(done), one after the other until one fails
+var series = function(steps, callback) {
+    var next = function(index) {
+        if (index === steps.length) {
+            callback(null);
+            return;
+        }
+
+        steps[index](function(error) {
+            if (error) callback(error);
+            else next(index + 1);
+        });
+    };
+    next(0);
+};
+
+module.exports = function(_metadataModule) {
+
+    var metadataModule = _metadataModule;
+
+    // adds the metadata of a resource to the tree
+    var walkResource = function(resourceId, tree, callback) {
+        series([
+            function(done) {
+                metadataModule.getClass(resourceId, function(error, data) {
+                    if (!error) tree.classes[resourceId] = data.Classes;
+                    done(error);
+                });
+            },
+            function(done) {
+                series(tree.classes[resourceId].map(function(metadata) {
+                    return function(done) {
+                        metadataModule.getTable(resourceId, metadata.ClassName, function(error, data) {
+                            if (!error) tree.tables[resourceId + ':' + metadata.ClassName] = data.Fields;
+                            done(error);
+                        });
+                    };
+                }), done);
+            },
+            function(done) {
+                metadataModule.getLookups(resourceId, function(error, data) {
+                    if (!error) tree.lookups[resourceId] = data.Lookups;
+                    done(error);
+                });
+            },
+            function(done) {
+                metadataModule.getLookupTypes(resourceId, "", function(error, data) {
+                    if (!error) data.forEach(function(metadata) {
+                        tree.lookupTypes[resourceId + ':' + metadata.Lookup] = metadata.LookupTypes;
+                    });
+                    done(error);
+                });
+            },
+            function(done) {
+                metadataModule.getObject(resourceId, function(error, data) {
+                    if (!error) tree.objects[resourceId] = data.Objects;
+                    done(error);
+                });
+            }
+        ], callback);
+    };
+
+    // builds the metadata tree with a request per metadata type and resource
+    var walkMetadataTree = function(callback) {
+        var tree = {system: null, resources: [], classes: {}, tables: {}, lookups: {}, lookupTypes: {}, objects: {}};
+
+        series([
+            function(done) {
+                metadataModule.getSystem(function(error, system) {
+                    tree.system = system;
+                    done(error);
+                });
+            },
+            function(done) {
+                metadataModule.getResources(function(error, data) {
+                    if (!error) tree.resources = data.Resources;
+                    done(error);
+                });
+            },
+            function(done) {
+                series(tree.resources.map(function(metadata) {
+                    return walkResource.bind(null, metadata.ResourceID, tree);
+                }), done);
+            }
+        ], function(error) {
+            callback(error, error ? null : tree);
+        });
+    };
+
+    /**
+     * Retrieves the whole metadata tree, in a single request when the server supports
+     * METADATA-SYSTEM with Id=*, or else with a request per metadata type and resource.
+     *
+     * @param callback(error, tree) see metadata.parseMetadataTree
+     */
+    var getMetadataTree = function(callback) {
+        metadataModule.getMetadataTree(function(error, tree) {
+            // servers ignoring Id=* only return the system metadata
+            if (!error && tree && tree.resources.length > 0) {
+                callback(null, tree);
+                return;
+            }
+
+            if (error && !isUnsupported(error)) {
+                callback(error);
+                return;
+            }
+
+            logger.debug("Metadata tree not returned (%s), retrieving each metadata type",
+                error ? error.message : "no resources found");
+            walkMetadataTree(callback);
+        });
+    };
+
+    /**
+     * Retrieves the schema of the server, see createSchema.
+     *
+     * @param callback(error, schema)
+     */
+    var getSchema = function(callback) {
+        getMetadataTree(function(error, tree) {
+            callback(error, error ? null : createSchema(tree));
+        });
+    };
+
+    return {
+        getMetadataTree: getMetadataTree,
+        getSchema: getSchema
+    };
+};
+
+module.exports.createSchema = createSchema;
+module.exports.Schema = Schema;
+module.exports.Resource = Resource;
+module.exports.ResourceClass = ResourceClass;
+module.exports.Field = Field;
+module.exports.Lookup = Lookup;
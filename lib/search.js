@@ -1,10 +1,12 @@
 var logger = require('winston'),
+    util = require('util'),
+    Readable = require('stream').Readable,
     utils = require('./utils.js'),
+    errors = require('./errors.js'),
+    retry = require('./retry.js'),
+    compact = require('./compact.js'),
     xmlParser = require('xml2js').parseString;
 
-var parent;
-var searchSession;
-
 function mergeInto(o1, o2) {
     if (o1 === null || o2 === null)
         return o1;
@@ -16,27 +18,47 @@ function mergeInto(o1, o2) {
     return o1;
 }
 
-var parseCompactDecoded = function(resp, callback) {
+/**
+ * Creates the context set on the errors of a search, see errors.RetsError.
+ */
+var searchContext = function(queryOptions) {
+    return {transaction: "search", params: queryOptions};
+};
+
+/**
+ * Creates the results of a search that found no records.
+ */
+var emptySearchResults = function(reply) {
+    return {count: 0, total: 0, maxRows: false, warnings: reply.warnings, data: []};
+};
+
+var parseCompactDecoded = function(resp, callback, context) {
 
     var columnsXml, dataXml, delimiter;
     xmlParser(resp, function(error, result) {
 
-        if (!utils.replyCodeCheck(result, callback)) return;
+        var reply = utils.checkReply(result, callback, context);
+        if (!reply) return;
+
+        if (reply.empty) {
+            callback(null, emptySearchResults(reply));
+            return;
+        }
 
         columnsXml = result.RETS.COLUMNS;
 
-        if(columnsXml && !utils.xmlParseCheck(columnsXml, callback)) return;
+        if(columnsXml && !utils.xmlParseCheck(columnsXml, callback, context)) return;
 
         dataXml = result.RETS.DATA || [];
 
-        if(!utils.xmlParseCheck(dataXml, callback)) return;
+        if(!utils.xmlParseCheck(dataXml, callback, context)) return;
         if (result.RETS.DELIMITER) {
             delimiter = utils.hex2a(result.RETS.DELIMITER[0].$.value);
 
             if (delimiter === undefined)
             {
                 if (callback)
-                    callback(new Error("No specified delimiter."));
+                    callback(errors.parseError("No specified delimiter.", context));
 
                 return;
             }
@@ -44,7 +66,9 @@ var parseCompactDecoded = function(resp, callback) {
 
         var searchResults = {
             count: dataXml.length,
-            total: +result.RETS.COUNT[0].$.Records,
+            total: result.RETS.COUNT ? +result.RETS.COUNT[0].$.Records : undefined,
+            maxRows: !!result.RETS.MAXROWS,
+            warnings: reply.warnings,
             data: []
         };
         if (columnsXml) {
@@ -66,190 +90,1061 @@ var parseCompactDecoded = function(resp, callback) {
     });
 };
 
-//default query parameters
-var queryOptions = {
-    queryType:'DMQL2',
-    format:'COMPACT-DECODED',
-    count:1,
-    standardNames:0,
-    restrictedIndicator:'***',
-    limit:"NONE",
-    offset:1
+/**
+ * Parses the response of a count-only search (Count=2).
+ *
+ * @param callback(error, total) total is 0 when no records were found
+ * @param context (optional) {transaction, params} of the search, set on the errors
+ */
+var parseCount = function(resp, callback, context) {
+    xmlParser(resp, function(error, result) {
+        var reply = utils.checkReply(result, callback, context);
+        if (!reply) return;
+
+        if (reply.empty) {
+            callback(null, 0);
+            return;
+        }
+
+        if (!result.RETS.COUNT) {
+            callback(errors.parseError("The search response has no COUNT", context));
+            return;
+        }
+
+        callback(null, +result.RETS.COUNT[0].$.Records);
+    });
 };
 
 /**
- * Invokes RETS search operation.
- *
- * @param _queryOptions Search query options.
- *        See RETS specification for query options.
+ * Tracks the progress of a query whose total is known.
  *
- *        Default values query params:
+ * @param total the number of records of the query
+ * @returns function(count) adding the records of a page and returning the progress:
+ *          {fetched, total, percent, elapsed, eta}, elapsed and eta being milliseconds
+ */
+var createProgress = function(total) {
+    var start = Date.now();
+    var fetched = 0;
+
+    return function(count) {
+        fetched += count || 0;
+        var elapsed = Date.now() - start;
+        var done = total > 0 ? Math.min(fetched / total, 1) : 1;
+
+        return {
+            fetched: fetched,
+            total: total,
+            percent: Math.round(done * 1000) / 10,
+            elapsed: elapsed,
+            // unknown until a record was fetched
+            eta: done > 0 ? Math.round(elapsed / done - elapsed) : null
+        };
+    };
+};
+
+/**
+ * Converts an element parsed by xml2js into a plain value: text for simple elements,
+ * otherwise an object of its child elements. Repeated child elements become arrays.
+ */
+var toRecord = function(element) {
+    if (typeof element !== 'object') return element;
+
+    // text content of an element carrying attributes
+    if ('_' in element && Object.keys(element).length <= 2) return element._;
+
+    var record = {};
+    for (var key in element) {
+        if (key === '$' || key === '_') continue;
+
+        var values = element[key].map(toRecord);
+        record[key] = values.length === 1 ? values[0] : values;
+    }
+    return record;
+};
+
+/**
+ * Parses a STANDARD-XML search response.
  *
- *           queryType:'DMQL2',
- *           format:'COMPACT-DECODED',
- *           count:1,
- *           standardNames:0,
- *           restrictedIndicator:'***',
- *           limit:"NONE",
- *           offset:0
+ * Each child of the containers found under REData (i.e. REData/REProperties/ResidentialProperty)
+ * is a record. Its simple elements become string properties and its nested elements become
+ * nested objects, e.g. record.Listing.ListPrice.
  *
- * @param callback(error, data) (optional)
+ * @param resp the response body
+ * @param callback(error, searchResults) with the same shape as for the COMPACT formats
+ * @param context (optional) {transaction, params} of the search, set on the errors
  */
-var searchRets = function(_queryOptions, callback) {
+var parseStandardXml = function(resp, callback, context) {
 
-    logger.debug("RETS method search with params _queryOptions=%j",_queryOptions);
+    xmlParser(resp, function(error, result) {
 
+        var reply = utils.checkReply(result, callback, context);
+        if (!reply) return;
 
-    if (!_queryOptions) {
-        if (callback)
-            callback(new Error("_queryOptions is required."));
+        if (reply.empty) {
+            callback(null, emptySearchResults(reply));
+            return;
+        }
 
-        return;
-    }
+        var searchResults = {
+            count: 0,
+            total: result.RETS.COUNT ? +result.RETS.COUNT[0].$.Records : undefined,
+            maxRows: !!result.RETS.MAXROWS,
+            warnings: reply.warnings,
+            data: []
+        };
 
-    if (!_queryOptions.searchType) {
-        if (callback)
-            callback(new Error("_queryOptions.searchType field is required."));
+        var childElements = function(element) {
+            return typeof element === 'object' ? Object.keys(element).filter(function(key) {
+                return key !== '$';
+            }) : [];
+        };
 
-        return;
-    }
+        var reData = result.RETS.REData ? result.RETS.REData[0] : null;
+        childElements(reData).forEach(function(container) {
+            reData[container].forEach(function(containerXml) {
+                childElements(containerXml).forEach(function(recordName) {
+                    containerXml[recordName].forEach(function(recordXml) {
+                        searchResults.data.push(toRecord(recordXml));
+                    });
+                });
+            });
+        });
+        searchResults.count = searchResults.data.length;
 
-    if (!_queryOptions.class) {
         if (callback)
-            callback(new Error("_queryOptions.class field is required."));
+            callback(error, searchResults);
+    });
+};
+
+// Maximum Records Exceeded
+var MAX_RECORDS_EXCEEDED = "20208";
+
+// paging key values compared as numbers
+var NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+//default query parameters, a new object is returned for each search
+var defaultQueryOptions = function() {
+    return {
+        queryType:'DMQL2',
+        format:'COMPACT-DECODED',
+        count:1,
+        standardNames:0,
+        restrictedIndicator:'***',
+        limit:"NONE",
+        offset:1
+    };
+};
+
+/**
+ * Compares the paging key values of two records, numerically when both are numbers.
+ */
+var compareKeys = function(a, b) {
+    if (NUMBER.test(a) && NUMBER.test(b)) return parseFloat(a) - parseFloat(b);
+    return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Object-mode stream of the records of a paged query, see queryStream.
+ *
+ * @constructor
+ */
+var QueryStream = function() {
+    // buffer a single record beyond the fetched page, so that the next page is only
+    // requested once the records of the previous one have been read
+    Readable.call(this, {objectMode: true, highWaterMark: 1});
+
+    this.pager = null;
+    this.fetching = false;
+    this.page = null;
+    this.reading = false;
+    this.prepared = false;
+    this.progress = null;
+};
+
+util.inherits(QueryStream, Readable);
+
+QueryStream.prototype._read = function() {
+    var self = this;
+
+    self.reading = true;
 
+    // resume the page paused when the consumer could not keep up
+    if (self.page) {
+        self.page.resume();
         return;
     }
 
-    if (!_queryOptions.query) {
-        if (callback)
-            callback(new Error("_queryOptions.query field is required."));
+    if (self.fetching || !self.pager) return;
+
+    if (!self.prepared) {
+        self.fetching = true;
+        self.pager.prepare(function(error) {
+            self.fetching = false;
+            self.prepared = true;
+
+            if (error) {
+                self.fail(error);
+                return;
+            }
 
+            if (self.pager.total !== undefined) {
+                self.progress = createProgress(self.pager.total);
+                self.emit("progress", self.progress(0));
+            }
+            self._read();
+        });
         return;
     }
 
-    if (!searchSession) {
-        if (callback)
-            callback(new Error("System data not set; invoke login first."));
+    if (self.pager.done) {
+        self.push(null);
+        return;
+    }
 
+    if (self.pager.streamable) {
+        self._readStream();
         return;
     }
 
-    mergeInto(queryOptions, _queryOptions);
+    self.fetching = true;
+    self.pager.next(function(error, searchResults) {
+        self.fetching = false;
 
-    var searchOptions = {
-        method: 'POST',
-        form: queryOptions
-    };
+        if (error) {
+            self.fail(error);
+            return;
+        }
+
+        self.emit("page", searchResults);
+        if (self.progress) self.emit("progress", self.progress(searchResults.count));
 
-    searchSession(searchOptions, function(error, response, body) {
+        searchResults.data.forEach(function(record) {
+            self.push(record);
+        });
 
-        var isErr = false;
+        if (self.pager.done) self.push(null);
+        // nothing was pushed, so nothing will ask for more
+        else if (searchResults.data.length === 0) self._read();
+    });
+};
+
+/**
+ * Streams the records of the next page as they are parsed, pausing the page
+ * (and so the HTTP response) while the consumer is not reading.
+ */
+QueryStream.prototype._readStream = function() {
+    var self = this;
+
+    var page = self.pager.nextStream(function(error, searchResults) {
+        self.page = null;
 
         if (error) {
-            isErr = true;
+            self.fail(error);
+            return;
         }
 
-        if (response && response.statusCode != 200)
-        {
-            isErr = true;
-            error = new Error("RETS method search returned unexpected status code: " + response.statusCode);
+        self.emit("page", searchResults);
+        if (self.progress) self.emit("progress", self.progress(searchResults.count));
+
+        if (self.pager.done) self.push(null);
+        else if (self.reading) self._read();
+    });
+
+    page.on("data", function(record) {
+        if (!self.push(record)) {
+            self.reading = false;
+            page.pause();
         }
+    });
 
-        if (isErr) {
-            logger.debug("Search Error:\n\n" + JSON.stringify(error));
+    self.page = page;
+};
+
+QueryStream.prototype.fail = function(error) {
+    if (this.destroy) this.destroy(error);
+    else this.emit("error", error);
+};
+
+module.exports = function(_parent, _searchSession, _signal) {
+
+    // state owned by this instance, so that each client keeps its own session
+    var parent = _parent;
+    var searchSession = _searchSession;
+    // the abort signal of the call, if any, which also stops the retries of streamed searches
+    var signal = _signal;
+
+    /**
+     * Checks the search options and the session before a search.
+     *
+     * @returns an Error describing the first problem, or null
+     */
+    var checkSearchOptions = function(_queryOptions) {
+        if (!_queryOptions)
+            return new Error("_queryOptions is required.");
+
+        if (!_queryOptions.searchType)
+            return new Error("_queryOptions.searchType field is required.");
+
+        if (!_queryOptions.class)
+            return new Error("_queryOptions.class field is required.");
+
+        if (!_queryOptions.query)
+            return new Error("_queryOptions.query field is required.");
+
+        if (!searchSession)
+            return new Error("System data not set; invoke login first.");
+
+        return null;
+    };
+
+    /**
+     * Invokes RETS search operation.
+     *
+     * @param _queryOptions Search query options.
+     *        See RETS specification for query options.
+     *
+     *        Default values query params:
+     *
+     *           queryType:'DMQL2',
+     *           format:'COMPACT-DECODED',
+     *           count:1,
+     *           standardNames:0,
+     *           restrictedIndicator:'***',
+     *           limit:"NONE",
+     *           offset:0
+     *
+     * @param callback(error, data) (optional)
+     */
+    var searchRets = function(_queryOptions, callback) {
+
+        logger.debug("RETS method search with params _queryOptions=%j",_queryOptions);
+
+        var optionsError = checkSearchOptions(_queryOptions);
+        if (optionsError) {
             if (callback)
-                callback(error);
+                callback(optionsError);
 
             return;
         }
 
-        if (callback) {
-            callback(error, body);
-        }
-    });
-};
+        var searchOptions = {
+            method: 'POST',
+            form: mergeInto(defaultQueryOptions(), _queryOptions)
+        };
 
-/**
- *
- * Helper that performs a targeted RETS query and parses results.
- *
- * @param resourceType Rets resource type (ex: Property)
- * @param classType  Rets class type (ex: RESI)
- * @param queryString Rets query string. See RETS specification - (ex: MatrixModifiedDT=2014-01-01T00:00:00.000+)
- * @param options (optional) Other options, such as:
- *          _limit: limits the number of records returned.
- *          _select: specifies the fields to return.
- */
-var query = function(resourceType, classType, queryString, callback, options) {
-    if (!resourceType) {
-        parent.emit("error", new Error("resourceType is required: (ex: Property)"));
-        return;
-    }
+        searchSession(searchOptions, function(error, response, body) {
 
-    if (!classType) {
-        parent.emit("error", new Error("classType is required: (ex: RESI)"));
-        return;
-    }
+            var isErr = false;
 
-    if (!queryString) {
-        parent.emit("error", new Error("queryString is required: (ex: (MatrixModifiedDT=2014-01-01T00:00:00.000+))"));
-        return;
-    }
+            if (error) {
+                isErr = true;
+            }
 
-    options = options || {};
-
-    var queryOpts = {
-        searchType:resourceType,
-        class:classType,
-        query:queryString,
-        limit:options._limit || "NONE",
-        offset:options._offset || 1,
-        count: options._count || 1,
-        iteration: 0,
-        max_iteration: options._max_iterations || Number.MAX_SAFE_INTEGER
+            if (response && response.statusCode != 200)
+            {
+                isErr = true;
+                error = errors.fromResponse(response, searchContext(searchOptions.form));
+            }
+
+            if (isErr) {
+                logger.debug("Search Error:\n\n" + JSON.stringify(error));
+                if (callback)
+                    callback(error);
+
+                return;
+            }
+
+            if (callback) {
+                callback(error, body);
+            }
+        });
     };
-    if (options._select) queryOpts.select = options._select;
 
-    var _fetch = function(queryOpts, fetchCallback) {
-        queryOpts.iteration++;
-        searchRets(queryOpts, function(error, data) {
-            if (error) fetchCallback(error);
-            else parseCompactDecoded(data, fetchCallback);
+    /**
+     * Invokes RETS search operation and parses the COMPACT or COMPACT-DECODED response
+     * as it arrives, see lib/compact.js.
+     *
+     * @param _queryOptions Search query options, as for searchRets.
+     * @param transform (optional) function(record) applied to each record before it is emitted
+     * @returns a CompactParser stream of record objects, emitting the search and parsing errors
+     */
+    var searchStream = function(_queryOptions, transform) {
+
+        logger.debug("RETS method search (streaming) with params _queryOptions=%j",_queryOptions);
+
+        // the reply code comes before any record, so a response whose reply code is an error is
+        // handed to the request being parsed, which can be sent again
+        var replyError = null;
+        var parser = compact.createParser(transform, searchContext(_queryOptions), function(error) {
+            replyError(error);
         });
+
+        var optionsError = checkSearchOptions(_queryOptions);
+        if (optionsError) {
+            process.nextTick(function() {
+                parser.emit("error", optionsError);
+            });
+            return parser;
+        }
+
+        var searchOptions = {
+            method: 'POST',
+            form: mergeInto(defaultQueryOptions(), _queryOptions)
+        };
+
+        var _send = function(done) {
+            var req = searchSession(searchOptions);
+            var piped = false, failed = false;
+
+            var _fail = function(error) {
+                if (failed) return;
+                failed = true;
+                // records may have been pushed already, so errors of the body are not retried
+                if (piped) parser.emit("error", error);
+                else done(error);
+            };
+
+            req.on("response", function(response) {
+                if (response.statusCode == 200) {
+                    // only successful responses reach the parser, so a request can be replayed
+                    piped = true;
+                    replyError = function(error) {
+                        if (failed) return;
+                        failed = true;
+                        // the parser takes the response of the next request
+                        req.abort();
+                        done(error);
+                    };
+                    parser.reset();
+                    req.pipe(parser, {end: false});
+                    req.on("complete", function() {
+                        if (!failed) parser.end();
+                    });
+                    return;
+                }
+
+                // the body is read so that the request completes
+                response.resume();
+                _fail(errors.fromResponse(response, searchContext(searchOptions.form)));
+            });
+            req.on("error", _fail);
+        };
+
+        var _request = function(renewed) {
+            // requests are retried until a response with records is piped, see lib/retry.js
+            retry.run(parent.retryPolicy, _send, function(error) {
+                // log in again and replay the request once if the session expired
+                if (!renewed && utils.isSessionExpired(error) && parent.renewSession) {
+                    parent.renewSession(function(renewError) {
+                        if (renewError) parser.emit("error", renewError);
+                        else _request(true);
+                    });
+                    return;
+                }
+
+                parser.emit("error", error);
+            }, function(retryData) {
+                retryData.transaction = "search";
+                parent.emit("retry", retryData);
+            }, signal);
+        };
+        _request(false);
+
+        return parser;
     };
-    var _checkResults = function(error, searchResults) {
-        if (error) {
-            parent.emit("error", error);
+
+    /**
+     * Counts the records of a query without fetching them (Count=2).
+     *
+     * @param resourceType Rets resource type (ex: Property)
+     * @param classType  Rets class type (ex: RESI)
+     * @param queryString Rets query string.
+     * @param callback(error, total) total is 0 when no records were found
+     * @param options (optional) _standardNames: the query uses the standard names.
+     */
+    var count = function(resourceType, classType, queryString, callback, options) {
+        var queryOpts = {
+            searchType: resourceType,
+            class: classType,
+            query: queryString,
+            count: 2
+        };
+        if (options && options._standardNames) queryOpts.standardNames = 1;
+
+        var _request = function(renewed) {
+            searchRets(queryOpts, function(error, data) {
+                if (error) {
+                    // log in again and count once more if the session expired
+                    if (!renewed && utils.isSessionExpired(error) && parent.renewSession) {
+                        parent.renewSession(function(renewError) {
+                            if (renewError) callback(renewError);
+                            else _request(true);
+                        });
+                        return;
+                    }
+
+                    callback(error);
+                    return;
+                }
+
+                parseCount(data, callback, searchContext(queryOpts));
+            });
+        };
+        _request(false);
+    };
+
+    /**
+     * Resolves the record transform given by options._prepare and, with options._countFirst,
+     * counts the records of the query into pager.total. Must be called before the first page
+     * is fetched.
+     */
+    var preparePager = function(pager, resourceType, classType, queryString, options, callback) {
+        var _count = function() {
+            if (!options._countFirst) {
+                callback(null);
+                return;
+            }
+
+            count(resourceType, classType, queryString, function(error, total) {
+                pager.total = total;
+                callback(error);
+            }, options);
+        };
+
+        if (!options._prepare) {
+            _count();
             return;
         }
-        var newOffset = Math.min(queryOpts.offset + searchResults.count, searchResults.total);
-        searchResults.iteration = queryOpts.iteration;
-        searchResults.offset = newOffset - 1;
-        parent.emit("data", searchResults);
-        if (searchResults.count > 0) {
-            queryOpts.offset = newOffset;
-            if (queryOpts.offset < searchResults.total && searchResults.iteration < queryOpts.max_iteration) {
-                //console.log("Fetched %s of %s total records", queryOpts.offset, searchResults.total);
-                _fetch(queryOpts, _checkResults);
+
+        options._prepare(function(error, transform) {
+            pager.transform = transform || null;
+            if (error) callback(error);
+            else _count();
+        });
+    };
+
+    /**
+     * Checks the arguments of a targeted query.
+     *
+     * @returns an Error describing the first missing argument, or null
+     */
+    var checkQueryArgs = function(resourceType, classType, queryString, options) {
+        if (!resourceType)
+            return new Error("resourceType is required: (ex: Property)");
+
+        if (!classType)
+            return new Error("classType is required: (ex: RESI)");
+
+        if (!queryString)
+            return new Error("queryString is required: (ex: (MatrixModifiedDT=2014-01-01T00:00:00.000+))");
+
+        var paging = options && options._paging;
+        if (paging && paging !== 'offset' && paging !== 'key')
+            return new Error("_paging must be offset or key");
+
+        if (paging === 'key' && !options._pagingKey)
+            return new Error("_pagingKey is required for key paging: (ex: ListingKey)");
+
+        var partition = options && options._partition;
+        if (partition) {
+            if (!partition.field)
+                return new Error("_partition.field is required: (ex: ModificationTimestamp)");
+
+            var from = utils.parseServerTime(partition.from);
+            var to = partition.to === undefined ? Date.now() : utils.parseServerTime(partition.to);
+            if (isNaN(from) || isNaN(to) || from > to)
+                return new Error("_partition.from and _partition.to must be dates, from before to");
+        }
+
+        return null;
+    };
+
+    /**
+     * Creates a pager that fetches the pages of a targeted query one at a time, using
+     * the offset of the next record to fetch, or the key of the last fetched record
+     * with key paging.
+     *
+     * @param resourceType Rets resource type (ex: Property)
+     * @param classType  Rets class type (ex: RESI)
+     * @param queryString Rets query string.
+     * @param options (optional) See query.
+     * @returns the pager: pager.next(callback(error, searchResults)) fetches the next page,
+     *          pager.done is true once the last page was fetched or a page failed.
+     */
+    var createPager = function(resourceType, classType, queryString, options) {
+
+        options = options || {};
+
+        var queryOpts = {
+            searchType:resourceType,
+            class:classType,
+            query:queryString,
+            limit:options._limit || "NONE",
+            offset:options._offset || 1,
+            count: options._count || 1
+        };
+        if (options._select) queryOpts.select = options._select;
+        if (options._pagingKey && queryOpts.select && queryOpts.select.split(',').indexOf(options._pagingKey) < 0)
+            queryOpts.select += ',' + options._pagingKey;
+        if (options._format) queryOpts.format = options._format;
+        if (options._standardNames) queryOpts.standardNames = 1;
+
+        var format = queryOpts.format || defaultQueryOptions().format;
+        var parse = /^STANDARD-XML/.test(format) ? parseStandardXml : parseCompactDecoded;
+
+        // paging state, kept apart from the search parameters sent to the server
+        var maxIteration = options._max_iterations || Number.MAX_SAFE_INTEGER;
+        var pager = {
+            iteration: 0,
+            done: false,
+            transform: null
+        };
+
+        /**
+         * Prepares the pager, see preparePager.
+         *
+         * @param callback(error)
+         */
+        pager.prepare = function(callback) {
+            preparePager(pager, resourceType, classType, queryString, options, callback);
+        };
+
+        var _fetch = function(fetchCallback, renewed) {
+            // log in again and fetch the same page once more if the session expired mid-query
+            var _retry = function(error) {
+                if (renewed || !utils.isSessionExpired(error) || !parent.renewSession) {
+                    fetchCallback(error);
+                    return;
+                }
+                parent.renewSession(function(renewError) {
+                    if (renewError) {
+                        fetchCallback(renewError);
+                        return;
+                    }
+                    pager.iteration--;
+                    _fetch(fetchCallback, true);
+                });
+            };
+
+            pager.iteration++;
+            searchRets(queryOpts, function(error, data) {
+                if (error) _retry(error);
+                else parse(data, function(error, searchResults) {
+                    if (error) _retry(error);
+                    else fetchCallback(error, searchResults);
+                }, searchContext(queryOpts));
+            });
+        };
+
+        var _advanceOffset = function(searchResults) {
+            // offsets are 1-based, the next page starts right after the last fetched record
+            var nextOffset = queryOpts.offset + searchResults.count;
+            searchResults.iteration = pager.iteration;
+            searchResults.offset = Math.min(nextOffset, searchResults.total) - 1;
+            queryOpts.offset = nextOffset;
+            pager.done = searchResults.count === 0 || nextOffset > searchResults.total || pager.iteration >= maxIteration;
+            return null;
+        };
+
+        // key paging: each page asks for the records from the greatest key of the previous one on,
+        // and the records of that key that were already fetched are dropped
+        var keyField = options._pagingKey;
+        var uniqueField = options._uniqueKey || keyField;
+        var lastKey = null;
+        var seen = {};
+        var page = null;
+
+        var _startPage = function() {
+            if (!keyField) return;
+
+            queryOpts.query = lastKey === null ? queryString : '(' + queryString + '),(' + keyField + '=' + lastKey + '+)';
+            page = {previousKey: null, maxKey: null, maxSeen: {}, fresh: 0, error: null};
+        };
+
+        // returns null for the records to drop
+        var _filter = function(record) {
+            if (keyField && !page.error) {
+                var key = record[keyField];
+                if (typeof key !== 'string' || key === '') {
+                    page.error = new Error("Records have no " + keyField + " to page by");
+                } else if (page.previousKey !== null && compareKeys(key, page.previousKey) < 0) {
+                    page.error = new Error("Records are not ordered by " + keyField + ", key paging would miss records");
+                } else if (lastKey !== null && compareKeys(key, lastKey) < 0) {
+                    page.error = new Error("The server ignored the " + keyField + " criteria of key paging");
+                }
+                if (page.error) return null;
+
+                page.previousKey = key;
+                var unique = record[uniqueField];
+                if (compareKeys(key, lastKey === null ? key : lastKey) === 0 && seen[unique]) return null;
+
+                if (page.maxKey === null || compareKeys(key, page.maxKey) > 0) {
+                    page.maxKey = key;
+                    page.maxSeen = {};
+                }
+                page.maxSeen[unique] = true;
+                page.fresh++;
+            } else if (keyField) {
+                return null;
+            }
+
+            return pager.transform ? pager.transform(record) : record;
+        };
+
+        var _advanceKey = function(searchResults) {
+            if (page.error) return page.error;
+
+            var rows = searchResults.count;
+            var full = searchResults.maxRows || (queryOpts.limit !== "NONE" && rows >= queryOpts.limit);
+
+            searchResults.iteration = pager.iteration;
+            searchResults.count = page.fresh;
+
+            if (page.fresh === 0) {
+                pager.done = true;
+                if (full) return new Error("A whole page of records shares " + keyField + " " + lastKey +
+                    ", use a larger _limit or a unique _pagingKey");
+                return null;
+            }
+
+            if (page.maxKey === lastKey) {
+                Object.keys(page.maxSeen).forEach(function(unique) {
+                    seen[unique] = true;
+                });
             } else {
-                parent.emit("end");
+                seen = page.maxSeen;
+                lastKey = page.maxKey;
             }
-        } else {
-            parent.emit("end");
+
+            pager.done = !full || pager.iteration >= maxIteration;
+            return null;
+        };
+
+        var _advance = keyField ? _advanceKey : _advanceOffset;
+
+        pager.next = function(callback) {
+            _startPage();
+            _fetch(function(error, searchResults) {
+                if (error) {
+                    pager.done = true;
+                    callback(error);
+                    return;
+                }
+
+                var records = [];
+                searchResults.data.forEach(function(record) {
+                    record = _filter(record);
+                    if (record) records.push(record);
+                });
+                searchResults.data = records;
+
+                error = _advance(searchResults);
+                if (error) {
+                    pager.done = true;
+                    callback(error);
+                    return;
+                }
+                callback(null, searchResults);
+            });
+        };
+
+        // only the COMPACT formats can be parsed as they arrive
+        pager.streamable = /^COMPACT/.test(format);
+
+        /**
+         * Fetches the next page, parsing it as it arrives.
+         *
+         * @param callback(error, searchResults) called once the page was read, searchResults.data is left empty
+         * @returns the stream of the page's records
+         */
+        pager.nextStream = function(callback) {
+            pager.iteration++;
+            _startPage();
+
+            var parser = searchStream(queryOpts, keyField ? _filter : pager.transform);
+            parser.on("error", function(error) {
+                pager.done = true;
+                callback(error);
+            });
+            parser.on("end", function() {
+                var searchResults = {
+                    count: parser.count,
+                    total: parser.total,
+                    maxRows: parser.maxRows,
+                    warnings: parser.warnings,
+                    data: []
+                };
+
+                var error = _advance(searchResults);
+                if (error) {
+                    pager.done = true;
+                    callback(error);
+                    return;
+                }
+                callback(null, searchResults);
+            });
+
+            return parser;
+        };
+
+        return pager;
+    };
+
+    /**
+     * Creates a pager that splits a query into date windows, see options._partition of query.
+     *
+     * Each window is fetched with a pager of its own and is returned as a single page once
+     * all its records were fetched, so the records of a truncated window are never returned.
+     *
+     * @returns a pager, see createPager
+     */
+    var createPartitionPager = function(resourceType, classType, queryString, options) {
+        var partition = options._partition;
+        var windowOptions = {};
+        for (var key in options) {
+            if (key !== '_partition' && key !== '_prepare' && key !== '_max_iterations')
+                windowOptions[key] = options[key];
         }
+
+        var maxIteration = options._max_iterations || Number.MAX_SAFE_INTEGER;
+        // windows left to fetch, the next one first
+        var windows = [{
+            from: utils.parseServerTime(partition.from),
+            to: partition.to === undefined ? Date.now() : utils.parseServerTime(partition.to)
+        }];
+
+        var pager = {
+            iteration: 0,
+            done: false,
+            transform: null,
+            streamable: false
+        };
+
+        pager.prepare = function(callback) {
+            preparePager(pager, resourceType, classType, queryString, options, callback);
+        };
+
+        var _split = function(window) {
+            // the bounds of a range are inclusive, so the second half starts a millisecond later
+            var middle = Math.floor((window.from + window.to) / 2);
+            if (middle >= window.to) return false;
+
+            windows.unshift({from: window.from, to: middle}, {from: middle + 1, to: window.to});
+            return true;
+        };
+
+        // orders the records of a window by field, records without a valid date first
+        var _sort = function(records) {
+            var _time = function(record) {
+                return utils.parseServerTime(record[partition.field]) || 0;
+            };
+            records.sort(function(a, b) {
+                return _time(a) - _time(b);
+            });
+        };
+
+        var _truncated = function(window) {
+            return new errors.RetsServerError(util.format("More records than the server returns at once have %s %s",
+                partition.field, utils.formatServerTime(window.from)), {
+                transaction: "search",
+                params: {searchType: resourceType, class: classType, query: queryString},
+                replyCode: MAX_RECORDS_EXCEEDED,
+                replyText: errors.describeReplyCode(MAX_RECORDS_EXCEEDED),
+                description: errors.describeReplyCode(MAX_RECORDS_EXCEEDED)
+            });
+        };
+
+        pager.next = function(callback) {
+            var window = windows.shift();
+            var bounds = {from: utils.formatServerTime(window.from), to: utils.formatServerTime(window.to)};
+            var windowQuery = '(' + queryString + '),(' + partition.field + '=' + bounds.from + '-' + bounds.to + ')';
+
+            var windowPager = createPager(resourceType, classType, windowQuery, windowOptions);
+            windowPager.transform = pager.transform;
+
+            var searchResults = {count: 0, total: 0, maxRows: false, window: bounds, data: []};
+
+            var _retryOrFail = function(error) {
+                if (_split(window)) {
+                    logger.debug("Splitting the %s window %s - %s", partition.field, bounds.from, bounds.to);
+                    pager.next(callback);
+                    return;
+                }
+
+                pager.done = true;
+                callback(error);
+            };
+
+            var _page = function(error, pageResults) {
+                if (error) {
+                    if (String(error.replyCode) === MAX_RECORDS_EXCEEDED) _retryOrFail(_truncated(window));
+                    else {
+                        pager.done = true;
+                        callback(error);
+                    }
+                    return;
+                }
+
+                var exceeded = (pageResults.warnings || []).some(function(warning) {
+                    return warning.replyCode === MAX_RECORDS_EXCEEDED;
+                });
+                if (pageResults.maxRows || exceeded) {
+                    _retryOrFail(_truncated(window));
+                    return;
+                }
+
+                searchResults.count += pageResults.count;
+                searchResults.data.push.apply(searchResults.data, pageResults.data);
+                if (windowPager.iteration === 1) searchResults.total = pageResults.total;
+
+                if (!windowPager.done) {
+                    windowPager.next(_page);
+                    return;
+                }
+
+                if (partition.sort) _sort(searchResults.data);
+
+                pager.iteration++;
+                searchResults.iteration = pager.iteration;
+                pager.done = windows.length === 0 || pager.iteration >= maxIteration;
+                callback(null, searchResults);
+            };
+
+            windowPager.next(_page);
+        };
+
+        return pager;
     };
-    _fetch(queryOpts, _checkResults);
-};
 
-module.exports = function(_parent, _searchSession) {
+    // pager of query and queryStream
+    var createQueryPager = function(resourceType, classType, queryString, options) {
+        if (options && options._partition) return createPartitionPager(resourceType, classType, queryString, options);
+        return createPager(resourceType, classType, queryString, options);
+    };
+
+    /**
+     *
+     * Helper that performs a targeted RETS query and parses results.
+     *
+     * @param resourceType Rets resource type (ex: Property)
+     * @param classType  Rets class type (ex: RESI)
+     * @param queryString Rets query string. See RETS specification - (ex: MatrixModifiedDT=2014-01-01T00:00:00.000+)
+     * @param callback(error, data) (optional) called with the records of all pages once the last page is fetched
+     * @param options (optional) Other options, such as:
+     *          _limit: limits the number of records returned.
+     *          _select: specifies the fields to return.
+     *          _format: COMPACT-DECODED (default), COMPACT or STANDARD-XML.
+     *          _standardNames: use the standard names instead of the system names.
+     *          _prepare: function(callback(error, transform)) called before the first page is
+     *                    fetched, transform(record) is then applied to every record.
+     *          _paging: offset (default) or key. Key paging is for servers that do not support
+     *                   Offset or whose pages overlap when records change during a pull: each
+     *                   page adds (_pagingKey=<greatest key of the previous page>+) to the query and
+     *                   drops the records of that key that were already fetched. The server must
+     *                   return the records ordered by the key, which must be a numeric or date field.
+     *          _pagingKey: the field to page by with key paging (ex: ListingKey, ModificationTimestamp).
+     *          _uniqueKey: the field identifying records when _pagingKey is not unique (default: _pagingKey).
+     *          _countFirst: count the records before fetching them, to emit
+     *                   progress({fetched, total, percent, elapsed, eta}) after each page.
+     *          _partition: {field, from, to, sort} splits the query into windows of field between from
+     *                   and to (default: now), halving a window until the server returns all its records
+     *                   (no MAXROWS tag nor 20208 reply code). Each window is a page. from and to are
+     *                   Date objects, or strings in the server's time zone. With sort, the records of
+     *                   each window are ordered by field, so all records come ordered by it.
+     *          _collect: false to keep no records for the callback, which then gets null, when the
+     *                   caller listens to the data events only.
+     */
+    var query = function(resourceType, classType, queryString, callback, options) {
+        var _fail = function(error) {
+            // the parent emitter throws on error events nobody listens to,
+            // which callback and promise users should not have to guard against
+            if (parent.listeners("error").length > 0)
+                parent.emit("error", error);
+
+            if (callback)
+                callback(error);
+        };
+
+        var argsError = checkQueryArgs(resourceType, classType, queryString, options);
+        if (argsError) {
+            _fail(argsError);
+            return;
+        }
+
+        var pager = createQueryPager(resourceType, classType, queryString, options);
+        // records are kept for the callback only, page listeners get them as they are fetched
+        var collect = !!callback && !(options && options._collect === false);
+        var records = collect ? [] : null;
+        var progress = null;
+
+        var _checkResults = function(error, searchResults) {
+            if (error) {
+                _fail(error);
+                return;
+            }
+            if (collect)
+                records.push.apply(records, searchResults.data);
+            parent.emit("data", searchResults);
+            if (progress) parent.emit("progress", progress(searchResults.count));
+            if (!pager.done) {
+                pager.next(_checkResults);
+                return;
+            }
+
+            parent.emit("end");
 
-    parent = _parent;
-    searchSession = _searchSession;
+            if (callback)
+                callback(null, records);
+        };
+        pager.prepare(function(error) {
+            if (error) {
+                _fail(error);
+                return;
+            }
+
+            if (pager.total !== undefined) {
+                progress = createProgress(pager.total);
+                parent.emit("progress", progress(0));
+            }
+            pager.next(_checkResults);
+        });
+    };
+
+    /**
+     * Helper that performs a targeted RETS query and streams the parsed records.
+     *
+     * The next page is only fetched once the records of the previous one have been consumed.
+     * Errors are emitted on the stream, which is async iterable on Node.js 10 and later.
+     *
+     * @param resourceType Rets resource type (ex: Property)
+     * @param classType  Rets class type (ex: RESI)
+     * @param queryString Rets query string. See RETS specification - (ex: MatrixModifiedDT=2014-01-01T00:00:00.000+)
+     * @param options (optional) See query.
+     * @returns an object-mode Readable stream of records
+     *
+     * @event page(searchResults) A page was fetched, searchResults.data holds its records
+     * @event progress(progress) With options._countFirst, before the first page and after each page
+     */
+    var queryStream = function(resourceType, classType, queryString, options) {
+        var stream = new QueryStream();
+
+        var argsError = checkQueryArgs(resourceType, classType, queryString, options);
+        if (argsError) {
+            process.nextTick(function() {
+                stream.fail(argsError);
+            });
+            return stream;
+        }
+
+        stream.pager = createQueryPager(resourceType, classType, queryString, options);
+        return stream;
+    };
 
     return {
         searchRets:searchRets,
-        query: query
+        searchStream: searchStream,
+        count: count,
+        query: query,
+        queryStream: queryStream
     };
 };
-
@@ -1,31 +1,122 @@
-var replyCodeCheck = function(result, callback) {
+var errors = require('./errors.js');
+
+// HTTP status and RETS reply codes returned once the server has dropped the session
+var SESSION_EXPIRED_CODES = ["401", "20037", "20701"];
+
+/**
+ * Checks that the reply code of a parsed RETS response is 0.
+ *
+ * @param result the response parsed by xml2js
+ * @param callback(error) called with the error of the reply code otherwise, see errors.fromReply
+ * @param context (optional) {transaction, params} of the request
+ * @returns true if the reply code is 0
+ */
+var replyCodeCheck = function(result, callback, context) {
     var replyCode = result.RETS.$.ReplyCode;
     var replyText = result.RETS.$.ReplyText;
     if (replyCode !== "0") {
-        if (callback) {
-
-            var error = new Error("RETS Server returned an error - ReplyCode: " + replyCode + " ReplyText: " + replyText);
-            error.replyCode = replyCode;
-            error.replyText = replyText;
-
-            callback(error);
-        }
+        if (callback)
+            callback(errors.fromReply(replyCode, replyText, context));
         return false;
     }
 
     return true;
 };
 
-var xmlParseCheck = function(xml, callback) {
+// reply codes meaning that the transaction succeeded without anything to return:
+// No Records Found (search), No Object Found (getobject), No Metadata Found (getmetadata)
+var EMPTY_REPLY_CODES = ["20201", "20403", "20503"];
+// informational reply codes, returned along with the results: Maximum Records Exceeded
+var WARNING_REPLY_CODES = ["20208"];
+
+/**
+ * Classifies a RETS reply code.
+ *
+ * @returns success, empty (nothing matched, which is not an error), warning (results are
+ *          returned along with an informational code) or error
+ */
+var classifyReplyCode = function(replyCode) {
+    replyCode = String(replyCode);
+    if (replyCode === "0") return "success";
+    if (EMPTY_REPLY_CODES.indexOf(replyCode) >= 0) return "empty";
+    if (WARNING_REPLY_CODES.indexOf(replyCode) >= 0) return "warning";
+    return "error";
+};
+
+/**
+ * Checks the reply code of a parsed RETS response, calling back with an error only for
+ * the reply codes classified as errors, see classifyReplyCode.
+ *
+ * @param result the response parsed by xml2js
+ * @param callback(error) called when the response is an error
+ * @param context (optional) {transaction, params} of the request, set on the error
+ * @returns null after calling back with an error, or the reply:
+ *          {empty: true if nothing matched, warnings: [{replyCode, replyText}]}
+ */
+var checkReply = function(result, callback, context) {
+    if (!xmlParseCheck(result && result.RETS, callback, context)) return null;
+
+    var replyCode = result.RETS.$.ReplyCode;
+    var replyText = result.RETS.$.ReplyText;
+    var replyClass = classifyReplyCode(replyCode);
+
+    if (replyClass === "error") {
+        replyCodeCheck(result, callback, context);
+        return null;
+    }
+
+    return {
+        empty: replyClass === "empty",
+        warnings: replyClass === "warning" ? [{replyCode: replyCode, replyText: replyText}] : []
+    };
+};
+
+var xmlParseCheck = function(xml, callback, context) {
     if (!xml) {
         if (callback)
-            callback(new Error("Failed to parse RETS XML: " + xml));
+            callback(errors.parseError("Failed to parse RETS XML: " + xml, context));
         return false;
     }
 
     return true;
 };
 
+/**
+ * Tells whether an error means that the RETS session is no longer valid, either
+ * because the server answered with HTTP 401 or with a "not logged in" reply code.
+ *
+ * @param error the error returned by a RETS transaction
+ * @returns true if logging in again may fix the error
+ */
+var isSessionExpired = function(error) {
+    if (!error || typeof error !== 'object') return false;
+
+    return SESSION_EXPIRED_CODES.indexOf(String(error.replyCode)) >= 0;
+};
+
+/**
+ * Reads a date of the server. Date objects are used as they are, and strings are read as they
+ * are written, in the server's time zone, by treating them as UTC.
+ *
+ * @returns the time in milliseconds, or NaN
+ */
+var parseServerTime = function(value) {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value !== 'string') return NaN;
+
+    var iso = value.replace(' ', 'T');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(iso)) iso += 'T00:00:00';
+    if (!/(Z|[+-]\d{2}:?\d{2})$/.test(iso)) iso += 'Z';
+    return new Date(iso).getTime();
+};
+
+/**
+ * Formats a time read by parseServerTime as a DMQL DateTime.
+ */
+var formatServerTime = function(time) {
+    return new Date(time).toISOString().replace(/Z$/, '');
+};
+
 var hex2a = function(hexx) {
     var hex = hexx.toString();//force conversion
     var str = '';
@@ -36,4 +127,9 @@ var hex2a = function(hexx) {
 
 module.exports.replyCodeCheck = replyCodeCheck;
 module.exports.xmlParseCheck = xmlParseCheck;
+module.exports.classifyReplyCode = classifyReplyCode;
+module.exports.checkReply = checkReply;
+module.exports.isSessionExpired = isSessionExpired;
+module.exports.parseServerTime = parseServerTime;
+module.exports.formatServerTime = formatServerTime;
 module.exports.hex2a = hex2a;
\ No newline at end of file
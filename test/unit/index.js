@@ -0,0 +1,353 @@
+var assert = require('chai').assert,
+    server = require('./support/server.js'),
+    rets = require('../../index.js');
+
+describe('test session renewal', function() {
+    var retsServer;
+
+    beforeEach(function(done) {
+        server.start({
+            search: function(req, res) {
+                server.sendCompact(res, ['ListingID'], [['1'], ['2']]);
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    it('Client logs in again and replays a transaction when the session expired', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var renewed = 0;
+
+        client.on('session.renewed', function(systemData) {
+            assert(systemData, "systemData is present");
+            renewed++;
+        });
+
+        client.once('connection.success', function() {
+            retsServer.expireSession();
+
+            client.searchRets({searchType: 'Property', class: 'RESI', query: '(ListingID=1+)'}, function(error, data) {
+                assert.ifError(error);
+                assert.include(data, "<COLUMNS>", "Search results are present");
+                assert.equal(renewed, 1, "session.renewed is emitted once");
+                assert.equal(retsServer.sessionCount, 2, "Client logged in twice");
+                done();
+            });
+        });
+    });
+
+    it('Client renews the session in the middle of a query', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var pages = 0;
+
+        client.once('connection.success', function() {
+            retsServer.expireSession();
+
+            client.query('Property', 'RESI', '(ListingID=1+)');
+
+            client.on('data', function(searchResults) {
+                assert.equal(searchResults.count, 2);
+                pages++;
+            });
+
+            client.once('end', function() {
+                assert.equal(pages, 1, "One page of results is emitted");
+                assert.equal(retsServer.sessionCount, 2, "Client logged in twice");
+                done();
+            });
+        });
+    });
+
+    it('Client renews the session when a streamed search replies that it expired', function(done) {
+        retsServer.handlers.search = function(req, res) {
+            // the session of the first login expired without the server telling it with HTTP 401
+            if (retsServer.sessionCount === 1) server.sendRets(res, 20037);
+            else server.sendCompact(res, ['ListingID'], [['1'], ['2']]);
+        };
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.once('connection.success', function() {
+            var records = [];
+            var stream = client.queryStream('Property', 'RESI', '(ListingID=1+)');
+
+            stream.on('data', function(record) {
+                records.push(record);
+            });
+            stream.on('error', done);
+            stream.on('end', function() {
+                assert.deepEqual(records, [{ListingID: '1'}, {ListingID: '2'}], "The page is replayed");
+                assert.equal(retsServer.sessionCount, 2, "Client logged in twice");
+                done();
+            });
+        });
+    });
+
+    it('Client streams an object again once the session is renewed', function(done) {
+        var photo = new Buffer(256 * 1024);
+        photo.fill(7);
+        retsServer.handlers.getobject = function(req, res) {
+            res.writeHead(200, {'Content-Type': 'image/jpeg'});
+            res.end(photo);
+        };
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.once('connection.success', function() {
+            retsServer.expireSession();
+
+            client.getObject('Property', 'Photo', '1:1', function(error, contentType, data) {
+                assert.ifError(error);
+                assert.equal(contentType, 'image/jpeg');
+                assert.isTrue(photo.equals(data), "The whole object is returned");
+                assert.equal(retsServer.sessionCount, 2, "Client logged in twice");
+                done();
+            });
+        });
+    });
+
+    it('Client replays an update signed with the renewed session when it is not logged in', function(done) {
+        var delegateAuthorizations = [];
+        retsServer.handlers.update = function(req, res) {
+            delegateAuthorizations.push(req.headers['x-delegate-authorization']);
+            // the server forgot the session of the first login and replies "Not logged in"
+            if (retsServer.sessionCount === 1) server.sendRets(res, 20701);
+            else server.sendRets(res, 0, '<TRANSACTIONID value="1" />');
+        };
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass',
+            userAgent: 'agent/1.0', userAgentPassword: 'secret'});
+
+        client.once('connection.success', function() {
+            var auth = {userAgent: 'agent/1.0', userAgentPassword: 'secret', delegateId: 'delegate',
+                delegateHash: 'hash', delegatePassword: 'password'};
+
+            client.update('Property', 'RESI', 'Change', {ListingID: '1'}, auth, function(error, data) {
+                assert.ifError(error);
+                assert.equal(data.transactionId, '1');
+                assert.equal(retsServer.sessionCount, 2, "Client logged in twice");
+                assert.equal(delegateAuthorizations.length, 2, "The update is replayed");
+                assert.notEqual(delegateAuthorizations[1], delegateAuthorizations[0],
+                    "The replayed update is signed with the new session id");
+                done();
+            });
+        });
+    });
+
+    it('Client does not loop when logging in again fails', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.once('connection.success', function() {
+            retsServer.expireSession();
+            retsServer.handlers.login = function(req, res) {
+                res.writeHead(401);
+                res.end();
+            };
+
+            client.getObject('Property', 'Photo', '1:*', function(error) {
+                assert(error, "Error is present");
+                assert.equal(error.replyCode, 401, "replyCode should be 401");
+                assert.equal(retsServer.requests.filter(function(request) {
+                    return request.transaction === 'getobject';
+                }).length, 1, "Transaction is not replayed");
+                done();
+            });
+
+            client.once('object.failure', function(error) {
+                assert(error, "object.failure is emitted");
+            });
+        });
+    });
+});
+
+describe('test client isolation', function() {
+    var retsServers = [];
+
+    beforeEach(function(done) {
+        var started = 0;
+        retsServers = [];
+        [0, 1].forEach(function(index) {
+            server.start({
+                search: function(req, res) {
+                    server.sendCompact(res, ['Server'], [[String(index)]]);
+                }
+            }, function(error, _server) {
+                retsServers[index] = _server;
+                if (++started === 2) done(error);
+            });
+        });
+    });
+
+    afterEach(function(done) {
+        retsServers[0].close(function() {
+            retsServers[1].close(done);
+        });
+    });
+
+    it('Clients logged in to different servers keep their own sessions and search options', function(done) {
+        var clients = retsServers.map(function(retsServer) {
+            return rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        });
+
+        var connected = 0;
+        clients.forEach(function(client) {
+            client.once('connection.success', function() {
+                if (++connected < 2) return;
+
+                var queryOptions = {searchType: 'Property', class: 'RESI', query: '(Server=0+)', select: 'Server'};
+
+                clients[0].searchRets(queryOptions, function(error, data) {
+                    assert.ifError(error);
+                    assert.include(data, "<DATA>\t0\t</DATA>", "First client searched the first server");
+                    assert.notProperty(queryOptions, "format", "Caller options are left untouched");
+
+                    clients[1].searchRets({searchType: 'Property', class: 'RESI', query: '(Server=0+)'}, function(error, data) {
+                        assert.ifError(error);
+                        assert.include(data, "<DATA>\t1\t</DATA>", "Second client searched the second server");
+                        assert.notProperty(retsServers[1].requests.pop().params, "select", "Options of earlier searches do not leak");
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
+
+describe('test promise API', function() {
+    var retsServer;
+
+    beforeEach(function(done) {
+        server.start({
+            search: function(req, res) {
+                server.sendCompact(res, ['ListingID'], [['1'], ['2']]);
+            },
+            getobject: function(req, res) {
+                res.writeHead(200, {'Content-Type': 'image/jpeg'});
+                res.end(new Buffer([0xff, 0xd8, 0xff]));
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    it('Client can be awaited until it is logged in', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.then(function(loggedIn) {
+            assert.strictEqual(loggedIn, client, "Promise resolves with the client");
+            assert(client.memberName, "memberName is present");
+            done();
+        }).catch(done);
+    });
+
+    it('Awaiting the client rejects when the login fails', function(done) {
+        retsServer.handlers.login = function(req, res) {
+            res.writeHead(401);
+            res.end();
+        };
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.then(function() {
+            done(new Error("Login should have failed"));
+        }, function(error) {
+            assert.equal(error.replyCode, 401, "replyCode should be 401");
+            done();
+        });
+    });
+
+    it('Client methods return promises when no callback is given', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var querySuccess = false;
+
+        client.once('query.success', function() {
+            querySuccess = true;
+        });
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(ListingID=1+)');
+        }).then(function(data) {
+            assert.deepEqual(data, [{ListingID: '1'}, {ListingID: '2'}], "Records of all pages are returned");
+            assert(querySuccess, "query.success is still emitted");
+            return client.getObject('Property', 'Photo', '1:0');
+        }).then(function(object) {
+            assert.equal(object.contentType, 'image/jpeg');
+            assert.equal(object.data.length, 3, "Object data is present");
+            return client.update('Property', 'RESI', 'Change', {ListingID: '1'}, {});
+        }).then(function() {
+            done(new Error("Update should have failed"));
+        }, function(error) {
+            assert.equal(error.replyCode, 404, "Failed update is rejected");
+            done();
+        }).catch(done);
+    });
+
+    it('Client calls listened to through events only do not leave unhandled rejections', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var rejections = [];
+        var onRejection = function(reason) {
+            rejections.push(reason);
+        };
+        process.on('unhandledRejection', onRejection);
+
+        client.once('connection.success', function() {
+            var pages = 0;
+            client.on('data', function() {
+                pages++;
+            });
+            client.once('query.success', function(data) {
+                assert.equal(pages, 1, "Records are emitted page by page");
+                assert.isNull(data, "Records are not kept with _collect: false");
+
+                client.update('Property', 'RESI', 'Change', {ListingID: '1'}, {});
+            });
+            client.once('update.failure', function(error) {
+                assert.equal(error.replyCode, 404, "update.failure is emitted");
+
+                // unhandled rejections are reported once the pending callbacks ran
+                setTimeout(function() {
+                    process.removeListener('unhandledRejection', onRejection);
+                    assert.lengthOf(rejections, 0, "No rejection is left unhandled");
+                    done();
+                }, 20);
+            });
+
+            client.query('Property', 'RESI', '(ListingID=1+)', {_collect: false});
+        });
+    });
+
+    it('Client query promises keep the records when they are awaited late', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.once('connection.success', function() {
+            var promise = client.query('Property', 'RESI', '(ListingID=1+)');
+            assert.instanceOf(promise, Promise);
+
+            client.once('end', function() {
+                promise.then(function(data) {
+                    assert.lengthOf(data, 2, "Records fetched before the promise was used are kept");
+                    done();
+                }).catch(done);
+            });
+        });
+    });
+
+    it('Client query accepts a callback', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.once('connection.success', function() {
+            client.query('Property', 'RESI', '(ListingID=1+)', {_limit: 10}, function(error, data) {
+                assert.ifError(error);
+                assert.lengthOf(data, 2, "Records are present");
+                done();
+            });
+        });
+    });
+});
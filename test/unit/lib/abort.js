@@ -0,0 +1,140 @@
+var assert = require('chai').assert,
+    server = require('../support/server.js'),
+    rets = require('../../../index.js');
+
+describe('test timeouts and cancellation', function() {
+    var retsServer, pending;
+
+    // the request is left unanswered until the test ends
+    var hang = function(req, res) {
+        pending.push(res);
+    };
+
+    beforeEach(function(done) {
+        pending = [];
+        server.start({
+            search: function(req, res, params) {
+                var offset = +params.offset || 1;
+                server.sendCompact(res, ['ListingID'], [[String(offset)]], 3);
+            },
+            metadata: hang,
+            getobject: hang
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        pending.forEach(function(res) {
+            res.end();
+        });
+        retsServer.close(done);
+    });
+
+    var requests = function(transaction) {
+        return retsServer.requests.filter(function(request) {
+            return request.transaction === transaction;
+        }).length;
+    };
+
+    var getClient = function(settings) {
+        settings = settings || {};
+        settings.loginUrl = retsServer.loginUrl;
+        settings.username = 'user';
+        settings.password = 'pass';
+        settings.retry = false;
+        return rets.getClient(settings);
+    };
+
+    it('Requests time out after the timeout of the client or of the call', function(done) {
+        var client = getClient({timeout: 50});
+
+        client.then(function() {
+            return client.getTable('Property', 'RESI');
+        }).then(function() {
+            done(new Error("The request should have timed out"));
+        }, function(error) {
+            assert.include(['ETIMEDOUT', 'ESOCKETTIMEDOUT'], error.code);
+
+            return client.getObject('Property', 'Photo', '1:1', {timeout: 20});
+        }).then(function() {
+            done(new Error("The request should have timed out"));
+        }, function(error) {
+            assert.include(['ETIMEDOUT', 'ESOCKETTIMEDOUT'], error.code);
+            done();
+        }).catch(done);
+    });
+
+    it('Signals abort requests in flight and prevent new ones', function(done) {
+        var client = getClient();
+        var controller = new AbortController();
+
+        client.then(function() {
+            retsServer.handlers.getobject = function(req, res) {
+                hang(req, res);
+                controller.abort();
+            };
+            return client.getObject('Property', 'Photo', '1:1', {signal: controller.signal});
+        }).then(function() {
+            done(new Error("The request should have been aborted"));
+        }, function(error) {
+            assert.instanceOf(error, rets.RetsAbortError);
+            assert.equal(error.transaction, 'getObject');
+            assert.equal(requests('getobject'), 1);
+
+            return client.getPhotos('Property', 'Photo', '1', {signal: controller.signal});
+        }).then(function() {
+            done(new Error("The request should have been aborted"));
+        }, function(error) {
+            assert.instanceOf(error, rets.RetsAbortError);
+            assert.equal(requests('getobject'), 1, "Aborted calls send no request");
+            done();
+        }).catch(done);
+    });
+
+    it('Aborted queries stop fetching pages', function(done) {
+        var client = getClient();
+        var controller = new AbortController();
+        var pages = 0;
+
+        client.on('data', function() {
+            pages++;
+            controller.abort();
+        });
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(Status=A)', {_limit: 1, _signal: controller.signal});
+        }).then(function() {
+            done(new Error("The query should have been aborted"));
+        }, function(error) {
+            assert.instanceOf(error, rets.RetsAbortError);
+            assert.equal(error.transaction, 'search');
+            assert.equal(pages, 1);
+            assert.equal(requests('search'), 1);
+            done();
+        }).catch(done);
+    });
+
+    it('Aborted query streams emit the cancellation error', function(done) {
+        var client = getClient();
+        var controller = new AbortController();
+        var records = [];
+
+        client.once('connection.success', function() {
+            client.queryStream('Property', 'RESI', '(Status=A)', {_limit: 1, _signal: controller.signal})
+                .on('data', function(record) {
+                    records.push(record);
+                    controller.abort();
+                })
+                .on('error', function(error) {
+                    assert.instanceOf(error, rets.RetsAbortError);
+                    assert.lengthOf(records, 1);
+                    done();
+                })
+                .on('end', function() {
+                    done(new Error("The stream should have been aborted"));
+                });
+        });
+    });
+});
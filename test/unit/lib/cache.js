@@ -0,0 +1,161 @@
+var assert = require('chai').assert,
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    server = require('../support/server.js'),
+    cache = require('../../../lib/cache.js'),
+    rets = require('../../../index.js');
+
+var metadata = [{
+    type: 'METADATA-SYSTEM',
+    attributes: {Version: '1.00.00001', Date: '2014-01-01T00:00:00'},
+    content: '<SYSTEM SystemID="TEST" SystemDescription="Test Server" />'
+}, {
+    type: 'METADATA-RESOURCE',
+    columns: ['ResourceID', 'StandardName'],
+    rows: [['Property', 'Property']]
+}, {
+    type: 'METADATA-CLASS',
+    attributes: {Resource: 'Property'},
+    columns: ['ClassName', 'StandardName'],
+    rows: [['RESI', 'ResidentialProperty']]
+}, {
+    type: 'METADATA-TABLE',
+    attributes: {Resource: 'Property', Class: 'RESI'},
+    columns: ['SystemName', 'StandardName', 'DataType'],
+    rows: [['LP', 'ListPrice', 'Decimal']]
+}];
+
+describe('test metadata cache', function() {
+    var retsServer;
+
+    beforeEach(function(done) {
+        server.start({
+            metadata: function(req, res, params) {
+                server.sendMetadata(res, params.Id === '*' ? metadata : metadata.filter(function(element) {
+                    return element.type === params.Type;
+                }));
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    var metadataCount = function() {
+        return retsServer.requests.filter(function(request) {
+            return request.transaction === 'metadata';
+        }).length;
+    };
+
+    var getClient = function(store) {
+        return rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass', metadataCache: store});
+    };
+
+    it('Clients share the cached metadata until the login reports another version', function(done) {
+        var store = cache.createMemoryStore();
+        var client = getClient(store);
+
+        client.then(function() {
+            return client.getSchema();
+        }).then(function() {
+            return client.getTable('Property', 'RESI');
+        }).then(function() {
+            assert.equal(metadataCount(), 2);
+
+            client = getClient(store);
+            return client.then(function() {
+                return client.getSchema();
+            });
+        }).then(function(schema) {
+            assert.equal(schema.resource('Property').class('RESI').field('ListPrice').DataType, 'Decimal');
+            return client.getTable('Property', 'RESI');
+        }).then(function(table) {
+            assert.equal(table.Fields[0].SystemName, 'LP');
+            assert.equal(metadataCount(), 2, "Cached metadata is served without requests");
+
+            retsServer.metadataTimestamp = '2014-02-01T00:00:00';
+            client = getClient(store);
+            return client.then(function() {
+                return client.getSchema();
+            });
+        }).then(function() {
+            assert.equal(metadataCount(), 3, "Metadata is retrieved again for a new timestamp");
+            done();
+        }).catch(done);
+    });
+
+    it('File stores keep the entries in a directory', function(done) {
+        var root = fs.mkdtempSync(path.join(os.tmpdir(), 'rets-cache-'));
+        var directory = path.join(root, 'metadata', 'server');
+        var store = cache.createFileStore(directory);
+
+        store.set('http://server/login table:Property:RESI', {Fields: []}, function(error) {
+            assert.isNull(error);
+
+            var other = cache.createFileStore(directory);
+            other.get('http://server/login table:Property:RESI', function(error, value) {
+                assert.isNull(error);
+                assert.deepEqual(value, {Fields: []});
+
+                other.get('http://server/login table:Property:LAND', function(error, value) {
+                    fs.rmSync(root, {recursive: true});
+                    assert.isNull(error);
+                    assert.isNull(value);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('File stores write the same key concurrently', function(done) {
+        var root = fs.mkdtempSync(path.join(os.tmpdir(), 'rets-cache-'));
+        var store = cache.createFileStore(root);
+        var written = 0;
+
+        [1, 2, 3].forEach(function(version) {
+            store.set('http://server/login version', {version: version}, function(error) {
+                assert.isNull(error);
+                if (++written < 3) return;
+
+                var files = fs.readdirSync(root);
+                fs.rmSync(root, {recursive: true});
+                assert.lengthOf(files, 1, "No temporary file is left: " + files);
+                done();
+            });
+        });
+    });
+
+    it('The version is only written when it changes', function(done) {
+        var store = cache.createMemoryStore();
+        var set = store.set;
+        var writes = 0;
+        store.set = function(key, value, callback) {
+            writes++;
+            set(key, value, callback);
+        };
+        var current = {version: '1.00.00001', timestamp: '2014-01-01T00:00:00'};
+        var metadataCache = cache.createMetadataCache(store, 'http://server/login', function() {
+            return current;
+        });
+
+        metadataCache.checkVersion(function(previous) {
+            assert.isNull(previous);
+            metadataCache.checkVersion(function(previous) {
+                assert.deepEqual(previous, current);
+                assert.equal(writes, 1, "The same version is not written again");
+
+                current = {version: '1.00.00002', timestamp: '2014-01-01T00:00:00'};
+                metadataCache.checkVersion(function(previous) {
+                    assert.equal(previous.version, '1.00.00001');
+                    assert.equal(writes, 2);
+                    done();
+                });
+            });
+        });
+    });
+});
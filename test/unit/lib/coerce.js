@@ -0,0 +1,130 @@
+var assert = require('chai').assert,
+    server = require('../support/server.js'),
+    coerce = require('../../../lib/coerce.js'),
+    rets = require('../../../index.js');
+
+var fields = [
+    {SystemName: 'ListingID', DataType: 'Character', Interpretation: ''},
+    {SystemName: 'ListPrice', StandardName: 'ListPrice', DataType: 'Decimal', Precision: '2', Interpretation: 'Currency'},
+    {SystemName: 'Beds', DataType: 'Int', Interpretation: ''},
+    {SystemName: 'Waterfront', DataType: 'Boolean', Interpretation: ''},
+    {SystemName: 'ListDate', DataType: 'Date', Interpretation: ''},
+    {SystemName: 'Modified', DataType: 'DateTime', Interpretation: ''},
+    {SystemName: 'Status', DataType: 'Int', Interpretation: 'Lookup', LookupName: 'STATUS'},
+    {SystemName: 'Features', DataType: 'Character', Interpretation: 'LookupMulti', LookupName: 'FEATURES'}
+];
+
+describe('test record coercion', function() {
+
+    it('Coercer converts values by data type', function() {
+        var record = coerce.createCoercer(fields, '-05:00')({
+            ListingID: '0042',
+            ListPrice: '199999.999',
+            Beds: '3',
+            Waterfront: 'Y',
+            ListDate: '2015-06-01',
+            Modified: '2015-06-01T10:30:00',
+            Status: '1',
+            Features: 'P,G',
+            Unknown: '7'
+        });
+
+        assert.strictEqual(record.ListingID, '0042', "Characters are left as is");
+        assert.strictEqual(record.ListPrice, 200000, "Decimals are rounded to their precision");
+        assert.strictEqual(record.Beds, 3);
+        assert.strictEqual(record.Waterfront, true);
+        assert.equal(record.ListDate.toISOString(), '2015-06-01T00:00:00.000Z');
+        assert.equal(record.Modified.toISOString(), '2015-06-01T15:30:00.000Z', "The system time zone is applied");
+        assert.strictEqual(record.Status, '1', "Lookup codes are left as is");
+        assert.deepEqual(record.Features, ['P', 'G'], "LookupMulti values are split");
+        assert.strictEqual(record.Unknown, '7', "Fields without metadata are left as is");
+    });
+
+    it('Coercer turns empty strings to null and keeps invalid values', function() {
+        var record = coerce.createCoercer(fields)({
+            Beds: '',
+            Features: '',
+            ListPrice: 'N/A',
+            Modified: '2015-06-01T10:30:00+02:00'
+        });
+
+        assert.isNull(record.Beds);
+        assert.isNull(record.Features);
+        assert.strictEqual(record.ListPrice, 'N/A');
+        assert.equal(record.Modified.toISOString(), '2015-06-01T08:30:00.000Z', "Explicit offsets are kept");
+    });
+
+    it('Time zone offsets are normalized', function() {
+        assert.equal(coerce.normalizeOffset('-0500'), '-05:00');
+        assert.equal(coerce.normalizeOffset('+1'), '+01:00');
+        assert.equal(coerce.normalizeOffset(''), 'Z');
+    });
+});
+
+describe('test query coercion', function() {
+    var retsServer;
+
+    beforeEach(function(done) {
+        server.start({
+            search: function(req, res) {
+                server.sendCompact(res, ['ListingID', 'Beds', 'Status', 'Features', 'Modified'],
+                    [['1', '3', 'A', 'P,G', '2015-06-01T10:30:00'], ['2', '', 'S', '', '']]);
+            },
+            metadata: function(req, res, params) {
+                if (params.Type === 'METADATA-SYSTEM') {
+                    server.sendRets(res, 0, '<METADATA-SYSTEM Version="1.00.00001" Date="2015-01-01T00:00:00">' +
+                        '<SYSTEM SystemID="TEST" SystemDescription="Test" TimeZoneOffset="-05:00"/>' +
+                        '<COMMENTS></COMMENTS></METADATA-SYSTEM>');
+                } else if (params.Type === 'METADATA-TABLE') {
+                    server.sendMetadata(res, [{
+                        type: 'METADATA-TABLE',
+                        attributes: {Resource: 'Property', Class: 'RESI', Version: '1.00.00001'},
+                        columns: ['SystemName', 'DataType', 'Interpretation', 'LookupName'],
+                        rows: [
+                            ['Beds', 'Int', '', ''],
+                            ['Status', 'Character', 'Lookup', 'STATUS'],
+                            ['Features', 'Character', 'LookupMulti', 'FEATURES'],
+                            ['Modified', 'DateTime', '', '']
+                        ]
+                    }]);
+                } else {
+                    server.sendMetadata(res, [{
+                        type: 'METADATA-LOOKUP_TYPE',
+                        attributes: {Resource: 'Property', Lookup: 'STATUS'},
+                        columns: ['Value', 'LongValue'],
+                        rows: [['A', 'Active'], ['S', 'Sold']]
+                    }, {
+                        type: 'METADATA-LOOKUP_TYPE',
+                        attributes: {Resource: 'Property', Lookup: 'FEATURES'},
+                        columns: ['Value', 'LongValue'],
+                        rows: [['P', 'Pool, Heated'], ['G', 'Garage']]
+                    }]);
+                }
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    it('Client coerces and decodes query records', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(ListingID=1+)', {_coerce: true, _decodeLookups: true});
+        }).then(function(data) {
+            assert.strictEqual(data[0].Beds, 3);
+            assert.equal(data[0].Status, 'Active');
+            assert.deepEqual(data[0].Features, ['Pool, Heated', 'Garage'], "LookupMulti values are split before decoding");
+            assert.deepEqual(data[0]._raw.Features, ['P', 'G']);
+            assert.equal(data[0].Modified.toISOString(), '2015-06-01T15:30:00.000Z');
+            assert.isNull(data[1].Beds);
+            assert.isNull(data[1].Features);
+            done();
+        }).catch(done);
+    });
+});
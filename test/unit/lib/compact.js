@@ -0,0 +1,60 @@
+var assert = require('chai').assert,
+    compact = require('../../../lib/compact.js');
+
+var body = '<RETS ReplyCode="0" ReplyText="Success">\r\n' +
+    '<COUNT Records="3" />\r\n' +
+    '<DELIMITER value="09" />\r\n' +
+    '<COLUMNS>\tListingID\tCity\t</COLUMNS>\r\n' +
+    '<DATA>\t1\tMontréal\t</DATA>\r\n' +
+    '<DATA>\t2\tLaval &amp; Co\t</DATA>\r\n' +
+    '<MAXROWS />\r\n' +
+    '</RETS>\r\n';
+
+describe('test compact streaming parser', function() {
+    it('Parser emits records, count and columns from a response written in small chunks', function(done) {
+        var parser = compact.createParser();
+        var records = [], events = [];
+
+        parser.on('count', function(total) {
+            events.push('count:' + total);
+        });
+        parser.on('columns', function(columns) {
+            events.push('columns:' + columns.join(','));
+        });
+        parser.on('maxrows', function() {
+            events.push('maxrows');
+        });
+        parser.on('data', function(record) {
+            records.push(record);
+        });
+        parser.on('end', function() {
+            assert.deepEqual(records, [
+                {ListingID: '1', City: 'Montréal'},
+                {ListingID: '2', City: 'Laval & Co'}
+            ]);
+            assert.deepEqual(events, ['count:3', 'columns:ListingID,City', 'maxrows']);
+            assert.equal(parser.count, 2);
+            assert.equal(parser.total, 3);
+            assert.isTrue(parser.maxRows);
+            done();
+        });
+        parser.on('error', done);
+
+        // split the body in 7 byte chunks, cutting through tags and multi-byte characters
+        var buffer = new Buffer(body);
+        for (var i = 0; i < buffer.length; i += 7) {
+            parser.write(buffer.slice(i, i + 7));
+        }
+        parser.end();
+    });
+
+    it('Parser emits an error for a non-zero reply code', function(done) {
+        var parser = compact.createParser();
+
+        parser.on('error', function(error) {
+            assert.equal(error.replyCode, '20203');
+            done();
+        });
+        parser.end('<RETS ReplyCode="20203" ReplyText="Miscellaneous Search Error"></RETS>');
+    });
+});
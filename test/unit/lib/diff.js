@@ -0,0 +1,136 @@
+var assert = require('chai').assert,
+    server = require('../support/server.js'),
+    cache = require('../../../lib/cache.js'),
+    rets = require('../../../index.js');
+
+var tree = function(version, resources, tables, lookupTypes) {
+    return {
+        system: {metadataVersion: version},
+        resources: resources,
+        classes: {Property: [{ClassName: 'RESI', StandardName: 'ResidentialProperty'}]},
+        tables: tables,
+        lookups: {},
+        lookupTypes: lookupTypes,
+        objects: {}
+    };
+};
+
+var before = tree('1.00.00001', [{ResourceID: 'Property'}, {ResourceID: 'Office'}], {
+    'Property:RESI': [
+        {MetadataEntryID: '1', SystemName: 'LP', DataType: 'Int', MaximumLength: '10', Searchable: '1'},
+        {MetadataEntryID: '2', SystemName: 'Status', DataType: 'Character', MaximumLength: '1', Searchable: '1'},
+        {MetadataEntryID: '3', SystemName: 'Remarks', DataType: 'Character', MaximumLength: '1024', Searchable: '0'}
+    ]
+}, {
+    'Property:STATUS': [{Value: 'A', LongValue: 'Active'}, {Value: 'X', LongValue: 'Expired'}]
+});
+
+var after = tree('1.00.00002', [{ResourceID: 'Property'}, {ResourceID: 'Agent'}], {
+    'Property:RESI': [
+        {MetadataEntryID: '1', SystemName: 'ListPrice', DataType: 'Decimal', MaximumLength: '12', Searchable: '1'},
+        {MetadataEntryID: '2', SystemName: 'Status', DataType: 'Character', MaximumLength: '1', Searchable: '1'},
+        {MetadataEntryID: '4', SystemName: 'Photos', DataType: 'Int', MaximumLength: '3', Searchable: '0'}
+    ]
+}, {
+    'Property:STATUS': [{Value: 'A', LongValue: 'Active'}, {Value: 'P', LongValue: 'Pending'}]
+});
+
+describe('test metadata diff', function() {
+
+    it('Metadata versions are compared', function() {
+        var diff = rets.diffMetadata(before, after);
+
+        assert.equal(diff.from, '1.00.00001');
+        assert.equal(diff.to, '1.00.00002');
+        assert.deepEqual(diff.changes, [
+            {change: 'removed', kind: 'resource', path: 'Office'},
+            {change: 'removed', kind: 'field', path: 'Property:RESI:Remarks'},
+            {change: 'renamed', kind: 'field', path: 'Property:RESI:LP', to: 'ListPrice'},
+            {change: 'changed', kind: 'field', path: 'Property:RESI:LP', property: 'DataType', from: 'Int', to: 'Decimal'},
+            {change: 'changed', kind: 'field', path: 'Property:RESI:LP', property: 'MaximumLength', from: '10', to: '12'},
+            {change: 'added', kind: 'field', path: 'Property:RESI:Photos'},
+            {change: 'removed', kind: 'lookupValue', path: 'Property:STATUS:X'},
+            {change: 'added', kind: 'lookupValue', path: 'Property:STATUS:P'},
+            {change: 'added', kind: 'resource', path: 'Agent'}
+        ]);
+
+        assert.equal(rets.formatMetadataDiff(diff).split('\n')[5],
+            '  Field Property:RESI:LP MaximumLength changed from 10 to 12');
+        assert.equal(rets.formatMetadataDiff(rets.diffMetadata(after, after)),
+            'Metadata changes from version 1.00.00002 to 1.00.00002: none');
+    });
+});
+
+describe('test metadata change detection', function() {
+    var retsServer;
+
+    beforeEach(function(done) {
+        server.start({
+            metadata: function(req, res) {
+                server.sendMetadata(res, [{
+                    type: 'METADATA-SYSTEM',
+                    attributes: {Version: retsServer.metadataVersion},
+                    content: '<SYSTEM SystemID="TEST" />'
+                }, {
+                    type: 'METADATA-RESOURCE',
+                    columns: ['ResourceID'],
+                    rows: [[retsServer.metadataVersion === '1.00.00001' ? 'Property' : 'Agent']]
+                }]);
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    var getClient = function(store) {
+        return rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass', metadataCache: store});
+    };
+
+    it('Client emits metadata.changed when a login reports a new version', function(done) {
+        var store = cache.createMemoryStore();
+        var client = getClient(store);
+        var changes = [];
+
+        client.then(function() {
+            return client.getSchema();
+        }).then(function() {
+            retsServer.metadataVersion = '1.00.00002';
+            client = getClient(store);
+            client.on('metadata.changed', function(change) {
+                changes.push(change);
+            });
+            return client;
+        }).then(function() {
+            return client.getSchema();
+        }).then(function(schema) {
+            assert.lengthOf(changes, 1, "The version recorded by another client is compared");
+            assert.deepEqual(changes[0].previous, {version: '1.00.00001', timestamp: '2014-01-01T00:00:00'});
+            assert.deepEqual(changes[0].current, {version: '1.00.00002', timestamp: '2014-01-01T00:00:00'});
+
+            var diff = rets.diffMetadata(changes[0].previousSchema, schema);
+            assert.deepEqual(diff.changes.map(function(change) {
+                return change.change + ' ' + change.path;
+            }), ['removed Property', 'added Agent']);
+
+            retsServer.metadataTimestamp = '2014-02-01T00:00:00';
+            return new Promise(function(resolve, reject) {
+                client.renewSession(function(error) {
+                    if (error) reject(error);
+                    else resolve();
+                });
+            });
+        }).then(function() {
+            // the cache is read asynchronously
+            setTimeout(function() {
+                assert.lengthOf(changes, 2, "Session renewals are compared as well");
+                assert.equal(changes[1].previousSchema.resource('Agent').ResourceID, 'Agent');
+                done();
+            }, 10);
+        }).catch(done);
+    });
+});
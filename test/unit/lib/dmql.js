@@ -0,0 +1,223 @@
+var assert = require('chai').assert,
+    server = require('../support/server.js'),
+    rets = require('../../../index.js');
+
+describe('test DMQL builder', function() {
+
+    it('Builder produces DMQL2 conditions', function() {
+        var query = rets.dmql()
+            .field('ListPrice').between(1e5, 2e5)
+            .and().field('Status').oneOf(['A', 'P'])
+            .field('Features').allOf(['POOL', 'GAR'])
+            .field('Type').noneOf('CONDO')
+            .field('Modified').atLeast(new Date(Date.UTC(2014, 0, 1)))
+            .field('ListDate').atMost('2015-01-01')
+            .field('Photos').any()
+            .field('Remarks').empty();
+
+        assert.equal(query.toString(), '(ListPrice=100000-200000),(Status=|A,P),(Features=+POOL,GAR),(Type=~CONDO),' +
+            '(Modified=2014-01-01T00:00:00.000Z+),(ListDate=2015-01-01-),(Photos=.ANY.),(Remarks=.EMPTY.)');
+    });
+
+    it('Builder keeps the offset of dates outside UTC', function() {
+        var timeZone = process.env.TZ;
+        process.env.TZ = 'America/New_York';
+        try {
+            var query = rets.dmql().field('Modified').between(new Date(2014, 0, 1), '2014-01-02T00:00:00Z');
+
+            assert.equal(query.toString(), '(Modified=2014-01-01T05:00:00.000Z-2014-01-02T00:00:00Z)');
+            assert.equal(rets.dmql.parse(query.toString()).value.items[0].kind, 'between');
+        } finally {
+            if (timeZone === undefined) delete process.env.TZ;
+            else process.env.TZ = timeZone;
+        }
+    });
+
+    it('Builder escapes strings and joins conditions', function() {
+        var query = rets.dmql()
+            .field('City').equals('Saint "Paul"')
+            .or().not().field('Street').startsWith('Main')
+            .group(rets.dmql().field('Zip').equals(12345).or().field('Name').contains('Lake'));
+
+        assert.equal(query.toString(), '(City="Saint ""Paul""")|~(Street=Main*),((Zip=12345)|(Name=*Lake*))');
+    });
+
+    it('Builder rejects invalid input', function() {
+        assert.throws(function() { rets.dmql().field('List Price'); }, /Invalid field name/);
+        assert.throws(function() { rets.dmql().equals(1); }, /field\(name\)/);
+        assert.throws(function() { rets.dmql().field('Status').oneOf(['A,B']); }, /Invalid lookup value/);
+        assert.throws(function() { rets.dmql().field('Price').between('a b', 2); }, /Range values/);
+        assert.throws(function() { rets.dmql().field('Price').toString(); }, /not complete/);
+    });
+
+    it('Builder validates fields and lookup values', function() {
+        var fields = [
+            {SystemName: 'L_Status', StandardName: 'Status', Interpretation: 'Lookup', LookupName: 'STATUS'},
+            {SystemName: 'ListPrice', Interpretation: 'Currency'}
+        ];
+        var lookups = {STATUS: {A: {}, S: {}}};
+
+        assert.deepEqual(rets.dmql().field('Status').oneOf(['A', 'S']).field('ListPrice').atLeast(1)
+            .validate(fields, lookups), []);
+        assert.deepEqual(rets.dmql().field('Stauts').equals('A').field('ListPrice').oneOf('X')
+            .group(rets.dmql().field('L_Status').equals('Q')).validate(fields, lookups), [
+            'Unknown field Stauts',
+            'ListPrice is not a lookup field',
+            'Unknown value Q of lookup STATUS for field L_Status'
+        ]);
+    });
+});
+
+describe('test DMQL parser', function() {
+
+    it('Parser builds a tree of conditions', function() {
+        var root = rets.dmql.parse('(ListPrice=100000-200000),((Status=|A,P)|(City="Saint ""Paul""")),~(Type=CONDO*)');
+
+        assert.equal(root.type, 'and');
+        assert.lengthOf(root.children, 3);
+        assert.deepEqual(root.children[0], {
+            type: 'condition',
+            field: 'ListPrice',
+            value: {type: 'values', items: [{kind: 'between', min: '100000', max: '200000'}]},
+            position: 0
+        });
+
+        var or = root.children[1];
+        assert.equal(or.type, 'or');
+        assert.deepEqual(or.children[0].value, {type: 'lookup', operator: '|', values: ['A', 'P']});
+        assert.deepEqual(or.children[1].value, {type: 'literal', value: 'Saint "Paul"'});
+
+        assert.equal(root.children[2].type, 'not');
+        assert.deepEqual(root.children[2].child.value.items, [{kind: 'startsWith', value: 'CONDO'}]);
+    });
+
+    it('Parser accepts keywords, dates and special values', function() {
+        var root = rets.dmql.parse('(Modified=2014-01-01T00:00:00.000+) AND (Photos=.ANY.) OR NOT (Remarks=.EMPTY.)');
+
+        assert.equal(root.type, 'or');
+        assert.deepEqual(root.children[0].children[0].value.items, [{kind: 'greater', value: '2014-01-01T00:00:00.000'}]);
+        assert.equal(root.children[0].children[1].value.type, 'any');
+        assert.equal(root.children[1].child.value.type, 'empty');
+    });
+
+    it('Parser reports the position of syntax errors', function() {
+        var positionOf = function(query) {
+            try {
+                rets.dmql.parse(query);
+            } catch (error) {
+                return error.position;
+            }
+            assert.fail(query + " should not parse");
+        };
+
+        assert.equal(positionOf('(ListPrice=100000-200000'), 24);
+        assert.equal(positionOf('(Status=|A,,P)'), 11);
+        assert.equal(positionOf('(City=Saint "Paul")'), 6);
+        assert.equal(positionOf('(A=1)(B=2)'), 5);
+        assert.equal(positionOf('(=1)'), 1);
+    });
+
+    it('Linter warns on unknown, non-searchable and lookup fields', function() {
+        var fields = [
+            {SystemName: 'Status', Interpretation: 'Lookup', LookupName: 'STATUS', Searchable: '1'},
+            {SystemName: 'Remarks', Interpretation: '', Searchable: '0'}
+        ];
+
+        assert.deepEqual(rets.dmql.lint('(Status=|A,X),(Remarks=*pool*),(Remarks=|A),(Stauts=A)', fields, {STATUS: {A: {}}}), [
+            {message: 'Unknown value X of lookup STATUS for field Status', field: 'Status', position: 0},
+            {message: 'Remarks is not searchable', field: 'Remarks', position: 14},
+            {message: 'Remarks is not searchable', field: 'Remarks', position: 31},
+            {message: 'Remarks is not a lookup field', field: 'Remarks', position: 31},
+            {message: 'Unknown field Stauts', field: 'Stauts', position: 44}
+        ]);
+    });
+});
+
+describe('test query validation', function() {
+    var retsServer;
+
+    beforeEach(function(done) {
+        server.start({
+            search: function(req, res) {
+                server.sendCompact(res, ['ListingID'], [['1']]);
+            },
+            metadata: function(req, res, params) {
+                if (params.Type === 'METADATA-TABLE') {
+                    server.sendMetadata(res, [{
+                        type: 'METADATA-TABLE',
+                        attributes: {Resource: 'Property', Class: 'RESI', Version: '1.00.00001'},
+                        columns: ['SystemName', 'Interpretation', 'LookupName'],
+                        rows: [['ListingID', '', ''], ['Status', 'Lookup', 'STATUS']]
+                    }]);
+                } else {
+                    server.sendMetadata(res, [{
+                        type: 'METADATA-LOOKUP_TYPE',
+                        attributes: {Resource: 'Property', Lookup: 'STATUS'},
+                        columns: ['Value', 'LongValue'],
+                        rows: [['A', 'Active']]
+                    }]);
+                }
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    var searches = function() {
+        return retsServer.requests.filter(function(request) {
+            return request.transaction === 'search';
+        });
+    };
+
+    it('Client sends validated builder queries and rejects invalid ones', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.then(function() {
+            return client.query('Property', 'RESI', rets.dmql().field('Status').oneOf('A'), {_validate: true});
+        }).then(function(data) {
+            assert.lengthOf(data, 1);
+            assert.equal(searches()[0].params.query, '(Status=|A)', "The builder is sent as DMQL");
+
+            return client.query('Property', 'RESI', rets.dmql().field('Status').oneOf('X'), {_validate: true});
+        }).then(function() {
+            done(new Error("The query should have been rejected"));
+        }, function(error) {
+            assert.deepEqual(error.errors, ['Unknown value X of lookup STATUS for field Status']);
+            assert.lengthOf(searches(), 1, "Invalid queries are not sent");
+
+            return client.query('Property', 'RESI', '(Status=|A', {_validate: true});
+        }).then(function() {
+            done(new Error("The query should have been rejected"));
+        }, function(error) {
+            assert.equal(error.position, 10, "Syntax errors have their position");
+            assert.lengthOf(searches(), 1, "Invalid queries are not sent");
+            done();
+        }).catch(done);
+    });
+
+    it('Client validates queries with the timeout of the call', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass', retry: false});
+        var pending = [];
+
+        client.then(function() {
+            retsServer.handlers.metadata = function(req, res) {
+                pending.push(res);
+            };
+            return client.query('Property', 'RESI', '(Status=|A)', {_validate: true, _timeout: 50});
+        }).then(function() {
+            done(new Error("The query should have timed out"));
+        }, function(error) {
+            pending.forEach(function(res) {
+                res.end();
+            });
+            assert.include(['ETIMEDOUT', 'ESOCKETTIMEDOUT'], error.code);
+            assert.lengthOf(searches(), 0, "The query is not sent");
+            done();
+        }).catch(done);
+    });
+});
@@ -0,0 +1,148 @@
+var assert = require('chai').assert,
+    server = require('../support/server.js'),
+    errors = require('../../../lib/errors.js'),
+    rets = require('../../../index.js');
+
+describe('test error classes', function() {
+
+    it('Reply codes are turned into typed errors', function() {
+        var context = {transaction: 'search', params: {query: '(Status=A)'}};
+
+        var error = errors.fromReply('20203', 'Search failed', context);
+        assert.instanceOf(error, rets.RetsServerError);
+        assert.instanceOf(error, rets.RetsError);
+        assert.instanceOf(error, Error);
+        assert.equal(error.name, 'RetsServerError');
+        assert.equal(error.replyCode, '20203');
+        assert.equal(error.replyText, 'Search failed');
+        assert.equal(error.description, 'Miscellaneous search error');
+        assert.equal(error.transaction, 'search');
+        assert.deepEqual(error.params, {query: '(Status=A)'});
+        assert.isFalse(error.isRetryable);
+        assert.include(error.stack, 'RetsServerError');
+
+        assert.instanceOf(errors.fromReply(20210, 'Busy'), rets.RetsQuotaError);
+        assert.isTrue(errors.fromReply(20210, 'Busy').isRetryable);
+        assert.isTrue(errors.fromReply('20209', 'Timeout').isRetryable);
+        assert.instanceOf(errors.fromReply('20037', 'Not logged in'), rets.RetsAuthError);
+
+        var updateError = errors.fromReply('20302', 'Not saved', {transaction: 'update'});
+        assert.instanceOf(updateError, rets.RetsServerError);
+        assert.equal(updateError.description, 'Unable to save record on server');
+        assert.isFalse(updateError.isRetryable);
+        assert.equal(rets.describeReplyCode(20701), 'Not logged in');
+        assert.isNull(errors.fromReply('29999', 'Custom').description);
+    });
+
+    it('HTTP statuses are turned into typed errors', function() {
+        var error = errors.fromResponse({statusCode: 503}, {transaction: 'getObject'});
+        assert.instanceOf(error, rets.RetsHttpError);
+        assert.equal(error.message, 'RETS method getObject returned unexpected status code: 503');
+        assert.equal(error.httpStatus, 503);
+        assert.equal(error.replyCode, 503);
+        assert.equal(error.description, 'Service Unavailable');
+        assert.isTrue(error.isRetryable);
+
+        assert.instanceOf(errors.fromResponse({statusCode: 401}), rets.RetsAuthError);
+        assert.instanceOf(errors.fromResponse({statusCode: 429}), rets.RetsQuotaError);
+        assert.isFalse(errors.fromResponse({statusCode: 404}).isRetryable);
+    });
+
+    it('Network errors are retryable', function() {
+        var reset = new Error('socket hang up');
+        reset.code = 'ECONNRESET';
+
+        assert.isTrue(rets.isRetryable(reset));
+        assert.isFalse(rets.isRetryable(new Error('Invalid')));
+        assert.isFalse(rets.isRetryable(null));
+        assert.isTrue(rets.isRetryable(errors.fromReply('20512', 'Busy')));
+    });
+});
+
+describe('test transaction errors', function() {
+    var retsServer;
+
+    beforeEach(function(done) {
+        server.start({
+            search: function(req, res) {
+                server.sendRets(res, 20210);
+            },
+            metadata: function(req, res) {
+                server.sendRets(res, 20513);
+            },
+            update: function(req, res) {
+                server.sendRets(res, 20302);
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    it('Errors carry their transaction and request params', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass', retry: false});
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(Status=A)');
+        }).then(function() {
+            done(new Error("The query should have failed"));
+        }, function(error) {
+            assert.instanceOf(error, rets.RetsQuotaError);
+            assert.equal(error.transaction, 'search');
+            assert.equal(error.params.query, '(Status=A)');
+            assert.equal(error.description, 'Too many outstanding queries');
+
+            return client.getTable('Property', 'RESI');
+        }).then(function() {
+            done(new Error("The metadata request should have failed"));
+        }, function(error) {
+            assert.instanceOf(error, rets.RetsServerError);
+            assert.equal(error.transaction, 'getMetadata');
+            assert.deepEqual(error.params, {Type: 'METADATA-TABLE', Id: 'Property:RESI', Format: 'COMPACT'});
+
+            return client.update('Property', 'RESI', 'Change', {ListingID: '1'}, {});
+        }).then(function() {
+            done(new Error("The update should have failed"));
+        }, function(error) {
+            assert.instanceOf(error, rets.RetsServerError, "Update failures are errors, not strings");
+            assert.equal(error.replyCode, '20302');
+            assert.equal(error.transaction, 'update');
+            done();
+        }).catch(done);
+    });
+
+    it('Stream errors carry their transaction', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass', retry: false});
+
+        client.once('connection.success', function() {
+            client.queryStream('Property', 'RESI', '(Status=A)', {_format: 'COMPACT'})
+                .on('data', function() {
+                    done(new Error("No records should be streamed"));
+                })
+                .on('error', function(error) {
+                    assert.instanceOf(error, rets.RetsQuotaError);
+                    assert.equal(error.transaction, 'search');
+                    done();
+                });
+        });
+    });
+
+    it('Refused logins are authentication errors', function(done) {
+        retsServer.handlers.login = function(req, res) {
+            server.sendRets(res, 20036);
+        };
+
+        rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'})
+            .then(function() {
+                done(new Error("The login should have failed"));
+            }, function(error) {
+                assert.instanceOf(error, rets.RetsAuthError);
+                assert.equal(error.transaction, 'login');
+                done();
+            }).catch(done);
+    });
+});
@@ -0,0 +1,155 @@
+var assert = require('chai').assert,
+    server = require('../support/server.js'),
+    rets = require('../../../index.js'),
+    lookups = require('../../../lib/lookups.js');
+
+var metadata = {
+    'METADATA-TABLE': [{
+        type: 'METADATA-TABLE',
+        attributes: {Resource: 'Property', Class: 'RESI', Version: '1.00.00001'},
+        columns: ['SystemName', 'StandardName', 'Interpretation', 'LookupName'],
+        rows: [
+            ['ListingID', 'ListingID', '', ''],
+            ['Status', 'ListingStatus', 'Lookup', 'STATUS'],
+            ['Features', '', 'LookupMulti', 'FEATURES']
+        ]
+    }],
+    'METADATA-LOOKUP_TYPE': [{
+        type: 'METADATA-LOOKUP_TYPE',
+        attributes: {Resource: 'Property', Lookup: 'STATUS'},
+        columns: ['Value', 'ShortValue', 'LongValue'],
+        rows: [['A', 'Act', 'Active'], ['S', 'Sld', 'Sold']]
+    }, {
+        type: 'METADATA-LOOKUP_TYPE',
+        attributes: {Resource: 'Property', Lookup: 'FEATURES'},
+        columns: ['Value', 'ShortValue', 'LongValue'],
+        rows: [['P', 'Pool', 'Swimming Pool'], ['G', 'Gar', 'Garage']]
+    }]
+};
+
+describe('test client-side lookup decoding', function() {
+    var retsServer;
+
+    beforeEach(function(done) {
+        server.start({
+            search: function(req, res) {
+                server.sendCompact(res, ['ListingID', 'Status', 'Features'], [['1', 'A', 'P,G'], ['2', 'X', '']]);
+            },
+            metadata: function(req, res, params) {
+                server.sendMetadata(res, metadata[params.Type]);
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    var metadataCount = function() {
+        return retsServer.requests.filter(function(request) {
+            return request.transaction === 'metadata';
+        }).length;
+    };
+
+    it('Client decodes lookups of COMPACT records and caches the lookup tables', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(ListingID=1+)', {_decodeLookups: true});
+        }).then(function(data) {
+            assert.equal(retsServer.requests.pop().params.format, 'COMPACT', "COMPACT data is requested");
+            assert.deepEqual(data[0], {
+                ListingID: '1',
+                Status: 'Active',
+                Features: 'Swimming Pool,Garage',
+                _raw: {Status: 'A', Features: 'P,G'}
+            });
+            assert.equal(data[1].Status, 'X', "Unknown codes are left as is");
+            assert.equal(metadataCount(), 2, "Table and lookup types are fetched");
+
+            return client.query('Property', 'RESI', '(ListingID=1+)', {_decodeLookups: 'ShortValue'});
+        }).then(function(data) {
+            assert.equal(data[0].Features, 'Pool,Gar', "Short values are used");
+            assert.equal(metadataCount(), 2, "Cached metadata is reused");
+
+            client.metadataVersion = '1.00.00002';
+            return client.query('Property', 'RESI', '(ListingID=1+)', {_decodeLookups: true});
+        }).then(function() {
+            assert.equal(metadataCount(), 4, "Metadata is fetched again for a new version");
+            done();
+        }).catch(done);
+    });
+
+    it('Client fetches lookup metadata with the signal of the query, and per session', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var controller = new AbortController();
+        var metadataHandler = retsServer.handlers.metadata;
+        var pending = null;
+        var lookupsModule;
+
+        client.then(function() {
+            retsServer.handlers.metadata = function(req, res) {
+                pending = res;
+                controller.abort();
+            };
+            return client.query('Property', 'RESI', '(ListingID=1+)', {_decodeLookups: true, _signal: controller.signal});
+        }).then(function() {
+            done(new Error("The query should have been aborted"));
+        }, function(error) {
+            pending.end();
+            assert.instanceOf(error, rets.RetsAbortError);
+            assert.equal(error.transaction, 'getMetadata');
+
+            retsServer.handlers.metadata = metadataHandler;
+            lookupsModule = client.lookupsModule;
+            return client.query('Property', 'RESI', '(ListingID=1+)', {_decodeLookups: true, _timeout: 1000});
+        }).then(function(data) {
+            assert.equal(data[0].Status, 'Active');
+            assert.equal(metadataCount(), 3);
+
+            retsServer.expireSession();
+            return client.query('Property', 'RESI', '(ListingID=1+)', {_decodeLookups: true});
+        }).then(function() {
+            assert.notStrictEqual(client.lookupsModule, lookupsModule, "A new session has its own lookups module");
+            return client.query('Property', 'RESI', '(ListingID=1+)', {_decodeLookups: true});
+        }).then(function() {
+            assert.equal(metadataCount(), 5, "The new session fetches the metadata with its own cookies");
+            done();
+        }).catch(done);
+    });
+
+    it('Client decodes streamed records', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.once('connection.success', function() {
+            var records = [];
+            client.queryStream('Property', 'RESI', '(ListingID=1+)', {_decodeLookups: true})
+                .on('data', function(record) {
+                    records.push(record);
+                })
+                .on('end', function() {
+                    assert.equal(records[0].Status, 'Active');
+                    done();
+                })
+                .on('error', done);
+        });
+    });
+
+    it('Lookups module reads no time zone offset when the server has no system metadata', function(done) {
+        // getSystem calls back without a system when the server replies 20503 (no metadata found)
+        var lookupsModule = lookups({
+            getSystem: function(callback) {
+                callback(null, null);
+            }
+        });
+
+        lookupsModule.getTimeZoneOffset('1.00.00001', function(error, timeZoneOffset) {
+            assert.ifError(error);
+            assert.isNull(timeZoneOffset);
+            done();
+        });
+    });
+});
@@ -0,0 +1,211 @@
+var assert = require('chai').assert,
+    server = require('../support/server.js'),
+    rets = require('../../../index.js');
+
+var metadata = {
+    'METADATA-EDITMASK': [{
+        type: 'METADATA-EDITMASK',
+        attributes: {Resource: 'Property', Version: '1.00.00001'},
+        columns: ['MetadataEntryID', 'EditMaskID', 'Value'],
+        rows: [['1', 'ZIP', '[0-9]{5}']]
+    }],
+    'METADATA-UPDATE_TYPE': [{
+        type: 'METADATA-UPDATE_TYPE',
+        attributes: {Resource: 'Property', Class: 'RESI', Update: 'Add'},
+        columns: ['SystemName', 'Sequence', 'Attributes'],
+        rows: [['ListPrice', '1', '1,2']]
+    }, {
+        type: 'METADATA-UPDATE_TYPE',
+        attributes: {Resource: 'Property', Class: 'RESI', Update: 'Change'},
+        columns: ['SystemName', 'Sequence', 'Attributes'],
+        rows: [['ListPrice', '1', '2'], ['Status', '2', '2']]
+    }],
+    'METADATA-FILTER': [{
+        type: 'METADATA-FILTER',
+        columns: ['FilterID', 'ParentResource', 'ParentLookupName', 'ChildResource', 'ChildLookupName'],
+        rows: [['1', 'Property', 'COUNTY', 'Property', 'CITY']]
+    }]
+};
+
+var field = function(systemName, standardName, dataType, lookupName) {
+    return '<Field><SystemName>' + systemName + '</SystemName><StandardName>' + standardName + '</StandardName>' +
+        '<DataType>' + dataType + '</DataType><LookupName>' + lookupName + '</LookupName>' +
+        '<Interpretation>' + (lookupName ? 'Lookup' : '') + '</Interpretation></Field>';
+};
+
+var table = '<METADATA-TABLE Resource="Property" Class="RESI" Version="1.00.00001">' +
+    field('LP', 'ListPrice', 'Decimal', '') + field('Status', 'ListingStatus', 'Character', 'STATUS') +
+    '</METADATA-TABLE>';
+
+var standardXml = {
+    'METADATA-TABLE': table,
+    'METADATA-SYSTEM': '<METADATA-SYSTEM Version="1.00.00001" Date="2014-01-01T00:00:00">' +
+        '<SYSTEM><SystemID>TEST</SystemID><SystemDescription>Test Server</SystemDescription>' +
+        '<TimeZoneOffset>-05:00</TimeZoneOffset><Comments>Nested</Comments>' +
+        '<METADATA-RESOURCE Version="1.00.00001"><Resource><ResourceID>Property</ResourceID>' +
+        '<StandardName>Property</StandardName>' +
+        '<METADATA-CLASS Resource="Property"><Class><ClassName>RESI</ClassName>' + table + '</Class></METADATA-CLASS>' +
+        '<METADATA-LOOKUP Resource="Property"><Lookup><LookupName>STATUS</LookupName>' +
+        '<METADATA-LOOKUP_TYPE Resource="Property" Lookup="STATUS">' +
+        '<LookupType><Value>A</Value><LongValue>Active</LongValue></LookupType>' +
+        '<LookupType><Value>S</Value><LongValue>Sold</LongValue></LookupType>' +
+        '</METADATA-LOOKUP_TYPE></Lookup></METADATA-LOOKUP>' +
+        '</Resource></METADATA-RESOURCE></SYSTEM></METADATA-SYSTEM>'
+};
+
+describe('test metadata types', function() {
+    var retsServer;
+
+    beforeEach(function(done) {
+        server.start({
+            metadata: function(req, res, params) {
+                if (params.Format === 'STANDARD-XML') server.sendRets(res, 0, '<METADATA>' + standardXml[params.Type] + '</METADATA>');
+                else if (metadata[params.Type]) server.sendMetadata(res, metadata[params.Type]);
+                else server.sendRets(res, 20503);
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    var lastParams = function() {
+        return retsServer.requests[retsServer.requests.length - 1].params;
+    };
+
+    it('Client retrieves and parses the remaining metadata types', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var events = [];
+        client.on('metadata.editMasks.success', function(data) {
+            events.push(data);
+        });
+
+        client.then(function() {
+            return client.getEditMasks('Property');
+        }).then(function(data) {
+            assert.equal(lastParams().Id, 'Property');
+            assert.equal(data.Resource, 'Property');
+            assert.deepEqual(data.EditMasks, [{MetadataEntryID: '1', EditMaskID: 'ZIP', Value: '[0-9]{5}'}]);
+            assert.lengthOf(events, 1);
+
+            return client.getUpdateTypes('Property', 'RESI', '');
+        }).then(function(data) {
+            assert.equal(lastParams().Id, 'Property:RESI');
+            assert.lengthOf(data, 2, "Update types are listed per update");
+            assert.equal(data[1].Update, 'Change');
+            assert.lengthOf(data[1].UpdateTypes, 2);
+
+            return client.getFilters();
+        }).then(function(data) {
+            assert.equal(lastParams().Type, 'METADATA-FILTER');
+            assert.equal(data.Filters[0].ChildLookupName, 'CITY');
+
+            return client.getValidationLookupTypes('Property', 'ZONES');
+        }).then(function(data) {
+            assert.equal(lastParams().Id, 'Property:ZONES');
+            assert.deepEqual(data, [], "Missing metadata is an empty result");
+
+            return client.getSearchHelp('Property');
+        }).then(function(data) {
+            assert.deepEqual(data, {SearchHelps: []});
+            done();
+        }).catch(done);
+    });
+
+    it('Client checks the parameters of the metadata types', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.then(function() {
+            return client.getColumnGroups('', 'RESI');
+        }).then(function() {
+            done(new Error("The call should have failed"));
+        }, function(error) {
+            assert.equal(error.message, 'Missing resource type');
+
+            return client.getFilterTypes(null);
+        }).then(function() {
+            done(new Error("The call should have failed"));
+        }, function(error) {
+            assert.equal(error.message, 'Missing filter id');
+            done();
+        }).catch(done);
+    });
+
+    it('Client methods accept a callback in place of their optional argument', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var calls = [
+            ['getUpdates', ['Property'], 'Property'],
+            ['getUpdateTypes', ['Property', 'RESI'], 'Property:RESI'],
+            ['getColumnGroups', ['Property'], 'Property'],
+            ['getColumnGroupSets', ['Property'], 'Property'],
+            ['getColumnGroupControls', ['Property', 'RESI'], 'Property:RESI'],
+            ['getColumnGroupTables', ['Property', 'RESI'], 'Property:RESI'],
+            ['getColumnGroupNormalizations', ['Property', 'RESI'], 'Property:RESI'],
+            ['getValidationLookupTypes', ['Property'], 'Property'],
+            ['getValidationExternalTypes', ['Property'], 'Property']
+        ];
+
+        var _next = function() {
+            var call = calls.shift();
+            if (!call) {
+                // options may be given in place of the optional argument as well
+                client.getUpdates('Property', {timeout: 1000}, function(error, data) {
+                    assert.ifError(error);
+                    assert.equal(lastParams().Id, 'Property');
+                    assert.deepEqual(data, {Updates: []});
+                    done();
+                });
+                return;
+            }
+
+            var returned = client[call[0]].apply(client, call[1].concat(function(error) {
+                assert.ifError(error);
+                assert.equal(lastParams().Id, call[2], call[0] + " requests the metadata of its arguments");
+                _next();
+            }));
+            assert.isUndefined(returned, call[0] + " calls the callback instead of returning a promise");
+        };
+
+        client.once('connection.success', _next);
+    });
+
+    it('Client parses STANDARD-XML metadata into the COMPACT shapes', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.then(function() {
+            return client.getTable('Property', 'RESI', {format: 'STANDARD-XML'});
+        }).then(function(data) {
+            assert.equal(lastParams().Format, 'STANDARD-XML');
+            assert.equal(data.Resource, 'Property');
+            assert.equal(data.Class, 'RESI');
+            assert.deepEqual(data.Fields[1], {SystemName: 'Status', StandardName: 'ListingStatus',
+                DataType: 'Character', LookupName: 'STATUS', Interpretation: 'Lookup'});
+
+            return client.getSystem({format: 'STANDARD-XML'});
+        }).then(function(system) {
+            assert.equal(system.systemId, 'TEST');
+            assert.equal(system.timezoneOffset, '-05:00');
+            assert.equal(system.comments, 'Nested');
+            done();
+        }).catch(done);
+    });
+
+    it('Client reads the nested STANDARD-XML metadata tree', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass',
+            metadataFormat: 'STANDARD-XML'});
+
+        client.then(function() {
+            return client.getSchema();
+        }).then(function(schema) {
+            assert.equal(lastParams().Id, '*');
+            var resi = schema.resource('Property').class('RESI');
+            assert.equal(resi.field('ListPrice').DataType, 'Decimal');
+            assert.equal(resi.field('ListingStatus').lookup.value('S').LongValue, 'Sold');
+            done();
+        }).catch(done);
+    });
+});
@@ -0,0 +1,65 @@
+var assert = require('chai').assert,
+    Readable = require('stream').Readable,
+    server = require('../support/server.js'),
+    rets = require('../../../index.js');
+
+describe('test reconciliation', function() {
+    var retsServer;
+    // 5 was modified during the pull and is returned twice
+    var rows = [['3'], ['1'], ['5'], ['4'], ['5'], ['9'], ['2'], ['6']];
+
+    beforeEach(function(done) {
+        server.start({
+            search: function(req, res, params) {
+                var offset = +params.offset, limit = params.limit === 'NONE' ? rows.length : +params.limit;
+                server.sendCompact(res, ['ListingKey'], rows.slice(offset - 1, offset - 1 + limit), rows.length);
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    it('Client reports vanished and appeared keys', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.then(function() {
+            return client.reconcile('Property', 'RESI', {
+                keyField: 'ListingKey',
+                // 7 is known twice
+                known: ['1', '2', '3', '7', '8', '9', '7'],
+                queryOptions: {_limit: 3}
+            });
+        }).then(function(result) {
+            assert.deepEqual(result, {vanished: ['7', '8'], appeared: ['4', '5', '6'], total: 7});
+
+            var params = retsServer.requests.pop().params;
+            assert.equal(params.select, 'ListingKey', "Only the key is fetched");
+            assert.equal(params.query, '(ListingKey=.ANY.)');
+            done();
+        }).catch(done);
+    });
+
+    it('Client reads known ids from a stream', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var known = new Readable({objectMode: true, read: function() {}});
+
+        client.once('connection.success', function() {
+            client.reconcile('Property', 'RESI', {keyField: 'ListingKey', known: known, query: '(Status=A)'}, function(error, result) {
+                assert.ifError(error);
+                assert.deepEqual(result.vanished, ['10']);
+                assert.deepEqual(result.appeared, ['2', '5']);
+                done();
+            });
+
+            [1, 3, 4, 6, 9, 10].forEach(function(id) {
+                known.push(id);
+            });
+            known.push(null);
+        });
+    });
+});
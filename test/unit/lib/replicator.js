@@ -0,0 +1,188 @@
+var assert = require('chai').assert,
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    server = require('../support/server.js'),
+    rets = require('../../../index.js');
+
+describe('test replicator', function() {
+    var retsServer, checkpointFile;
+    var rows, descending;
+
+    beforeEach(function(done) {
+        descending = false;
+        rows = [['1', '2015-01-01T00:00:00'], ['2', '2015-01-02T00:00:00'], ['3', '2015-01-02T00:00:00'],
+            ['4', '2015-01-03T00:00:00'], ['5', '2015-01-04T00:00:00']];
+        checkpointFile = path.join(os.tmpdir(), 'rets-checkpoint-' + process.pid + '-' + Date.now() + '.json');
+
+        server.start({
+            search: function(req, res, params) {
+                // every criteria on ModTime is a lower bound or a range
+                var criteria = params.query.match(/ModTime=[\d-]+T[\d:.]+(\+|-[\d-]+T[\d:.]+)/g) || [];
+                var matching = rows.filter(function(row) {
+                    var time = new Date(row[1] + 'Z');
+                    return criteria.every(function(criterion) {
+                        var bounds = criterion.match(/\d{4}-\d\d-\d\dT[\d:.]+/g);
+                        return time >= new Date(bounds[0] + 'Z') && (!bounds[1] || time <= new Date(bounds[1] + 'Z'));
+                    });
+                });
+                if (descending) matching.reverse();
+                var offset = +params.offset - 1;
+                var columns = ['ListingKey', 'ModTime'].filter(function(column) {
+                    return !params.select || params.select.split(',').indexOf(column) >= 0;
+                });
+                server.sendCompact(res, columns, matching.slice(offset, offset + +params.limit).map(function(row) {
+                    return columns.map(function(column) {
+                        return row[column === 'ListingKey' ? 0 : 1];
+                    });
+                }), matching.length);
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        if (fs.existsSync(checkpointFile)) fs.unlinkSync(checkpointFile);
+        retsServer.close(done);
+    });
+
+    var createReplicator = function(client, options) {
+        var settings = {
+            resource: 'Property',
+            class: 'RESI',
+            timestampField: 'ModTime',
+            keyField: 'ListingKey',
+            checkpointFile: checkpointFile,
+            batchSize: 2,
+            queryOptions: {_limit: 3}
+        };
+        for (var key in options) {
+            settings[key] = options[key];
+        }
+        return new rets.Replicator(client, settings);
+    };
+
+    it('Replicator pulls every record in batches and saves checkpoints', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var records = [], batches = [], checkpoints = [];
+
+        client.then(function() {
+            var replicator = createReplicator(client);
+            replicator.on('record', function(record) {
+                records.push(record.ListingKey);
+            });
+            replicator.on('batch', function(batch) {
+                batches.push(batch.length);
+            });
+            replicator.on('checkpoint', function(checkpoint) {
+                checkpoints.push(checkpoint.key);
+            });
+            return replicator.run();
+        }).then(function(summary) {
+            assert.deepEqual(records, ['1', '2', '3', '4', '5']);
+            assert.deepEqual(batches, [2, 2, 1]);
+            assert.deepEqual(checkpoints, ['2', '4', '5']);
+            assert.equal(summary.count, 5);
+            assert.deepEqual(JSON.parse(fs.readFileSync(checkpointFile, 'utf8')),
+                {timestamp: '2015-01-04T00:00:00', key: '5'}, "The checkpoint is saved to the file");
+            assert.include(retsServer.requests.pop().params.query, '(ModTime=1970-01-01T00:00:00+)');
+            done();
+        }).catch(done);
+    });
+
+    it('Replicator resumes from the checkpoint with an overlap', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        fs.writeFileSync(checkpointFile, JSON.stringify({timestamp: '2015-01-03T00:00:00', key: '4'}));
+
+        client.then(function() {
+            rows.push(['6', '2015-01-05T00:00:00']);
+            return createReplicator(client, {overlap: 24 * 3600 * 1000, query: '(Status=A)'}).run();
+        }).then(function(summary) {
+            var search = retsServer.requests.filter(function(request) {
+                return request.transaction === 'search';
+            })[0];
+            assert.include(search.params.query, '((Status=A)),(ModTime=2015-01-02T00:00:00.000+)');
+            assert.equal(summary.count, 4, "Records of the overlap are fetched again, but not the checkpoint record");
+            assert.deepEqual(summary.checkpoint, {timestamp: '2015-01-05T00:00:00', key: '6'});
+            done();
+        }).catch(done);
+    });
+
+    it('Replicator orders the records of servers that do not sort them', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var records = [];
+        descending = true;
+
+        client.then(function() {
+            var replicator = createReplicator(client);
+            replicator.on('record', function(record) {
+                records.push(record.ListingKey);
+            });
+            return replicator.run();
+        }).then(function(summary) {
+            assert.deepEqual(records, ['1', '3', '2', '4', '5'], "Records of the same time keep the server's order");
+            assert.deepEqual(summary.checkpoint, {timestamp: '2015-01-04T00:00:00', key: '5'});
+            done();
+        }).catch(done);
+    });
+
+    it('Replicator fetches the timestamp and the key of records with _select', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.then(function() {
+            return createReplicator(client, {queryOptions: {_limit: 3, _select: 'Status'}}).run();
+        }).then(function(summary) {
+            assert.equal(retsServer.requests.pop().params.select, 'Status,ModTime,ListingKey');
+            assert.equal(summary.count, 5);
+            assert.deepEqual(summary.checkpoint, {timestamp: '2015-01-04T00:00:00', key: '5'});
+            done();
+        }).catch(done);
+    });
+
+    it('Replicator refuses checkpoints without a valid timestamp', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        retsServer.handlers.search = function(req, res) {
+            server.sendCompact(res, ['ListingKey', 'ModTime'], [['1', '']], 1);
+        };
+
+        client.then(function() {
+            return createReplicator(client).run();
+        }).then(function() {
+            done(new Error("The run should have failed"));
+        }, function(error) {
+            assert.include(error.message, 'has no valid ModTime');
+            assert.isFalse(fs.existsSync(checkpointFile), "No checkpoint is saved");
+            done();
+        }).catch(done);
+    });
+
+    it('Replicator keeps the last checkpoint when a run fails', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var saved = null;
+        var store = {
+            load: function(callback) {
+                callback(null, saved);
+            },
+            save: function(checkpoint, callback) {
+                if (saved) {
+                    callback(new Error("Disk full"));
+                    return;
+                }
+                saved = checkpoint;
+                callback();
+            }
+        };
+
+        client.then(function() {
+            return createReplicator(client, {store: store}).run();
+        }).then(function() {
+            done(new Error("The run should have failed"));
+        }, function(error) {
+            assert.equal(error.message, 'Disk full');
+            assert.deepEqual(saved, {timestamp: '2015-01-02T00:00:00', key: '2'}, "Only saved batches are kept");
+            done();
+        }).catch(done);
+    });
+});
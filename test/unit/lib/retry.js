@@ -0,0 +1,201 @@
+var assert = require('chai').assert,
+    server = require('../support/server.js'),
+    retry = require('../../../lib/retry.js'),
+    errors = require('../../../lib/errors.js'),
+    rets = require('../../../index.js');
+
+describe('test retry policy', function() {
+
+    it('Delays grow exponentially up to the maximum', function() {
+        var policy = retry.createPolicy({minDelay: 100, maxDelay: 500, jitter: 0});
+
+        assert.equal(policy.maxAttempts, 3);
+        assert.deepEqual([1, 2, 3, 4].map(policy.delay), [100, 200, 400, 500]);
+
+        var jittered = retry.createPolicy({minDelay: 100, jitter: 0.5}).delay(1);
+        assert.isTrue(jittered >= 50 && jittered <= 100, "Jitter shortens the delay by up to half");
+    });
+
+    it('Retryable errors can be configured', function() {
+        var policy = retry.createPolicy({replyCodes: [20203], statuses: [404]});
+
+        assert.isTrue(policy.isRetryable(errors.fromReply('20203', 'Error')));
+        assert.isFalse(policy.isRetryable(errors.fromReply('20209', 'Timeout')));
+        assert.isTrue(policy.isRetryable(errors.fromResponse({statusCode: 404})));
+        assert.isFalse(policy.isRetryable(errors.fromResponse({statusCode: 503})));
+        assert.equal(retry.createPolicy(false).maxAttempts, 1);
+    });
+
+    it('Transactions are attempted until they succeed or no attempt is left', function(done) {
+        var attempts = 0, retries = [];
+        var timeout = errors.fromReply('20209', 'Timeout');
+
+        retry.run(retry.createPolicy({minDelay: 1}), function(callback) {
+            attempts++;
+            callback(attempts < 3 ? timeout : null, attempts);
+        }, function(error, result) {
+            assert.isNull(error);
+            assert.equal(result, 3);
+            assert.deepEqual(retries.map(function(retryData) {
+                return retryData.attempt;
+            }), [1, 2]);
+            assert.strictEqual(retries[0].error, timeout);
+
+            retry.run(retry.createPolicy({minDelay: 1, maxAttempts: 2}), function(callback) {
+                callback(timeout);
+            }, function(error) {
+                assert.strictEqual(error, timeout);
+                done();
+            });
+        }, function(retryData) {
+            retries.push(retryData);
+        });
+    });
+
+    it('Aborting during the delay before a retry fails at once', function(done) {
+        var controller = new AbortController();
+        var attempts = 0;
+        var started = Date.now();
+
+        retry.run(retry.createPolicy({minDelay: 10000, jitter: 0}), function(callback) {
+            attempts++;
+            callback(errors.fromReply('20209', 'Timeout', {transaction: 'search'}));
+        }, function(error) {
+            assert.instanceOf(error, errors.RetsAbortError);
+            assert.equal(error.transaction, 'search');
+            assert.equal(attempts, 1, "No attempt is made once aborted");
+            assert.isTrue(Date.now() - started < 1000, "The delay is not waited for");
+            done();
+        }, function() {
+            setTimeout(function() {
+                controller.abort();
+            }, 10);
+        }, controller.signal);
+    });
+});
+
+describe('test client retries', function() {
+    var retsServer, failures;
+
+    var failOnce = function(transaction, fail, succeed) {
+        return function(req, res, params, server) {
+            if (failures[transaction] > 0) {
+                failures[transaction]--;
+                fail(res);
+            } else {
+                succeed(req, res, params, server);
+            }
+        };
+    };
+
+    var unavailable = function(res) {
+        res.writeHead(503);
+        res.end();
+    };
+
+    var sendListing = function(req, res) {
+        server.sendCompact(res, ['ListingID'], [['1']]);
+    };
+
+    beforeEach(function(done) {
+        failures = {};
+        server.start({
+            search: failOnce('search', unavailable, sendListing),
+            update: failOnce('update', unavailable, function(req, res) {
+                server.sendRets(res, 0, '<TRANSACTIONID value="1" />');
+            })
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    var requests = function(transaction) {
+        return retsServer.requests.filter(function(request) {
+            return request.transaction === transaction;
+        }).length;
+    };
+
+    var getClient = function() {
+        return rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass',
+            retry: {minDelay: 1}});
+    };
+
+    it('Client retries transient failures and emits retry events', function(done) {
+        var login = retsServer.handlers.login;
+        failures.login = 1;
+        failures.search = 1;
+        retsServer.handlers.login = failOnce('login', unavailable, login);
+
+        var client = getClient();
+        var retries = [];
+        client.on('retry', function(retryData) {
+            retries.push(retryData);
+        });
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(Status=A)');
+        }).then(function(data) {
+            assert.lengthOf(data, 1);
+            assert.deepEqual(retries.map(function(retryData) {
+                return retryData.transaction + ' ' + retryData.attempt + ' ' + retryData.error.httpStatus;
+            }), ['login 1 503', 'search 1 503']);
+
+            failures.search = 1;
+            retsServer.handlers.search = failOnce('search', function(res) {
+                server.sendRets(res, 20209);
+            }, sendListing);
+            return client.count('Property', 'RESI', '(Status=A)');
+        }).then(function(total) {
+            assert.equal(total, 1, "Retryable reply codes are retried");
+            assert.equal(retries[2].error.replyCode, '20209');
+            done();
+        }).catch(done);
+    });
+
+    it('Client retries streamed searches until the response is piped', function(done) {
+        var client = getClient();
+        var records = [];
+        failures.search = 2;
+
+        client.once('connection.success', function() {
+            client.queryStream('Property', 'RESI', '(Status=A)', {_format: 'COMPACT'})
+                .on('data', function(record) {
+                    records.push(record);
+                })
+                .on('error', done)
+                .on('end', function() {
+                    assert.deepEqual(records, [{ListingID: '1'}]);
+                    assert.equal(requests('search'), 3);
+                    done();
+                });
+        });
+    });
+
+    it('Client gives up after the last attempt and never retries updates', function(done) {
+        var client = getClient();
+        failures.search = 3;
+        failures.update = 1;
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(Status=A)');
+        }).then(function() {
+            done(new Error("The query should have failed"));
+        }, function(error) {
+            assert.instanceOf(error, rets.RetsHttpError);
+            assert.equal(requests('search'), 3);
+
+            return client.update('Property', 'RESI', 'Change', {ListingID: '1'}, {});
+        }).then(function() {
+            done(new Error("The update should have failed"));
+        }, function(error) {
+            assert.equal(error.httpStatus, 503);
+            assert.equal(requests('update'), 1);
+            done();
+        }).catch(done);
+    });
+});
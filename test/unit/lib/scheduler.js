@@ -0,0 +1,195 @@
+var assert = require('chai').assert,
+    server = require('../support/server.js'),
+    stream = require('stream'),
+    scheduler = require('../../../lib/scheduler.js'),
+    rets = require('../../../index.js');
+
+describe('test request scheduler', function() {
+
+    it('Scheduler limits concurrent tasks', function() {
+        var limits = scheduler.createScheduler({maxConcurrent: 2});
+        var started = [], releases = [];
+
+        [1, 2, 3].forEach(function(task) {
+            limits.schedule(function(release) {
+                started.push(task);
+                releases.push(release);
+            });
+        });
+
+        assert.deepEqual(started, [1, 2]);
+        assert.equal(limits.running(), 2);
+        assert.equal(limits.queued(), 1);
+
+        releases[0]();
+        releases[0]();
+        assert.deepEqual(started, [1, 2, 3], "A released slot starts the next task");
+        assert.equal(limits.running(), 2, "A slot is released once");
+    });
+
+    it('Scheduler limits requests per interval and spaces them', function(done) {
+        var limits = scheduler.createScheduler({maxRequests: 2, interval: 60, minSpacing: 20});
+        var starts = [];
+        var begin = Date.now();
+
+        [1, 2, 3].forEach(function() {
+            limits.schedule(function(release) {
+                starts.push(Date.now() - begin);
+                release();
+
+                if (starts.length < 3) return;
+                assert.isTrue(starts[1] >= 15, "Requests are spaced: " + starts);
+                assert.isTrue(starts[2] >= 55, "Requests over the interval limit wait: " + starts);
+                done();
+            });
+        });
+        assert.equal(limits.queued(), 2);
+    });
+
+    it('Queued tasks can be removed', function() {
+        var limits = scheduler.createScheduler({maxConcurrent: 1});
+        limits.schedule(function() {});
+        var cancel = limits.schedule(function() {
+            assert.fail("The task was removed");
+        });
+
+        assert.isTrue(cancel());
+        assert.isFalse(cancel());
+        assert.equal(limits.queued(), 0);
+    });
+
+    it('Queued streamed requests are piped once sent', function(done) {
+        var limits = scheduler.createScheduler({maxConcurrent: 1});
+        var requests = [];
+        var send = scheduler.wrapRequest(function() {
+            var req = new stream.PassThrough();
+            requests.push(req);
+            return req;
+        }, limits);
+
+        send({});
+        var destination = new stream.PassThrough();
+        var chunks = [];
+        destination.on('data', function(chunk) {
+            chunks.push(chunk.toString());
+        });
+        destination.on('end', function() {
+            assert.deepEqual(chunks, ['queued']);
+            done();
+        });
+
+        assert.strictEqual(send({}).pipe(destination), destination);
+        assert.lengthOf(requests, 1, "The second request is queued");
+
+        requests[0].emit('complete');
+        assert.lengthOf(requests, 2, "The second request is sent");
+        requests[1].end('queued');
+    });
+});
+
+describe('test client scheduling', function() {
+    var retsServer, pending, concurrent, maxConcurrent;
+
+    beforeEach(function(done) {
+        pending = [];
+        concurrent = maxConcurrent = 0;
+        server.start({
+            getobject: function(req, res) {
+                concurrent++;
+                maxConcurrent = Math.max(maxConcurrent, concurrent);
+                pending.push(function() {
+                    concurrent--;
+                    res.writeHead(200, {'Content-Type': 'image/jpeg'});
+                    res.end('photo');
+                });
+            },
+            search: function(req, res) {
+                server.sendCompact(res, ['ListingID'], [['1']]);
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        pending.forEach(function(respond) {
+            respond();
+        });
+        retsServer.close(done);
+    });
+
+    // answers the pending requests one at a time, as they arrive
+    var respondInTurn = function() {
+        var timer = setInterval(function() {
+            var respond = pending.shift();
+            if (respond) respond();
+        }, 10);
+        return function() {
+            clearInterval(timer);
+        };
+    };
+
+    it('Client queues the requests over its limits, streamed searches included', function(done) {
+        var limits = rets.createScheduler({maxConcurrent: 1});
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass', scheduler: limits});
+        var other = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass', scheduler: limits});
+        var stop;
+
+        Promise.all([client, other]).then(function() {
+            var objects = [
+                client.getObject('Property', 'Photo', '1:1'),
+                other.getObject('Property', 'Photo', '1:2'),
+                client.getObject('Property', 'Photo', '1:3')
+            ];
+            assert.equal(limits.queued(), 2, "Clients sharing a scheduler share its limits");
+
+            var records = [];
+            var streamed = new Promise(function(resolve, reject) {
+                client.queryStream('Property', 'RESI', '(Status=A)', {_format: 'COMPACT'})
+                    .on('data', function(record) {
+                        records.push(record);
+                    })
+                    .on('error', reject)
+                    .on('end', function() {
+                        resolve(records);
+                    });
+            });
+
+            stop = respondInTurn();
+            return Promise.all(objects.concat([streamed]));
+        }).then(function(results) {
+            stop();
+            assert.equal(results[0].data.toString(), 'photo');
+            assert.deepEqual(results[3], [{ListingID: '1'}], "Queued streamed searches are piped once sent");
+            assert.equal(maxConcurrent, 1);
+            assert.equal(limits.running(), 0);
+            done();
+        }).catch(function(error) {
+            if (stop) stop();
+            done(error);
+        });
+    });
+
+    it('Aborted calls leave the queue', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass',
+            scheduler: {maxConcurrent: 1}});
+        var controller = new AbortController();
+
+        client.then(function() {
+            client.getObject('Property', 'Photo', '1:1');
+            var aborted = client.getObject('Property', 'Photo', '1:2', {signal: controller.signal});
+            assert.equal(client.scheduler.queued(), 1);
+
+            controller.abort();
+            return aborted;
+        }).then(function() {
+            done(new Error("The call should have been aborted"));
+        }, function(error) {
+            assert.instanceOf(error, rets.RetsAbortError);
+            assert.equal(client.scheduler.queued(), 0);
+            assert.equal(client.scheduler.running(), 1, "Aborted calls do not take a slot");
+            done();
+        }).catch(done);
+    });
+});
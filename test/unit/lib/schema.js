@@ -0,0 +1,149 @@
+var assert = require('chai').assert,
+    server = require('../support/server.js'),
+    rets = require('../../../index.js');
+
+var metadata = [{
+    type: 'METADATA-SYSTEM',
+    attributes: {Version: '1.00.00001', Date: '2014-01-01T00:00:00'},
+    content: '<SYSTEM SystemID="TEST" SystemDescription="Test Server" TimeZoneOffset="-05:00" />'
+}, {
+    type: 'METADATA-RESOURCE',
+    attributes: {Version: '1.00.00001'},
+    columns: ['ResourceID', 'StandardName'],
+    rows: [['Property', 'Property'], ['Agent', 'Agent']]
+}, {
+    type: 'METADATA-CLASS',
+    attributes: {Resource: 'Property'},
+    columns: ['ClassName', 'StandardName'],
+    rows: [['RESI', 'ResidentialProperty']]
+}, {
+    type: 'METADATA-TABLE',
+    attributes: {Resource: 'Property', Class: 'RESI'},
+    columns: ['SystemName', 'StandardName', 'DataType', 'Interpretation', 'LookupName'],
+    rows: [
+        ['LP', 'ListPrice', 'Decimal', 'Number', ''],
+        ['Status', 'ListingStatus', 'Character', 'Lookup', 'STATUS']
+    ]
+}, {
+    type: 'METADATA-LOOKUP',
+    attributes: {Resource: 'Property'},
+    columns: ['LookupName', 'VisibleName'],
+    rows: [['STATUS', 'Status']]
+}, {
+    type: 'METADATA-LOOKUP_TYPE',
+    attributes: {Resource: 'Property', Lookup: 'STATUS'},
+    columns: ['Value', 'ShortValue', 'LongValue'],
+    rows: [['A', 'Act', 'Active'], ['S', 'Sld', 'Sold']]
+}, {
+    type: 'METADATA-OBJECT',
+    attributes: {Resource: 'Property'},
+    columns: ['ObjectType', 'MimeType'],
+    rows: [['Photo', 'image/jpeg']]
+}];
+
+// the metadata elements requested by a per-type request
+var elementsFor = function(type, id) {
+    var ids = id.split(':');
+    return metadata.filter(function(element) {
+        var attributes = element.attributes;
+        return element.type === type && (id === '0' || (attributes.Resource === ids[0] &&
+            (!ids[1] || ids[1] === (attributes.Class || attributes.Lookup))));
+    });
+};
+
+describe('test metadata schema', function() {
+    var retsServer, supportsTree, hasSystem;
+
+    beforeEach(function(done) {
+        supportsTree = true;
+        hasSystem = true;
+        server.start({
+            metadata: function(req, res, params) {
+                if (params.Type === 'METADATA-SYSTEM' && params.Id === '*') {
+                    if (supportsTree) server.sendMetadata(res, metadata);
+                    else server.sendRets(res, 20502);
+                    return;
+                }
+
+                var elements = hasSystem || params.Type !== 'METADATA-SYSTEM' ? elementsFor(params.Type, params.Id) : [];
+                if (elements.length === 0) server.sendRets(res, 20503);
+                else server.sendMetadata(res, elements);
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    var metadataCount = function() {
+        return retsServer.requests.filter(function(request) {
+            return request.transaction === 'metadata';
+        }).length;
+    };
+
+    var checkSchema = function(schema) {
+        assert.equal(schema.version, '1.00.00001');
+        assert.equal(schema.system.systemId, 'TEST');
+        assert.lengthOf(schema.resources, 2);
+
+        var resi = schema.resource('Property').class('ResidentialProperty');
+        assert.equal(resi.ClassName, 'RESI', "Classes are found by standard name");
+        assert.equal(resi.field('ListPrice').DataType, 'Decimal', "Fields are found by standard name");
+        assert.isNull(resi.field('LP').lookup);
+
+        var status = resi.field('Status').lookup;
+        assert.equal(status.VisibleName, 'Status');
+        assert.equal(status.value('S').LongValue, 'Sold');
+        assert.strictEqual(status, schema.resource('Property').lookup('STATUS'));
+        assert.equal(schema.resource('Property').object('Photo').MimeType, 'image/jpeg');
+
+        assert.lengthOf(schema.resource('Agent').classes, 0, "Resources without classes are kept");
+        assert.isNull(schema.resource('Office'));
+    };
+
+    it('Client retrieves the whole metadata tree at once', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.then(function() {
+            return client.getSchema();
+        }).then(function(schema) {
+            checkSchema(schema);
+            assert.equal(metadataCount(), 1);
+            done();
+        }).catch(done);
+    });
+
+    it('Client walks the metadata types when the server refuses Id=*', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        supportsTree = false;
+
+        client.then(function() {
+            return client.getSchema();
+        }).then(function(schema) {
+            checkSchema(schema);
+            // tree, system, resources, then class, table, lookup, lookup type and object of
+            // Property, and all but the table of Agent
+            assert.equal(metadataCount(), 12);
+            done();
+        }).catch(done);
+    });
+
+    it('Client builds a schema without version when the server has no system metadata', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        supportsTree = false;
+        hasSystem = false;
+
+        client.then(function() {
+            return client.getSchema();
+        }).then(function(schema) {
+            assert.isNull(schema.system);
+            assert.isNull(schema.version);
+            assert.lengthOf(schema.resources, 2);
+            done();
+        }).catch(done);
+    });
+});
@@ -0,0 +1,388 @@
+var assert = require('chai').assert,
+    server = require('../support/server.js'),
+    rets = require('../../../index.js');
+
+describe('test client.queryStream functionality', function() {
+    var retsServer;
+
+    beforeEach(function(done) {
+        var rows = [['1'], ['2'], ['3'], ['4'], ['5']];
+        server.start({
+            search: function(req, res, params) {
+                var offset = +params.offset, limit = +params.limit;
+                server.sendCompact(res, ['ListingID'], rows.slice(offset - 1, offset - 1 + limit), rows.length);
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    var searchCount = function() {
+        return retsServer.requests.filter(function(request) {
+            return request.transaction === 'search';
+        }).length;
+    };
+
+    it('Client streams the records of all pages', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.once('connection.success', function() {
+            var ids = [], pages = 0;
+            var stream = client.queryStream('Property', 'RESI', '(ListingID=1+)', {_limit: 2});
+
+            stream.on('page', function() {
+                pages++;
+            });
+            stream.on('data', function(record) {
+                ids.push(record.ListingID);
+            });
+            stream.on('end', function() {
+                assert.deepEqual(ids, ['1', '2', '3', '4', '5'], "Every record is streamed once");
+                assert.equal(pages, 3, "Three pages are fetched");
+                done();
+            });
+            stream.on('error', done);
+        });
+    });
+
+    it('Client only fetches the next page when the consumer is ready', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.once('connection.success', function() {
+            var stream = client.queryStream('Property', 'RESI', '(ListingID=1+)', {_limit: 2});
+
+            stream.once('readable', function() {
+                assert.equal(stream.read().ListingID, '1');
+                setTimeout(function() {
+                    assert.equal(searchCount(), 1, "The second page is not fetched before it is needed");
+                    done();
+                }, 50);
+            });
+        });
+    });
+
+    it('Client query stream is async iterable', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.once('connection.success', function() {
+            var iterator = client.queryStream('Property', 'RESI', '(ListingID=1+)', {_limit: 3})[Symbol.asyncIterator]();
+            var ids = [];
+
+            var next = function() {
+                iterator.next().then(function(result) {
+                    if (result.done) {
+                        assert.deepEqual(ids, ['1', '2', '3', '4', '5']);
+                        done();
+                        return;
+                    }
+                    ids.push(result.value.ListingID);
+                    next();
+                }).catch(done);
+            };
+            next();
+        });
+    });
+
+    it('Client emits query errors on the stream', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.once('connection.success', function() {
+            retsServer.handlers.search = function(req, res) {
+                server.sendRets(res, 20203);
+            };
+
+            client.queryStream('Property', 'RESI', '(ListingID=1+)').on('error', function(error) {
+                assert.equal(error.replyCode, '20203');
+                done();
+            }).resume();
+        });
+    });
+});
+
+describe('test STANDARD-XML query results', function() {
+    var retsServer;
+
+    beforeEach(function(done) {
+        server.start({
+            search: function(req, res, params) {
+                server.sendRets(res, 0, '<COUNT Records="2" />' +
+                    '<REData><REProperties>' +
+                    '<ResidentialProperty><Listing><ListingID>1</ListingID><ListPrice currency="USD">100000</ListPrice>' +
+                    '<Photo>a.jpg</Photo><Photo>b.jpg</Photo></Listing><Remarks/></ResidentialProperty>' +
+                    '<ResidentialProperty><Listing><ListingID>2</ListingID><ListPrice>200000</ListPrice></Listing></ResidentialProperty>' +
+                    '</REProperties></REData>');
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    it('Client parses STANDARD-XML listings into records', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(ListingID=1+)', {_format: 'STANDARD-XML', _standardNames: true});
+        }).then(function(data) {
+            var params = retsServer.requests.pop().params;
+            assert.equal(params.format, 'STANDARD-XML', "format is sent");
+            assert.equal(params.standardNames, '1', "standardNames is sent");
+            assert.deepEqual(data, [
+                {Listing: {ListingID: '1', ListPrice: '100000', Photo: ['a.jpg', 'b.jpg']}, Remarks: ''},
+                {Listing: {ListingID: '2', ListPrice: '200000'}}
+            ]);
+            done();
+        }).catch(done);
+    });
+});
+
+describe('test key paging', function() {
+    var retsServer;
+
+    // ModTime is not unique, and the server ignores Offset
+    var rows = [['1', '10'], ['2', '10'], ['3', '20'], ['4', '20'], ['5', '20'], ['6', '30'], ['7', '40']];
+
+    beforeEach(function(done) {
+        server.start({
+            search: function(req, res, params) {
+                var from = /\(ModTime=(\d+)\+\)$/.exec(params.query);
+                var matching = rows.filter(function(row) {
+                    return !from || +row[1] >= +from[1];
+                });
+                server.sendCompact(res, ['ListingID', 'ModTime'], matching.slice(0, +params.limit), matching.length);
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    var queries = function() {
+        return retsServer.requests.filter(function(request) {
+            return request.transaction === 'search';
+        }).map(function(request) {
+            return request.params.query;
+        });
+    };
+
+    var options = {_paging: 'key', _pagingKey: 'ModTime', _uniqueKey: 'ListingID', _limit: 4, _select: 'ListingID'};
+
+    it('Client pages by key without duplicates', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(ListingID=1+)', options);
+        }).then(function(data) {
+            assert.deepEqual(data.map(function(record) {
+                return record.ListingID;
+            }), ['1', '2', '3', '4', '5', '6', '7'], "Every record is fetched once");
+            assert.deepEqual(queries(), [
+                '(ListingID=1+)',
+                '((ListingID=1+)),(ModTime=20+)',
+                '((ListingID=1+)),(ModTime=30+)'
+            ]);
+            assert.equal(retsServer.requests.pop().params.select, 'ListingID,ModTime', "The key is selected");
+            done();
+        }).catch(done);
+    });
+
+    it('Client streams pages by key', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var ids = [];
+
+        client.once('connection.success', function() {
+            client.queryStream('Property', 'RESI', '(ListingID=1+)', options)
+                .on('data', function(record) {
+                    ids.push(record.ListingID);
+                })
+                .on('error', done)
+                .on('end', function() {
+                    assert.deepEqual(ids, ['1', '2', '3', '4', '5', '6', '7']);
+                    done();
+                });
+        });
+    });
+
+    it('Client fails when a whole page shares a key', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(ListingID=1+)',
+                {_paging: 'key', _pagingKey: 'ModTime', _uniqueKey: 'ListingID', _limit: 2});
+        }).then(function() {
+            done(new Error("The query should have failed"));
+        }, function(error) {
+            assert.include(error.message, "shares ModTime 10");
+            done();
+        }).catch(done);
+    });
+});
+
+describe('test date window partitioning', function() {
+    var retsServer;
+    var maxRows;
+    var rows = [1, 2, 3, 5, 8, 13, 21].map(function(day) {
+        return [String(day), '2015-01-' + (day < 10 ? '0' : '') + day + 'T12:00:00.000'];
+    });
+
+    beforeEach(function(done) {
+        maxRows = 3;
+        server.start({
+            search: function(req, res, params) {
+                var window = /\(ModTime=(\d{4}-\d\d-\d\dT[\d:.]+)-(\d{4}-\d\d-\d\dT[\d:.]+)\)$/.exec(params.query);
+                var matching = rows.filter(function(row) {
+                    return window && row[1] >= window[1] && row[1] <= window[2];
+                });
+                if (matching.length > maxRows) {
+                    server.sendRets(res, 0, '<COUNT Records="' + matching.length + '" /><DELIMITER value="09"/>' +
+                        '<COLUMNS>\tListingID\tModTime\t</COLUMNS>' + matching.slice(0, maxRows).map(function(row) {
+                            return '<DATA>\t' + row.join('\t') + '\t</DATA>';
+                        }).join('') + '<MAXROWS/>');
+                    return;
+                }
+                server.sendCompact(res, ['ListingID', 'ModTime'], matching);
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    it('Client halves date windows until the server returns all their records', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var windows = [];
+
+        client.on('data', function(searchResults) {
+            windows.push(searchResults.window);
+        });
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(Status=A)',
+                {_partition: {field: 'ModTime', from: '2015-01-01', to: '2015-01-31'}});
+        }).then(function(data) {
+            assert.deepEqual(data.map(function(record) {
+                return record.ListingID;
+            }), ['1', '2', '3', '5', '8', '13', '21'], "Every record is fetched once, in order");
+            assert.deepEqual(windows[0], {from: '2015-01-01T00:00:00.000', to: '2015-01-04T18:00:00.000'});
+            assert.equal(windows[windows.length - 1].to, '2015-01-31T00:00:00.000');
+            assert.include(retsServer.requests.pop().params.query, '(Status=A)');
+            done();
+        }).catch(done);
+    });
+
+    it('Client fails when a window cannot be split', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        maxRows = 0;
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(Status=A)',
+                {_partition: {field: 'ModTime', from: '2015-01-01T12:00:00', to: '2015-01-01T12:00:00.003'}});
+        }).then(function() {
+            done(new Error("The query should have failed"));
+        }, function(error) {
+            assert.equal(error.replyCode, '20208');
+            assert.lengthOf(retsServer.requests.filter(function(request) {
+                return request.transaction === 'search';
+            }), 3, "Windows are halved down to a millisecond");
+            done();
+        }).catch(done);
+    });
+});
+
+describe('test count-only searches', function() {
+    var retsServer;
+    var rows = [['1'], ['2'], ['3'], ['4'], ['5']];
+
+    beforeEach(function(done) {
+        server.start({
+            search: function(req, res, params) {
+                if (/Status=X/.test(params.query)) {
+                    server.sendRets(res, 20201);
+                } else if (params.count === '2') {
+                    server.sendRets(res, 0, '<COUNT Records="' + rows.length + '" />');
+                } else {
+                    var offset = +params.offset, limit = +params.limit;
+                    server.sendCompact(res, ['ListingID'], rows.slice(offset - 1, offset - 1 + limit), rows.length);
+                }
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    it('Client counts records without fetching them', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+
+        client.then(function() {
+            return client.count('Property', 'RESI', '(ListingID=1+)');
+        }).then(function(total) {
+            assert.strictEqual(total, 5);
+            assert.equal(retsServer.requests.pop().params.count, '2', "Count=2 is sent");
+            return client.count('Property', 'RESI', rets.dmql().field('Status').equals('X'));
+        }).then(function(total) {
+            assert.strictEqual(total, 0, "No records found is a count of 0");
+            done();
+        }).catch(done);
+    });
+
+    it('Client reports the progress of queries counted first', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var progress = [];
+
+        client.on('progress', function(event) {
+            progress.push(event);
+        });
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(ListingID=1+)', {_countFirst: true, _limit: 2});
+        }).then(function(data) {
+            assert.lengthOf(data, 5);
+            assert.deepEqual(progress.map(function(event) {
+                return [event.fetched, event.total, event.percent];
+            }), [[0, 5, 0], [2, 5, 40], [4, 5, 80], [5, 5, 100]]);
+            assert.isNull(progress[0].eta, "The ETA is unknown before the first page");
+            assert.strictEqual(progress[3].eta, 0);
+            done();
+        }).catch(done);
+    });
+
+    it('Client reports the progress of query streams counted first', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var percents = [];
+
+        client.once('connection.success', function() {
+            client.queryStream('Property', 'RESI', '(ListingID=1+)', {_countFirst: true, _limit: 3})
+                .on('progress', function(event) {
+                    percents.push(event.percent);
+                })
+                .on('error', done)
+                .on('end', function() {
+                    assert.deepEqual(percents, [0, 60, 100]);
+                    done();
+                })
+                .resume();
+        });
+    });
+});
@@ -0,0 +1,124 @@
+var assert = require('chai').assert,
+    server = require('../support/server.js'),
+    utils = require('../../../lib/utils.js'),
+    rets = require('../../../index.js');
+
+describe('test reply code classification', function() {
+
+    it('Reply codes are classified', function() {
+        assert.equal(utils.classifyReplyCode('0'), 'success');
+        assert.equal(utils.classifyReplyCode(20201), 'empty');
+        assert.equal(utils.classifyReplyCode('20403'), 'empty');
+        assert.equal(utils.classifyReplyCode('20503'), 'empty');
+        assert.equal(utils.classifyReplyCode('20208'), 'warning');
+        assert.equal(utils.classifyReplyCode('20203'), 'error');
+    });
+
+    it('Only errors are called back', function() {
+        var errors = [];
+        var check = function(replyCode) {
+            return utils.checkReply({RETS: {$: {ReplyCode: replyCode, ReplyText: 'Text'}}}, function(error) {
+                errors.push(error.replyCode);
+            });
+        };
+
+        assert.deepEqual(check('0'), {empty: false, warnings: []});
+        assert.deepEqual(check('20201'), {empty: true, warnings: []});
+        assert.deepEqual(check('20208'), {empty: false, warnings: [{replyCode: '20208', replyText: 'Text'}]});
+        assert.isNull(check('20203'));
+        assert.deepEqual(errors, ['20203']);
+    });
+});
+
+describe('test empty replies', function() {
+    var retsServer;
+
+    beforeEach(function(done) {
+        server.start({
+            search: function(req, res, params) {
+                if (/Status=S/.test(params.query)) {
+                    server.sendRets(res, 20208, '<COUNT Records="3" /><DELIMITER value="09"/>' +
+                        '<COLUMNS>\tListingID\t</COLUMNS><DATA>\t1\t</DATA><DATA>\t2\t</DATA>');
+                } else {
+                    server.sendRets(res, 20201);
+                }
+            },
+            metadata: function(req, res) {
+                server.sendRets(res, 20503);
+            },
+            getobject: function(req, res) {
+                res.writeHead(200, {'Content-Type': 'text/xml'});
+                res.end('<RETS ReplyCode="20403" ReplyText="No Object Found" />');
+            }
+        }, function(error, _server) {
+            retsServer = _server;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        retsServer.close(done);
+    });
+
+    it('Client returns empty results instead of errors', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var failures = [];
+
+        ['query.failure', 'count.failure', 'metadata.table.failure', 'photos.failure'].forEach(function(event) {
+            client.on(event, function() {
+                failures.push(event);
+            });
+        });
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(Status=X)');
+        }).then(function(data) {
+            assert.deepEqual(data, [], "No records found is an empty result");
+            return client.count('Property', 'RESI', '(Status=X)');
+        }).then(function(total) {
+            assert.strictEqual(total, 0);
+            return client.getTable('Property', 'RESI');
+        }).then(function(table) {
+            assert.deepEqual(table, {Fields: []}, "No metadata found is an empty table");
+            return client.getPhotos('Property', 'Photo', '1');
+        }).then(function(photos) {
+            assert.deepEqual(photos, [], "No object found is an empty list");
+            assert.deepEqual(failures, []);
+            done();
+        }).catch(done);
+    });
+
+    it('Client streams no records when none were found', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var records = 0;
+
+        client.once('connection.success', function() {
+            client.queryStream('Property', 'RESI', '(Status=X)', {_format: 'COMPACT'})
+                .on('data', function() {
+                    records++;
+                })
+                .on('error', done)
+                .on('end', function() {
+                    assert.equal(records, 0);
+                    done();
+                });
+        });
+    });
+
+    it('Client attaches informational reply codes as warnings', function(done) {
+        var client = rets.getClient({loginUrl: retsServer.loginUrl, username: 'user', password: 'pass'});
+        var pages = [];
+
+        client.on('data', function(searchResults) {
+            pages.push(searchResults);
+        });
+
+        client.then(function() {
+            return client.query('Property', 'RESI', '(Status=S)', {_max_iterations: 1});
+        }).then(function(data) {
+            assert.lengthOf(data, 2, "Records are returned along with the warning");
+            assert.deepEqual(pages[0].warnings, [{replyCode: '20208', replyText: 'Error'}]);
+            done();
+        }).catch(done);
+    });
+});
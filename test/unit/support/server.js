@@ -0,0 +1,157 @@
+var http = require('http'),
+    url = require('url'),
+    querystring = require('querystring');
+
+/**
+ * Minimal in-process RETS server used by the unit tests.
+ *
+ * Every transaction is served by a handler function(req, res, params, server) where
+ * params holds the query string and form parameters. Handlers can be replaced by
+ * the tests through server.handlers. The server hands out a new RETS-Session-ID on
+ * each login; server.expireSession() makes every later request fail with HTTP 401
+ * until the client logs in again. Logins report server.metadataVersion and
+ * server.metadataTimestamp.
+ *
+ * @param handlers handlers overriding the default ones, keyed by transaction (login, search, metadata, getobject, update, logout)
+ * @param callback(error, server) server.loginUrl is the URL to log in with
+ */
+module.exports.start = function(handlers, callback) {
+    var server = http.createServer(function(req, res) {
+        var body = '';
+        req.on('data', function(chunk) {
+            body += chunk;
+        });
+        req.on('end', function() {
+            var parsed = url.parse(req.url, true);
+            var transaction = parsed.pathname.substring(1);
+            var params = parsed.query;
+            var form = querystring.parse(body);
+            for (var key in form) {
+                params[key] = form[key];
+            }
+
+            server.requests.push({transaction: transaction, params: params});
+
+            if (transaction !== 'login' && !server.isLoggedIn(req)) {
+                res.writeHead(401);
+                res.end();
+                return;
+            }
+
+            var handler = server.handlers[transaction];
+            if (!handler) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            handler(req, res, params, server);
+        });
+    });
+
+    server.requests = [];
+    server.sessionCount = 0;
+    server.metadataVersion = '1.00.00001';
+    server.metadataTimestamp = '2014-01-01T00:00:00';
+    server.handlers = {
+        login: function(req, res, params, server) {
+            server.sessionCount++;
+            server.sessionId = "session-" + server.sessionCount;
+            res.setHeader('Set-Cookie', 'RETS-Session-ID=' + server.sessionId + '; Path=/');
+            module.exports.sendRets(res, 0, [
+                '<RETS-RESPONSE>',
+                'MemberName=Unit Test',
+                'User=1,USER,1,test',
+                'Broker=BRK',
+                'MetadataVersion=' + server.metadataVersion,
+                'MetadataTimestamp=' + server.metadataTimestamp,
+                'MinMetadataTimestamp=2014-01-01T00:00:00',
+                'TimeoutSeconds=1800',
+                'Login=/login',
+                'Logout=/logout',
+                'Search=/search',
+                'GetMetadata=/metadata',
+                'GetObject=/getobject',
+                'Update=/update',
+                '</RETS-RESPONSE>'
+            ].join('\r\n'));
+        },
+        logout: function(req, res, params, server) {
+            server.sessionId = null;
+            module.exports.sendRets(res, 0);
+        }
+    };
+    for (var transaction in handlers) {
+        server.handlers[transaction] = handlers[transaction];
+    }
+
+    server.isLoggedIn = function(req) {
+        return !!server.sessionId && (req.headers.cookie || '').indexOf('RETS-Session-ID=' + server.sessionId) >= 0;
+    };
+
+    server.expireSession = function() {
+        server.sessionId = null;
+    };
+
+    server.listen(0, '127.0.0.1', function() {
+        server.loginUrl = 'http://127.0.0.1:' + server.address().port + '/login';
+        callback(null, server);
+    });
+};
+
+/**
+ * Sends a RETS response body.
+ *
+ * @param res the HTTP response
+ * @param replyCode the RETS reply code
+ * @param content (optional) XML content of the RETS element
+ */
+module.exports.sendRets = function(res, replyCode, content) {
+    res.writeHead(200, {'Content-Type': 'text/xml'});
+    res.end('<RETS ReplyCode="' + replyCode + '" ReplyText="' + (replyCode ? 'Error' : 'Success') + '">\r\n' +
+        (content || '') + '\r\n</RETS>\r\n');
+};
+
+/**
+ * Sends a COMPACT search response with the given columns and rows.
+ *
+ * @param res the HTTP response
+ * @param columns array of column names
+ * @param rows array of row value arrays
+ * @param total (optional) total record count, defaults to the number of rows
+ */
+module.exports.sendCompact = function(res, columns, rows, total) {
+    var content = '<COUNT Records="' + (total === undefined ? rows.length : total) + '" />\r\n' +
+        '<DELIMITER value="09" />\r\n' +
+        '<COLUMNS>\t' + columns.join('\t') + '\t</COLUMNS>\r\n';
+    rows.forEach(function(row) {
+        content += '<DATA>\t' + row.join('\t') + '\t</DATA>\r\n';
+    });
+    module.exports.sendRets(res, 0, content);
+};
+
+/**
+ * Sends a COMPACT metadata response.
+ *
+ * @param res the HTTP response
+ * @param elements array of {type, attributes, columns, rows, content}, where type is the metadata
+ *        element name (i.e. METADATA-TABLE) and content, if any, the XML content used instead of
+ *        the columns and rows (i.e. the SYSTEM element of METADATA-SYSTEM)
+ */
+module.exports.sendMetadata = function(res, elements) {
+    var content = elements.map(function(element) {
+        var attributes = element.attributes || {};
+        var xml = '<' + element.type + Object.keys(attributes).map(function(name) {
+            return ' ' + name + '="' + attributes[name] + '"';
+        }).join('') + '>\r\n';
+        if (element.content) {
+            xml += element.content + '\r\n';
+        } else {
+            xml += '<COLUMNS>\t' + element.columns.join('\t') + '\t</COLUMNS>\r\n';
+            (element.rows || []).forEach(function(row) {
+                xml += '<DATA>\t' + row.join('\t') + '\t</DATA>\r\n';
+            });
+        }
+        return xml + '</' + element.type + '>';
+    }).join('\r\n');
+    module.exports.sendRets(res, 0, content);
+};